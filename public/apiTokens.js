@@ -0,0 +1,210 @@
+// "API tokens": create, list and revoke personal tokens for scripts
+// (see docs/api_tokens.md). A new token is shown once, right after creation.
+
+import { closeAvatarMenu } from "./avatar.js";
+import { elements as el, hide, show } from "./dom.js";
+import { getMeasures } from "./measures.js";
+import { state } from "./state.js";
+
+const ACCESS_SCOPES = {
+  read: ["data:read"],
+  write: ["data:read", "data:write"],
+};
+
+let creating = false;
+
+export function initApiTokens() {
+  el.apiTokensBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    void openTokensModal();
+  });
+  el.tokensClose?.addEventListener("click", closeTokensModal);
+  el.tokensModal?.addEventListener("click", (event) => {
+    if (event.target === el.tokensModal) closeTokensModal();
+  });
+  el.tokensList?.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-revoke-token]");
+    if (button) void revokeToken(Number(button.dataset.revokeToken));
+  });
+  el.tokensLimit?.addEventListener("change", () => {
+    if (el.tokensLimit.checked) show(el.tokensMeasures);
+    else hide(el.tokensMeasures);
+  });
+  el.tokensCreate?.addEventListener("click", () => void createToken());
+  el.tokensCopy?.addEventListener("click", () => void copyNewToken());
+}
+
+async function openTokensModal() {
+  if (!state.session) return;
+  resetForm();
+  show(el.tokensModal);
+  if (el.tokensList) el.tokensList.innerHTML = `<li class="devices-empty">Loading...</li>`;
+  await loadTokens();
+}
+
+function closeTokensModal() {
+  if (creating) return;
+  // The plaintext token must not linger in the page once the modal is gone
+  if (el.tokensNewValue) el.tokensNewValue.value = "";
+  hide(el.tokensModal);
+}
+
+function resetForm() {
+  if (el.tokensName) el.tokensName.value = "";
+  const read = el.tokensModal?.querySelector("[name=token-access][value=read]");
+  if (read) read.checked = true;
+  if (el.tokensLimit) el.tokensLimit.checked = false;
+  hide(el.tokensMeasures);
+  if (el.tokensMeasures) {
+    const measures = getMeasures().filter((m) => !m._decryptError);
+    el.tokensMeasures.innerHTML = measures.length
+      ? measures
+          .map(
+            (m) => `<label class="export-option">
+              <input type="checkbox" value="${m.id}" />
+              <span>${escapeHtml(m.name)}</span>
+            </label>`
+          )
+          .join("")
+      : '<p class="results-empty">No measures yet.</p>';
+  }
+  if (el.tokensNewValue) el.tokensNewValue.value = "";
+  hide(el.tokensNew);
+  hideStatus();
+}
+
+function showStatus(message, isError = false) {
+  if (!el.tokensStatus) return;
+  el.tokensStatus.textContent = message;
+  el.tokensStatus.classList.toggle("error", isError);
+  show(el.tokensStatus);
+}
+
+function hideStatus() {
+  hide(el.tokensStatus);
+}
+
+async function loadTokens() {
+  try {
+    const response = await fetch("/api/tokens");
+    if (!response.ok) throw new Error("Failed to load tokens");
+    const { tokens } = await response.json();
+    renderTokens(tokens || []);
+  } catch (err) {
+    console.error("Failed to load API tokens:", err);
+    if (el.tokensList) el.tokensList.innerHTML = "";
+    showStatus("Could not load your tokens.", true);
+  }
+}
+
+function describeAccess(scopes) {
+  const data = scopes.includes("data:write") ? "Read and write" : scopes.includes("data:read") ? "Read only" : null;
+  const other = scopes.filter((scope) => !scope.startsWith("data:"));
+  return [data, ...other].filter(Boolean).join(" · ");
+}
+
+function describeMeasures(measureIds) {
+  if (!measureIds) return "All measures";
+  const names = new Map(getMeasures().map((m) => [m.id, m.name]));
+  return measureIds.map((id) => names.get(id) || "Deleted measure").join(", ");
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+function formatTokenTime(value) {
+  if (!value) return "never";
+  const date = new Date(`${value.replace(" ", "T")}Z`);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function renderTokens(tokens) {
+  if (!el.tokensList) return;
+  if (tokens.length === 0) {
+    el.tokensList.innerHTML = `<li class="devices-empty">No tokens yet.</li>`;
+    return;
+  }
+
+  el.tokensList.innerHTML = tokens
+    .map(
+      (token) => `<li class="devices-item">
+        <div class="devices-item-info">
+          <span class="devices-item-name">${escapeHtml(token.name)}</span>
+          <span class="devices-item-meta">${escapeHtml(describeAccess(token.scopes))} · ${escapeHtml(describeMeasures(token.measure_ids))}</span>
+          <span class="devices-item-meta">Created ${formatTokenTime(token.created_at)} · Last used ${formatTokenTime(token.last_used_at)}</span>
+        </div>
+        <button type="button" class="devices-revoke" data-revoke-token="${token.id}">Revoke</button>
+      </li>`
+    )
+    .join("");
+}
+
+async function createToken() {
+  if (creating || !state.session) return;
+
+  const name = el.tokensName?.value?.trim();
+  if (!name) {
+    showStatus("Give the token a name, like the script that will use it.", true);
+    return;
+  }
+  const access = el.tokensModal?.querySelector("[name=token-access]:checked")?.value || "read";
+  let measureIds = null;
+  if (el.tokensLimit?.checked) {
+    measureIds = Array.from(el.tokensMeasures?.querySelectorAll("input:checked") || []).map((input) => Number(input.value));
+    if (measureIds.length === 0) {
+      showStatus("Pick at least one measure, or allow all of them.", true);
+      return;
+    }
+  }
+
+  creating = true;
+  if (el.tokensCreate) el.tokensCreate.disabled = true;
+  try {
+    const response = await fetch("/api/tokens", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, scopes: ACCESS_SCOPES[access], measure_ids: measureIds }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || "Could not create the token.");
+
+    resetForm();
+    if (el.tokensNewValue) el.tokensNewValue.value = result.token;
+    show(el.tokensNew);
+    await loadTokens();
+  } catch (err) {
+    console.error("Failed to create API token:", err);
+    showStatus(err.message || "Could not create the token.", true);
+  } finally {
+    creating = false;
+    if (el.tokensCreate) el.tokensCreate.disabled = false;
+  }
+}
+
+async function copyNewToken() {
+  const token = el.tokensNewValue?.value;
+  if (!token) return;
+  try {
+    await navigator.clipboard.writeText(token);
+    showStatus("Copied.");
+  } catch (_err) {
+    el.tokensNewValue.select();
+  }
+}
+
+async function revokeToken(id) {
+  if (!id || !confirm("Revoke this token? Scripts using it stop working at once.")) return;
+  try {
+    const response = await fetch(`/api/tokens/${id}`, { method: "DELETE" });
+    if (!response.ok) throw new Error("Failed to revoke token");
+    await loadTokens();
+  } catch (err) {
+    console.error("Failed to revoke API token:", err);
+    showStatus("Could not revoke that token.", true);
+  }
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
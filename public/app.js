@@ -1,8 +1,13 @@
+import { initApiTokens } from "./apiTokens.js";
+import { initArchiveImport } from "./archiveImport.js";
 import { initAuth } from "./auth.js";
 import { initAvatarMenu } from "./avatar.js";
 import { initCredits, clearCredits } from "./credits.js";
+import { initExport } from "./export.js";
+import { initHistoryImport } from "./historyImport.js";
 import { initMeasures } from "./measures.js";
 import { initPullRefresh } from "./pullRefresh.js";
+import { initReminders } from "./reminders.js";
 import { initResults } from "./results.js";
 import { connectSSE, disconnectSSE } from "./sse.js";
 import { onRefresh, state } from "./state.js";
@@ -19,6 +24,11 @@ if ("serviceWorker" in navigator) {
 }
 
 initAvatarMenu();
+initReminders();
+initApiTokens();
+initExport();
+initArchiveImport();
+initHistoryImport();
 initUI();
 initAuth();
 initPullRefresh();
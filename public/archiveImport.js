@@ -0,0 +1,225 @@
+// "Import archive": restores an export from "Download my data" into this
+// account (see docs/export.md). Archives from another account, or decrypted
+// ones, are re-encrypted to this account's key before upload.
+
+import { closeAvatarMenu } from "./avatar.js";
+import { handlePaymentRequired } from "./credits.js";
+import { elements as el, hide, show } from "./dom.js";
+import { encryptEntry } from "./entryCrypto.js";
+import { decodeNsec, loadNostrLibs } from "./nostr.js";
+import { state } from "./state.js";
+
+const ARCHIVE_FORMAT = "ambulando-archive";
+const ARCHIVE_VERSION = 1;
+
+let archive = null;
+let importing = false;
+
+export function initArchiveImport() {
+  el.importDataBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    openImportModal();
+  });
+  el.importClose?.addEventListener("click", closeImportModal);
+  el.importModal?.addEventListener("click", (event) => {
+    if (event.target === el.importModal) closeImportModal();
+  });
+  el.importFile?.addEventListener("change", () => void readArchiveFile());
+  el.importSubmit?.addEventListener("click", () => void submitImport());
+}
+
+function openImportModal() {
+  if (!state.session) return;
+  archive = null;
+  if (el.importFile) el.importFile.value = "";
+  if (el.importSecret) el.importSecret.value = "";
+  hide(el.importSecretField);
+  hideStatus();
+  if (el.importSubmit) el.importSubmit.disabled = true;
+  show(el.importModal);
+}
+
+function closeImportModal() {
+  if (importing) return;
+  archive = null;
+  hide(el.importModal);
+}
+
+function showStatus(message, isError = false) {
+  if (!el.importStatus) return;
+  el.importStatus.textContent = message;
+  el.importStatus.classList.toggle("error", isError);
+  show(el.importStatus);
+}
+
+function hideStatus() {
+  hide(el.importStatus);
+}
+
+// Encrypted with a key other than this session's
+function isForeign(candidate) {
+  return candidate.encrypted && candidate.owner !== state.session?.npub;
+}
+
+async function readArchiveFile() {
+  archive = null;
+  hide(el.importSecretField);
+  if (el.importSubmit) el.importSubmit.disabled = true;
+
+  const file = el.importFile?.files?.[0];
+  if (!file) return;
+
+  try {
+    const parsed = JSON.parse(await file.text());
+    if (parsed?.format !== ARCHIVE_FORMAT) throw new Error("This file isn't an Ambulando archive.");
+    if (!Number.isInteger(parsed.version) || parsed.version > ARCHIVE_VERSION) {
+      throw new Error(`Archive version ${parsed.version} is newer than this app understands.`);
+    }
+    for (const section of ["measures", "trackingData", "entries"]) {
+      if (!Array.isArray(parsed[section])) throw new Error(`The archive has no ${section}.`);
+    }
+
+    archive = parsed;
+    if (isForeign(archive)) show(el.importSecretField);
+    if (el.importSubmit) el.importSubmit.disabled = false;
+
+    const exported = archive.exportedAt ? ` exported ${archive.exportedAt.slice(0, 10)}` : "";
+    showStatus(
+      `${archive.measures.length} measures, ${archive.trackingData.length} records and ` +
+      `${archive.entries.length} journal entries${exported}.`
+    );
+  } catch (err) {
+    showStatus(err instanceof SyntaxError ? "This file isn't valid JSON." : err.message, true);
+  }
+}
+
+// Returns a function that decrypts with the secret key of the account the
+// archive was exported from
+async function oldKeyDecrypter(nsec, ownerNpub) {
+  const { nip19, nip44, pure } = await loadNostrLibs();
+  const secret = decodeNsec(nip19, nsec.trim());
+  const pubkey = pure.getPublicKey(secret);
+  if (nip19.npubEncode(pubkey) !== ownerNpub) {
+    throw new Error("That secret key doesn't belong to the account this archive came from.");
+  }
+  const conversationKey = nip44.v2.utils.getConversationKey(secret, pubkey);
+  return (ciphertext) => nip44.v2.decrypt(ciphertext, conversationKey);
+}
+
+/**
+ * Re-encrypt an archive to this session's key. Rows that can't be read are
+ * left out and counted in `dropped`.
+ */
+async function reencryptArchive(source, decryptOld) {
+  const total = source.measures.length + source.trackingData.length + source.entries.length;
+  let done = 0;
+  let dropped = 0;
+  const progress = () => {
+    done++;
+    if (done % 25 === 0 || done === total) showStatus(`Re-encrypting ${done} of ${total}...`);
+  };
+
+  // Decrypted archives mark what they couldn't read; that is still old ciphertext
+  const readable = (row) => source.encrypted || row.decrypted !== false;
+  const read = (value) => (source.encrypted ? decryptOld(value) : value);
+
+  const measures = [];
+  for (const { decrypted: _flag, ...m } of source.measures) {
+    let name = m.name;
+    let config = m.config;
+    // Names saved before encryption existed are plaintext even in encrypted archives
+    try {
+      name = await read(m.name);
+    } catch (_err) { /* plaintext name */ }
+    if (config) {
+      try {
+        config = await read(config);
+      } catch (_err) { /* plaintext config */ }
+    }
+    measures.push({ ...m, name: await encryptEntry(name), config: config ? await encryptEntry(config) : config });
+    progress();
+  }
+
+  const encryptedMeasures = new Set(source.measures.filter((m) => m.encrypted).map((m) => m.id));
+  const trackingData = [];
+  for (const td of source.trackingData) {
+    progress();
+    if (!encryptedMeasures.has(td.measure_id) || !td.value) {
+      trackingData.push(td);
+      continue;
+    }
+    try {
+      if (!readable(td)) throw new Error("Unreadable");
+      const { decrypted: _flag, ...row } = td;
+      trackingData.push({ ...row, value: await encryptEntry(await read(td.value)) });
+    } catch (_err) {
+      dropped++;
+    }
+  }
+
+  const entries = [];
+  for (const entry of source.entries) {
+    progress();
+    try {
+      if (!readable(entry)) throw new Error("Unreadable");
+      const { content, decrypted: _flag, ...row } = entry;
+      const plaintext = source.encrypted ? await read(entry.encrypted_content) : content;
+      entries.push({ ...row, encrypted_content: await encryptEntry(plaintext) });
+    } catch (_err) {
+      dropped++;
+    }
+  }
+
+  return { archive: { ...source, encrypted: true, measures, trackingData, entries }, dropped };
+}
+
+async function submitImport() {
+  if (importing || !archive || !state.session) return;
+
+  const mode = el.importModal?.querySelector("[name=import-mode]:checked")?.value || "merge";
+  if (mode === "replace" && !confirm("Replace deletes every measure, record and journal entry in this account before importing. Continue?")) {
+    return;
+  }
+
+  importing = true;
+  if (el.importSubmit) el.importSubmit.disabled = true;
+
+  try {
+    // An archive of this same account is already encrypted to this key
+    let upload = archive;
+    let dropped = 0;
+    if (!archive.encrypted || isForeign(archive)) {
+      const decryptOld = isForeign(archive) ? await oldKeyDecrypter(el.importSecret?.value || "", archive.owner) : null;
+      ({ archive: upload, dropped } = await reencryptArchive(archive, decryptOld));
+    }
+
+    showStatus("Uploading...");
+    const response = await fetch("/api/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mode, archive: upload }),
+    });
+    if (await handlePaymentRequired(response)) {
+      importing = false;
+      closeImportModal();
+      return;
+    }
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || "Import failed.");
+
+    const { measures, trackingData, entries } = result.summary;
+    const skipped = measures.skipped + trackingData.skipped + entries.skipped + dropped;
+    showStatus(
+      `Imported ${measures.imported} measures, ${trackingData.imported} records and ${entries.imported} journal entries` +
+      `${skipped ? ` (${skipped} skipped)` : ""}. Reloading...`
+    );
+
+    // Every view reads from Dexie; a fresh start pulls the imported rows in
+    setTimeout(() => window.location.reload(), 1500);
+  } catch (err) {
+    console.error("[import] Failed to import archive:", err);
+    showStatus(err.message || "Import failed.", true);
+    importing = false;
+    if (el.importSubmit) el.importSubmit.disabled = false;
+  }
+}
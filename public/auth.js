@@ -218,11 +218,18 @@ const wireMenuButtons = () => {
   el.logoutBtn?.addEventListener("click", async () => {
     closeAvatarMenu();
     await fetch("/auth/logout", { method: "POST" });
-    setSession(null);
-    clearAutoLogin();
-    clearAllStoredCredentials();
-    window.location.reload();
+    await logoutLocally();
   });
+
+  // Session was revoked from the Devices view; the server already cleared it
+  window.addEventListener("session-revoked", logoutLocally);
+};
+
+const logoutLocally = async () => {
+  await setSession(null);
+  clearAutoLogin();
+  clearAllStoredCredentials();
+  window.location.reload();
 };
 
 const wireQrModal = () => {
@@ -12,6 +12,7 @@ import {
   setMemoryBunkerSigner,
   setMemoryBunkerUri,
 } from "./pin.js";
+import { getUnitSystem, setUnitSystem } from "./units.js";
 
 let profilePool;
 let avatarMenuWatcherActive = false;
@@ -80,8 +81,34 @@ export const initAvatarMenu = () => {
   el.profileEditBtn?.addEventListener("click", openProfileEditForm);
   el.profileEditCancel?.addEventListener("click", closeProfileEditForm);
   el.profileEditForm?.addEventListener("submit", handleProfileSubmit);
+
+  // Wire up devices view
+  el.devicesBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    void openDevicesModal();
+  });
+  el.devicesClose?.addEventListener("click", closeDevicesModal);
+  el.devicesModal?.addEventListener("click", (event) => {
+    if (event.target === el.devicesModal) closeDevicesModal();
+  });
+  el.devicesList?.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-revoke-session]");
+    if (button) void revokeSession(Number(button.dataset.revokeSession));
+  });
+  el.devicesLogoutAll?.addEventListener("click", () => void revokeAllSessions());
+
+  // Switch between metric and imperial numbers
+  el.unitsBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    setUnitSystem(getUnitSystem() === "imperial" ? "metric" : "imperial");
+    renderUnitsButton();
+  });
 };
 
+function renderUnitsButton() {
+  if (el.unitsBtn) el.unitsBtn.textContent = `Units: ${getUnitSystem()}`;
+}
+
 export const updateAvatar = async () => {
   if (!el.avatarButton || !el.avatarFallback) return;
   if (!state.session) {
@@ -96,6 +123,12 @@ export const updateAvatar = async () => {
     hide(el.avatarCredits);
     hide(el.buyCreditsBtn);
     hide(el.copyIdBtn);
+    hide(el.devicesBtn);
+    hide(el.remindersBtn);
+    hide(el.unitsBtn);
+    hide(el.apiTokensBtn);
+    hide(el.exportDataBtn);
+    hide(el.importDataBtn);
     hide(el.exportSecretBtn);
     hide(el.showLoginQrBtn);
     return;
@@ -110,6 +143,13 @@ export const updateAvatar = async () => {
   show(el.avatarCredits);
   show(el.buyCreditsBtn);
   show(el.copyIdBtn);
+  show(el.devicesBtn);
+  show(el.remindersBtn);
+  renderUnitsButton();
+  show(el.unitsBtn);
+  show(el.apiTokensBtn);
+  show(el.exportDataBtn);
+  show(el.importDataBtn);
 
   // Show ephemeral-only options (keyteleport also has access to secret key)
   if (state.session.method === "ephemeral" || state.session.method === "keyteleport") {
@@ -437,6 +477,135 @@ async function publishProfile(metadata) {
   return signedEvent;
 }
 
+// Devices modal functions
+const LOGIN_METHOD_LABELS = {
+  ephemeral: "Anonymous key",
+  extension: "Browser extension",
+  bunker: "Remote signer",
+  secret: "Secret key",
+  keyteleport: "Key Teleport",
+};
+
+async function openDevicesModal() {
+  if (!state.session) return;
+  show(el.devicesModal);
+  hideDevicesStatus();
+  if (el.devicesList) el.devicesList.innerHTML = `<li class="devices-empty">Loading...</li>`;
+  await loadDevices();
+}
+
+function closeDevicesModal() {
+  hide(el.devicesModal);
+}
+
+async function loadDevices() {
+  try {
+    const response = await fetch("/api/sessions");
+    if (!response.ok) throw new Error("Failed to load devices");
+    const { sessions } = await response.json();
+    renderDevices(sessions || []);
+  } catch (err) {
+    console.error("Failed to load devices:", err);
+    if (el.devicesList) el.devicesList.innerHTML = "";
+    showDevicesStatus("Could not load devices.");
+  }
+}
+
+function renderDevices(sessions) {
+  if (!el.devicesList) return;
+  if (sessions.length === 0) {
+    el.devicesList.innerHTML = `<li class="devices-empty">No active logins.</li>`;
+    return;
+  }
+
+  el.devicesList.innerHTML = sessions
+    .map(
+      (session) => `<li class="devices-item${session.current ? " current" : ""}">
+        <div class="devices-item-info">
+          <span class="devices-item-name">${escapeHtml(describeUserAgent(session.user_agent))}${session.current ? ` <span class="devices-current-badge">This device</span>` : ""}</span>
+          <span class="devices-item-meta">${escapeHtml(LOGIN_METHOD_LABELS[session.method] || session.method)}</span>
+          <span class="devices-item-meta">First seen ${formatSessionTime(session.created_at)} · Last seen ${formatSessionTime(session.last_seen_at)}</span>
+        </div>
+        <button type="button" class="devices-revoke" data-revoke-session="${session.id}">${session.current ? "Log out" : "Revoke"}</button>
+      </li>`
+    )
+    .join("");
+}
+
+async function revokeSession(id) {
+  if (!id) return;
+  try {
+    const response = await fetch(`/api/sessions/${id}`, { method: "DELETE" });
+    if (!response.ok) throw new Error("Failed to revoke session");
+    const { current } = await response.json();
+    if (current) {
+      closeDevicesModal();
+      window.dispatchEvent(new CustomEvent("session-revoked"));
+      return;
+    }
+    await loadDevices();
+  } catch (err) {
+    console.error("Failed to revoke session:", err);
+    showDevicesStatus("Could not revoke that login.");
+  }
+}
+
+async function revokeAllSessions() {
+  if (!confirm("Log out of every device, including this one?")) return;
+  try {
+    const response = await fetch("/api/sessions", { method: "DELETE" });
+    if (!response.ok) throw new Error("Failed to revoke sessions");
+    closeDevicesModal();
+    window.dispatchEvent(new CustomEvent("session-revoked"));
+  } catch (err) {
+    console.error("Failed to revoke sessions:", err);
+    showDevicesStatus("Could not log out everywhere.");
+  }
+}
+
+function showDevicesStatus(message) {
+  if (!el.devicesStatus) return;
+  el.devicesStatus.textContent = message;
+  show(el.devicesStatus);
+}
+
+function hideDevicesStatus() {
+  hide(el.devicesStatus);
+}
+
+// Rough "Browser on OS" label - enough to tell devices apart
+function describeUserAgent(userAgent) {
+  if (!userAgent) return "Unknown device";
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    "Browser";
+  const os =
+    (/iPhone|iPad/.test(userAgent) && "iOS") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/Mac OS X/.test(userAgent) && "macOS") ||
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    "";
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// Session timestamps are SQLite UTC ("YYYY-MM-DD HH:MM:SS")
+function formatSessionTime(value) {
+  if (!value) return "never";
+  const date = new Date(`${value.replace(" ", "T")}Z`);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 function formatNpubShort(npub) {
   if (!npub) return "Anonymous";
   const trimmed = npub.replace(/^npub1/, "");
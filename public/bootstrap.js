@@ -0,0 +1,62 @@
+// Per-session bootstrap for the cached app shell
+// The shell HTML carries no session. It is resolved here, before any module
+// reads state.session: from /api/bootstrap when the server is reachable, or
+// from the copy cached in IndexedDB when the app is opened offline.
+
+import { getSyncMeta, initDB, setSyncMeta } from "./db.js";
+
+const BOOTSTRAP_KEY = "bootstrap";
+
+// Give up on the network quickly so an offline start isn't stuck on a hanging request
+const BOOTSTRAP_TIMEOUT_MS = 4000;
+
+async function fetchBootstrap() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), BOOTSTRAP_TIMEOUT_MS);
+  try {
+    const response = await fetch("/api/bootstrap", { signal: controller.signal });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (_err) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Cache the session for the next offline start. The token never leaves the
+ * HttpOnly cookie, so it isn't stored here either.
+ */
+export async function rememberSession(session) {
+  try {
+    await initDB();
+    if (!session) {
+      await setSyncMeta(BOOTSTRAP_KEY, { session: null });
+      return;
+    }
+    const { token: _token, ...cached } = session;
+    await setSyncMeta(BOOTSTRAP_KEY, { session: cached });
+  } catch (err) {
+    console.warn("[bootstrap] Failed to cache session:", err);
+  }
+}
+
+async function loadBootstrap() {
+  const fresh = await fetchBootstrap();
+  if (fresh) {
+    await rememberSession(fresh.session);
+    return { ...fresh, offline: false };
+  }
+
+  try {
+    await initDB();
+    const cached = await getSyncMeta(BOOTSTRAP_KEY);
+    return { session: cached?.session ?? null, offline: true };
+  } catch (err) {
+    console.warn("[bootstrap] No cached session:", err);
+    return { session: null, offline: true };
+  }
+}
+
+export const bootstrap = await loadBootstrap();
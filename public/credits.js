@@ -147,6 +147,30 @@ export function checkAccessState() {
   }
 }
 
+// Write routes answer 402 { code: "payment_required", balance } once the
+// balance hits zero. Callers pass failed responses through here so the
+// overlay is shown the same way no matter which write was refused.
+export async function handlePaymentRequired(response) {
+  if (response?.status !== 402) return false;
+
+  let data = null;
+  try {
+    data = await response.clone().json();
+  } catch (_err) {
+    // Body is optional - the status alone is enough
+  }
+
+  creditsState = {
+    ...creditsState,
+    balance: data?.balance ?? 0,
+    hasAccess: false,
+    checked: true,
+  };
+  updateCreditsDisplay();
+  checkAccessState();
+  return true;
+}
+
 async function openCreditsModal() {
   if (!el.creditsModal) return;
 
@@ -0,0 +1,133 @@
+// CSV builders for the Results "Export CSV" action. Input rows are tracking
+// records whose values are already decrypted and parsed by results.js.
+
+import { aggregateValues, getAggregation } from "./measureConfig.js";
+
+function getLocalDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+function getLocalTimeString(date) {
+  return date.toTimeString().slice(0, 8);
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Seconds a timer value covers; a running timer counts up to now
+export function timerDuration(value) {
+  if (!value || typeof value !== "object") return null;
+  if (typeof value.duration === "number") return value.duration;
+  if (!value.start) return null;
+  const end = value.end ? new Date(value.end) : new Date();
+  return Math.max(0, Math.round((end - new Date(value.start)) / 1000));
+}
+
+function normalizeGoodBad(value) {
+  if (value === "good" || value === 1 || value === "1") return "good";
+  if (value === "bad" || value === -1 || value === "-1") return "bad";
+  return "";
+}
+
+// The value column of one record, as a spreadsheet should read it
+function cellValue(record) {
+  const value = record.decryptedValue;
+  switch (record.measureType) {
+    case "goodbad":
+      return normalizeGoodBad(value);
+    case "checklist":
+      return Array.isArray(value) ? value.join("; ") : "";
+    case "time":
+      // ISO 8601 interval; the duration has its own column
+      if (value && typeof value === "object" && value.start) return `${value.start}/${value.end || ""}`;
+      return "";
+    default:
+      return typeof value === "object" && value !== null ? JSON.stringify(value) : value;
+  }
+}
+
+/**
+ * Long layout: one row per tracking record, oldest first.
+ */
+export function buildLongCsv(records) {
+  const sorted = [...records].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+  const rows = sorted.map((record) => {
+    const at = new Date(record.recorded_at);
+    const duration = record.measureType === "time" ? timerDuration(record.decryptedValue) : null;
+    return [
+      getLocalDateString(at),
+      getLocalTimeString(at),
+      record.measureName,
+      record.measureType,
+      cellValue(record),
+      duration,
+    ];
+  });
+  return toCsv(["date", "time", "measure", "type", "value", "duration_seconds"], rows);
+}
+
+// Several records of one measure on one day collapse into a single cell
+function combineDay(measure, records) {
+  const aggregation = getAggregation(measure);
+  if (aggregation) {
+    const sorted = [...records].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+    return aggregateValues(aggregation, sorted.map((r) => r.decryptedValue)) ?? "";
+  }
+  if (measure.type === "time") {
+    return records.reduce((sum, r) => sum + (timerDuration(r.decryptedValue) || 0), 0);
+  }
+  if (measure.type === "number" || measure.type === "rating") {
+    const numbers = records.map((r) => parseFloat(r.decryptedValue)).filter((n) => !Number.isNaN(n));
+    if (numbers.length === 0) return "";
+    const sum = numbers.reduce((a, b) => a + b, 0);
+    return measure.type === "number" ? sum : Math.round((sum / numbers.length) * 100) / 100;
+  }
+  return records.map(cellValue).filter((v) => v !== "" && v !== null && v !== undefined).join("; ");
+}
+
+/**
+ * Wide layout: one row per day, one column per measure. Multi-entry measures
+ * use their own summary; otherwise numbers are summed, ratings averaged,
+ * timers give total seconds and anything else is joined.
+ */
+export function buildWideCsv(records, measures) {
+  const byDay = new Map();
+  for (const record of records) {
+    const date = getLocalDateString(new Date(record.recorded_at));
+    if (!byDay.has(date)) byDay.set(date, new Map());
+    const day = byDay.get(date);
+    if (!day.has(record.measure_id)) day.set(record.measure_id, []);
+    day.get(record.measure_id).push(record);
+  }
+
+  // Column headers must be unique for pivot tables
+  const seen = new Map();
+  const header = ["date", ...measures.map((m) => {
+    const count = (seen.get(m.name) || 0) + 1;
+    seen.set(m.name, count);
+    return count > 1 ? `${m.name} (${count})` : m.name;
+  })];
+
+  const dates = [...byDay.keys()].sort();
+  const rows = dates.map((date) => {
+    const day = byDay.get(date);
+    return [date, ...measures.map((m) => (day.has(m.id) ? combineDay(m, day.get(m.id)) : ""))];
+  });
+  return toCsv(header, rows);
+}
@@ -54,6 +54,19 @@ export async function initDB() {
     profiles: "npub, updatedAt",
   });
 
+  // Version 2: queued mutations carry a status so dead-lettered items can be
+  // told apart from ones still waiting
+  db.version(2)
+    .stores({
+      pendingMutations: "++id, table, operation, createdAt, status",
+    })
+    .upgrade((tx) =>
+      tx.table("pendingMutations").toCollection().modify((mutation) => {
+        mutation.status = mutation.status || "pending";
+        mutation.attempts = mutation.attempts || 0;
+      })
+    );
+
   return db;
 }
 
@@ -77,6 +90,14 @@ export function getLiveQuery() {
   return liveQuery;
 }
 
+/**
+ * Id for a record created on this device. It doubles as the record's
+ * client_id on the server, so a retried push can't create it twice.
+ */
+export function newLocalId() {
+  return `local_${crypto.randomUUID()}`;
+}
+
 // ============================================================
 // Measures
 // ============================================================
@@ -105,7 +126,7 @@ export async function upsertMeasure(measure) {
   }
 
   // For new records without server ID, use a temporary local ID
-  const localId = measure.id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const localId = measure.id || newLocalId();
   await db.measures.put({ ...measure, id: localId, syncedAt: now });
   return db.measures.get(localId);
 }
@@ -142,6 +163,16 @@ export async function getTrackingDataForDate(owner, date) {
     .toArray();
 }
 
+// Records from `start` up to but not including `end` (ISO instants), e.g.
+// one local day
+export async function getTrackingDataBetween(owner, start, end) {
+  const db = getDB();
+  return db.trackingData
+    .where("[owner+recorded_at]")
+    .between([owner, start], [owner, end], true, false)
+    .toArray();
+}
+
 export async function getTrackingDataByMeasure(owner, measureId, limit = 100) {
   const db = getDB();
   return db.trackingData
@@ -166,7 +197,7 @@ export async function upsertTrackingData(data) {
   }
 
   // For new records without server ID, use a temporary local ID
-  const localId = data.id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const localId = data.id || newLocalId();
   await db.trackingData.put({ ...data, id: localId, syncedAt: now });
   return db.trackingData.get(localId);
 }
@@ -220,7 +251,7 @@ export async function upsertEntry(entry) {
     }
   }
 
-  const localId = entry.id || `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const localId = entry.id || newLocalId();
   await db.entries.put({ ...entry, id: localId, syncedAt: now });
   return db.entries.get(localId);
 }
@@ -327,19 +358,30 @@ export async function setSyncMeta(key, value) {
 // Pending Mutations (offline queue)
 // ============================================================
 
-export async function addPendingMutation(table, operation, data) {
+// `base` is the synced record the edit started from (null for new records).
+// Its sync_version goes out as base_version so the server can spot conflicts.
+export async function addPendingMutation(table, operation, data, base = null) {
   const db = getDB();
   return db.pendingMutations.add({
     table,
     operation,
     data,
+    base,
+    status: "pending",
+    attempts: 0,
     createdAt: new Date().toISOString(),
   });
 }
 
+// In the order they were queued (coalescing edits moves createdAt, not the id)
 export async function getPendingMutations() {
   const db = getDB();
-  return db.pendingMutations.orderBy("createdAt").toArray();
+  return db.pendingMutations.toArray();
+}
+
+export async function updatePendingMutation(id, changes) {
+  const db = getDB();
+  await db.pendingMutations.update(id, changes);
 }
 
 export async function deletePendingMutation(id) {
@@ -347,6 +389,58 @@ export async function deletePendingMutation(id) {
   await db.pendingMutations.delete(id);
 }
 
+/**
+ * Store the server's copy of a pushed record. A record created offline is
+ * re-keyed from its local_ id to the server id. Edits to the same record still
+ * waiting in the queue were made on top of this push, so it becomes their base.
+ */
+export async function applyPushedRecord(table, localId, record) {
+  const db = getDB();
+  const now = new Date().toISOString();
+  await db.transaction("rw", [db[table], db.pendingMutations], async () => {
+    if (localId != null && localId !== record.id) {
+      await db[table].delete(localId);
+    }
+    await db[table].put({ ...record, syncedAt: now });
+    await db.pendingMutations
+      .where("table")
+      .equals(table)
+      .filter((m) => m.data?.id === record.id && m.base === null)
+      .modify({ base: record });
+  });
+}
+
+/**
+ * Swap local_ ids for server ids ({ [localId]: serverId } from POST /sync)
+ * everywhere they are referenced: the rows themselves, tracking rows pointing
+ * at a new measure, and queued mutations.
+ */
+export async function applyIdMap(idMap) {
+  const pairs = Object.entries(idMap || {});
+  if (pairs.length === 0) return;
+
+  const db = getDB();
+  const tables = [db.measures, db.trackingData, db.entries];
+  await db.transaction("rw", [...tables, db.timerSessions, db.pendingMutations], async () => {
+    for (const [localId, serverId] of pairs) {
+      for (const table of tables) {
+        const row = await table.get(localId);
+        if (!row) continue;
+        await table.delete(localId);
+        await table.put({ ...row, id: serverId });
+      }
+
+      await db.trackingData.where("measure_id").equals(localId).modify({ measure_id: serverId });
+      await db.timerSessions.where("measure_id").equals(localId).modify({ measure_id: serverId });
+
+      await db.pendingMutations.toCollection().modify((mutation) => {
+        if (mutation.data?.id === localId) mutation.data.id = serverId;
+        if (mutation.data?.measure_id === localId) mutation.data.measure_id = serverId;
+      });
+    }
+  });
+}
+
 export async function clearPendingMutations() {
   const db = getDB();
   await db.pendingMutations.clear();
@@ -384,6 +478,38 @@ export async function clearAllData() {
   });
 }
 
+/**
+ * Apply server tombstones ({ table, id }) from a sync delta or SSE event.
+ * Deleting a measure also drops its tracking rows, mirroring the server.
+ */
+export async function applyDeletions(deletions) {
+  const db = getDB();
+  await db.transaction("rw", [db.measures, db.trackingData], async () => {
+    for (const { table, id } of deletions) {
+      if (table === "measures") {
+        await db.measures.delete(id);
+        await db.trackingData.where("measure_id").equals(id).delete();
+      } else if (table === "trackingData") {
+        await db.trackingData.delete(id);
+      }
+    }
+  });
+}
+
+/**
+ * Drop every server-synced row for an owner before a full resync. Rows that
+ * only exist locally (local_ ids, not yet pushed) are kept.
+ */
+export async function clearSyncedData(owner) {
+  const db = getDB();
+  const isSynced = (record) => typeof record.id === "number";
+  await db.transaction("rw", [db.measures, db.trackingData, db.entries], async () => {
+    await db.measures.where("owner").equals(owner).filter(isSynced).delete();
+    await db.trackingData.where("owner").equals(owner).filter(isSynced).delete();
+    await db.entries.where("owner").equals(owner).filter(isSynced).delete();
+  });
+}
+
 export async function getLastSyncTime() {
   return getSyncMeta("lastSyncTime");
 }
@@ -391,3 +517,13 @@ export async function getLastSyncTime() {
 export async function setLastSyncTime(time) {
   return setSyncMeta("lastSyncTime", time);
 }
+
+// Server sync cursor (a sync_version, not a timestamp). Kept per owner so
+// switching accounts in the same browser doesn't skip the new account's data.
+export async function getSyncCursor(owner) {
+  return (await getSyncMeta(`syncCursor:${owner}`)) ?? 0;
+}
+
+export async function setSyncCursor(owner, cursor) {
+  return setSyncMeta(`syncCursor:${owner}`, cursor);
+}
@@ -39,8 +39,55 @@ export const elements = {
   profileEditPicture: document.querySelector("[data-profile-edit-picture]"),
   profileEditStatus: document.querySelector("[data-profile-edit-status]"),
   profileEditCancel: document.querySelector("[data-profile-edit-cancel]"),
+  // Devices modal elements
+  devicesBtn: document.querySelector("[data-devices-btn]"),
+  devicesModal: document.querySelector("[data-devices-modal]"),
+  devicesClose: document.querySelector("[data-devices-close]"),
+  devicesStatus: document.querySelector("[data-devices-status]"),
+  devicesList: document.querySelector("[data-devices-list]"),
+  devicesLogoutAll: document.querySelector("[data-devices-logout-all]"),
+  remindersBtn: document.querySelector("[data-reminders-btn]"),
+  remindersModal: document.querySelector("[data-reminders-modal]"),
+  remindersClose: document.querySelector("[data-reminders-close]"),
+  remindersPushState: document.querySelector("[data-reminders-push-state]"),
+  remindersPush: document.querySelector("[data-reminders-push]"),
+  remindersList: document.querySelector("[data-reminders-list]"),
+  remindersStatus: document.querySelector("[data-reminders-status]"),
+  remindersSave: document.querySelector("[data-reminders-save]"),
+  unitsBtn: document.querySelector("[data-units-btn]"),
+  apiTokensBtn: document.querySelector("[data-api-tokens-btn]"),
+  tokensModal: document.querySelector("[data-tokens-modal]"),
+  tokensClose: document.querySelector("[data-tokens-close]"),
+  tokensList: document.querySelector("[data-tokens-list]"),
+  tokensNew: document.querySelector("[data-tokens-new]"),
+  tokensNewValue: document.querySelector("[data-tokens-new-value]"),
+  tokensCopy: document.querySelector("[data-tokens-copy]"),
+  tokensName: document.querySelector("[data-tokens-name]"),
+  tokensLimit: document.querySelector("[data-tokens-limit]"),
+  tokensMeasures: document.querySelector("[data-tokens-measures]"),
+  tokensStatus: document.querySelector("[data-tokens-status]"),
+  tokensCreate: document.querySelector("[data-tokens-create]"),
+  // Export modal elements
+  exportDataBtn: document.querySelector("[data-export-data]"),
+  exportModal: document.querySelector("[data-export-modal]"),
+  exportClose: document.querySelector("[data-export-close]"),
+  exportDecrypt: document.querySelector("[data-export-decrypt]"),
+  exportStatus: document.querySelector("[data-export-status]"),
+  exportDownload: document.querySelector("[data-export-download]"),
+  // Import modal elements
+  importDataBtn: document.querySelector("[data-import-data]"),
+  importModal: document.querySelector("[data-import-modal]"),
+  importClose: document.querySelector("[data-import-close]"),
+  importFile: document.querySelector("[data-import-file]"),
+  importSecretField: document.querySelector("[data-import-secret-field]"),
+  importSecret: document.querySelector("[data-import-secret]"),
+  importStatus: document.querySelector("[data-import-status]"),
+  importSubmit: document.querySelector("[data-import-submit]"),
   // Tab navigation
   tabNav: document.querySelector("[data-tab-nav]"),
+  syncStatus: document.querySelector("[data-sync-status]"),
+  syncStatusText: document.querySelector("[data-sync-status-text]"),
+  syncRetryBtn: document.querySelector("[data-sync-retry]"),
   // Track panel elements
   trackPanel: document.querySelector("[data-track-panel]"),
   trackDate: document.querySelector("[data-track-date]"),
@@ -57,6 +104,18 @@ export const elements = {
   measuresPanel: document.querySelector("[data-measures-panel]"),
   measuresList: document.querySelector("[data-measures-list]"),
   addMeasureBtn: document.querySelector("[data-add-measure]"),
+  historyImportBtn: document.querySelector("[data-history-import]"),
+  historyModal: document.querySelector("[data-history-modal]"),
+  historyClose: document.querySelector("[data-history-close]"),
+  historyFile: document.querySelector("[data-history-file]"),
+  historyCsvOptions: document.querySelector("[data-history-csv-options]"),
+  historyDateColumn: document.querySelector("[data-history-date-column]"),
+  historyDateFormat: document.querySelector("[data-history-date-format]"),
+  historyTimeColumn: document.querySelector("[data-history-time-column]"),
+  historyColumns: document.querySelector("[data-history-columns]"),
+  historyPreview: document.querySelector("[data-history-preview]"),
+  historyStatus: document.querySelector("[data-history-status]"),
+  historySubmit: document.querySelector("[data-history-submit]"),
   // Measure modal elements
   measureModal: document.querySelector("[data-measure-modal]"),
   measureModalTitle: document.querySelector("[data-measure-modal-title]"),
@@ -66,6 +125,29 @@ export const elements = {
   measureType: document.querySelector("[data-measure-type]"),
   measureOptionsConfig: document.querySelector("[data-options-config]"),
   measureOptions: document.querySelector("[data-measure-options]"),
+  measureOptionsLabel: document.querySelector("[data-measure-options-label]"),
+  measureRatingConfig: document.querySelector("[data-rating-config]"),
+  measureRatingMin: document.querySelector("[data-rating-min]"),
+  measureRatingMax: document.querySelector("[data-rating-max]"),
+  measureRatingStep: document.querySelector("[data-rating-step]"),
+  measureRatingMinLabel: document.querySelector("[data-rating-min-label]"),
+  measureRatingMaxLabel: document.querySelector("[data-rating-max-label]"),
+  measureRatingEmoji: document.querySelector("[data-rating-emoji]"),
+  measureNumberConfig: document.querySelector("[data-number-config]"),
+  measureNumberUnit: document.querySelector("[data-number-unit]"),
+  measureNumberCustomUnitLabel: document.querySelector("[data-number-custom-unit-label]"),
+  measureNumberCustomUnit: document.querySelector("[data-number-custom-unit]"),
+  measureNumberMin: document.querySelector("[data-number-min]"),
+  measureNumberMax: document.querySelector("[data-number-max]"),
+  measureNumberStep: document.querySelector("[data-number-step]"),
+  measureNumberPrecision: document.querySelector("[data-number-precision]"),
+  measureNumberHint: document.querySelector("[data-number-hint]"),
+  measureAggregationConfig: document.querySelector("[data-aggregation-config]"),
+  measureAggregation: document.querySelector("[data-measure-aggregation]"),
+  measureGoalConfig: document.querySelector("[data-goal-config]"),
+  measureGoalDirection: document.querySelector("[data-measure-goal-direction]"),
+  measureGoalTarget: document.querySelector("[data-measure-goal-target]"),
+  measureGoalOption: document.querySelector("[data-measure-goal-option]"),
   measureEncrypted: document.querySelector("[data-measure-encrypted]"),
   measureError: document.querySelector("[data-measure-error]"),
   measureClose: document.querySelector("[data-measure-close]"),
@@ -80,6 +162,14 @@ export const elements = {
   resultsLoading: document.querySelector("[data-results-loading]"),
   resultsLoadMore: document.querySelector("[data-results-load-more]"),
   loadMoreResultsBtn: document.querySelector("[data-load-more-results]"),
+  resultsExportBtn: document.querySelector("[data-results-export]"),
+  csvModal: document.querySelector("[data-csv-modal]"),
+  csvClose: document.querySelector("[data-csv-close]"),
+  csvFrom: document.querySelector("[data-csv-from]"),
+  csvTo: document.querySelector("[data-csv-to]"),
+  csvMeasures: document.querySelector("[data-csv-measures]"),
+  csvStatus: document.querySelector("[data-csv-status]"),
+  csvDownload: document.querySelector("[data-csv-download]"),
   chartsList: document.querySelector("[data-charts-list]"),
   // Credits elements
   avatarCredits: document.querySelector("[data-avatar-credits]"),
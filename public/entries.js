@@ -1,6 +1,7 @@
 // Entry management for Three Things journal
 // Now writes to Dexie IndexedDB for offline support and sync
 
+import { handlePaymentRequired } from "./credits.js";
 import { elements as el, hide, show, setText } from "./dom.js";
 import { encryptEntry, decryptEntries } from "./entryCrypto.js";
 import { state } from "./state.js";
@@ -9,8 +10,8 @@ import {
   upsertEntry as dbUpsertEntry,
   getEntriesForDate as dbGetEntriesForDate,
   getRecentEntries as dbGetRecentEntries,
-  addPendingMutation,
 } from "./db.js";
+import { enqueueMutation } from "./syncEngine.js";
 
 // Warm, reflective prompts
 const PROMPTS = [
@@ -248,7 +249,9 @@ async function handleEntrySubmit(event) {
       encrypted_content: encryptedContent,
     };
 
-    // Save to Dexie first (for offline support)
+    // Save to Dexie first (for offline support), remembering what it replaced
+    const sameDay = await dbGetEntriesForDate(state.session.npub, entryDate);
+    const base = sameDay.find((e) => e.slot === slot) ?? null;
     const savedEntry = await dbUpsertEntry(entryData);
 
     // Update local state immediately
@@ -289,12 +292,13 @@ async function handleEntrySubmit(event) {
           await dbUpsertEntry({ ...entryData, id: data.entry.id });
         }
       } else {
+        await handlePaymentRequired(response);
         throw new Error("Server returned error");
       }
     } catch (serverErr) {
       console.error("[entries] Server sync failed, queued for later:", serverErr);
       // Queue for later sync
-      await addPendingMutation("entries", "upsert", entryData);
+      await enqueueMutation("entries", "upsert", { ...entryData, id: savedEntry?.id }, base);
     }
   } catch (err) {
     console.error("Failed to save entry:", err);
@@ -0,0 +1,147 @@
+// "Download my data": saves the /api/export archive (see docs/export.md),
+// optionally decrypted on this device first
+
+import { closeAvatarMenu } from "./avatar.js";
+import { elements as el, hide, show } from "./dom.js";
+import { decryptEntry } from "./entryCrypto.js";
+import { state } from "./state.js";
+
+let exporting = false;
+
+export function initExport() {
+  el.exportDataBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    openExportModal();
+  });
+  el.exportClose?.addEventListener("click", closeExportModal);
+  el.exportModal?.addEventListener("click", (event) => {
+    if (event.target === el.exportModal) closeExportModal();
+  });
+  el.exportDownload?.addEventListener("click", () => void downloadArchive());
+}
+
+function openExportModal() {
+  if (!state.session) return;
+  hideStatus();
+  show(el.exportModal);
+}
+
+function closeExportModal() {
+  if (exporting) return;
+  hide(el.exportModal);
+}
+
+function showStatus(message, isError = false) {
+  if (!el.exportStatus) return;
+  el.exportStatus.textContent = message;
+  el.exportStatus.classList.toggle("error", isError);
+  show(el.exportStatus);
+}
+
+function hideStatus() {
+  hide(el.exportStatus);
+}
+
+async function downloadArchive() {
+  if (exporting || !state.session) return;
+  exporting = true;
+  if (el.exportDownload) el.exportDownload.disabled = true;
+
+  const decrypt = !!el.exportDecrypt?.checked;
+  const date = new Date().toISOString().slice(0, 10);
+
+  try {
+    showStatus("Preparing your archive...");
+    const response = await fetch("/api/export");
+    if (!response.ok) throw new Error("Export failed");
+
+    if (!decrypt) {
+      saveFile(await response.blob(), `ambulando-export-${date}.json`);
+    } else {
+      const archive = await decryptArchive(await response.json());
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { type: "application/json" });
+      saveFile(blob, `ambulando-export-${date}-decrypted.json`);
+    }
+    showStatus("Download started.");
+  } catch (err) {
+    console.error("[export] Failed to export data:", err);
+    showStatus(navigator.onLine ? "Could not export your data. Try again." : "You're offline. Connect to download your data.", true);
+  } finally {
+    exporting = false;
+    if (el.exportDownload) el.exportDownload.disabled = false;
+  }
+}
+
+export function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Measure names and configs written before encryption was added are still
+// plaintext, so a failed decrypt keeps the stored value
+async function decryptOrKeep(value) {
+  if (!value) return value;
+  try {
+    const plain = await decryptEntry(value);
+    return typeof plain === "string" ? plain : value;
+  } catch (_err) {
+    return value;
+  }
+}
+
+/**
+ * Replace every ciphertext in the archive with its plaintext. Anything that
+ * can't be decrypted keeps its ciphertext and is flagged `decrypted: false`.
+ */
+async function decryptArchive(archive) {
+  const total = archive.measures.length + archive.trackingData.length + archive.entries.length;
+  let done = 0;
+  const progress = () => {
+    done++;
+    if (done % 25 === 0 || done === total) showStatus(`Decrypting ${done} of ${total}...`);
+  };
+
+  const measures = [];
+  for (const m of archive.measures) {
+    measures.push({ ...m, name: await decryptOrKeep(m.name), config: await decryptOrKeep(m.config) });
+    progress();
+  }
+
+  const encryptedMeasures = new Set(archive.measures.filter((m) => m.encrypted).map((m) => m.id));
+  const trackingData = [];
+  for (const td of archive.trackingData) {
+    if (!encryptedMeasures.has(td.measure_id) || !td.value) {
+      trackingData.push(td);
+    } else {
+      try {
+        trackingData.push({ ...td, value: await decryptEntry(td.value) });
+      } catch (_err) {
+        trackingData.push({ ...td, decrypted: false });
+      }
+    }
+    progress();
+  }
+
+  // Timer sessions repeat tracking rows; reuse those instead of decrypting twice
+  const trackingById = new Map(trackingData.map((td) => [td.id, td]));
+  const timerSessions = archive.timerSessions.map((td) => trackingById.get(td.id) || td);
+
+  const entries = [];
+  for (const entry of archive.entries) {
+    try {
+      const { encrypted_content, ...rest } = entry;
+      entries.push({ ...rest, content: await decryptEntry(encrypted_content) });
+    } catch (_err) {
+      entries.push({ ...entry, decrypted: false });
+    }
+    progress();
+  }
+
+  return { ...archive, encrypted: false, measures, trackingData, timerSessions, entries };
+}
@@ -0,0 +1,367 @@
+// "Import from another app": brings tracking history from Loop Habit Tracker,
+// Daylio or any CSV into new or existing measures (see docs/export.md).
+// Files are parsed and encrypted on this device and pushed through POST /sync.
+
+import { handlePaymentRequired } from "./credits.js";
+import { elements as el, hide, show } from "./dom.js";
+import { encryptEntry } from "./entryCrypto.js";
+import {
+  DATE_FORMATS,
+  IMPORT_TYPES,
+  buildPlan,
+  csvToSource,
+  daylioToSource,
+  loopToSource,
+  parseCsv,
+  toRecordedAt,
+} from "./importParsers.js";
+import { TYPE_LABELS, getMeasures, loadMeasures } from "./measures.js";
+import { state } from "./state.js";
+
+// Records sent per POST /sync
+const UPLOAD_BATCH_SIZE = 100;
+
+const PREVIEW_ROWS = 5;
+
+let table = null; // Parsed generic CSV, re-read when its date column changes
+let source = null;
+let fileHash = "";
+let taken = new Set();
+let importing = false;
+
+const loadZipLib = async () => {
+  if (!window.__FFLATE_LIB__) {
+    window.__FFLATE_LIB__ = await import("https://esm.sh/fflate@0.8.2");
+  }
+  return window.__FFLATE_LIB__;
+};
+
+export function initHistoryImport() {
+  el.historyImportBtn?.addEventListener("click", openHistoryModal);
+  el.historyClose?.addEventListener("click", closeHistoryModal);
+  el.historyModal?.addEventListener("click", (event) => {
+    if (event.target === el.historyModal) closeHistoryModal();
+  });
+  el.historyModal?.querySelectorAll("[name=history-source]").forEach((radio) => {
+    radio.addEventListener("change", () => void readHistoryFile());
+  });
+  el.historyFile?.addEventListener("change", () => void readHistoryFile());
+  for (const select of [el.historyDateColumn, el.historyTimeColumn, el.historyDateFormat]) {
+    select?.addEventListener("change", () => void useCsvColumns());
+  }
+  el.historyColumns?.addEventListener("input", handleColumnEdit);
+  el.historyColumns?.addEventListener("change", handleColumnEdit);
+  el.historySubmit?.addEventListener("click", () => void runImport());
+}
+
+function openHistoryModal() {
+  if (!state.session) return;
+  reset();
+  if (el.historyFile) el.historyFile.value = "";
+  show(el.historyModal);
+}
+
+function closeHistoryModal() {
+  if (importing) return;
+  reset();
+  hide(el.historyModal);
+}
+
+function reset() {
+  table = null;
+  source = null;
+  fileHash = "";
+  taken = new Set();
+  hide(el.historyCsvOptions);
+  if (el.historyColumns) el.historyColumns.innerHTML = "";
+  if (el.historyPreview) el.historyPreview.innerHTML = "";
+  hideStatus();
+  if (el.historySubmit) el.historySubmit.disabled = true;
+}
+
+function showStatus(message, isError = false) {
+  if (!el.historyStatus) return;
+  el.historyStatus.textContent = message;
+  el.historyStatus.classList.toggle("error", isError);
+  show(el.historyStatus);
+}
+
+function hideStatus() {
+  hide(el.historyStatus);
+}
+
+function selectedSource() {
+  return el.historyModal?.querySelector("[name=history-source]:checked")?.value || "loop";
+}
+
+// Client ids derive from the file's contents, so importing the same file
+// twice finds the records of the first import instead of doubling them
+async function hashFile(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest).slice(0, 6))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Loop exports a zip; its top-level Checkmarks.csv has every habit, and
+// Habits.csv says which ones are numerical
+async function readLoopFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  if (!isZip) return loopToSource(parseCsv(new TextDecoder().decode(bytes)));
+
+  const { unzipSync, strFromU8 } = await loadZipLib();
+  const files = unzipSync(bytes, { filter: (file) => /^(Checkmarks|Habits)\.csv$/.test(file.name) });
+  if (!files["Checkmarks.csv"]) throw new Error("This zip has no Checkmarks.csv. Export from Loop with \"Export as CSV\".");
+  const habits = files["Habits.csv"] ? parseCsv(strFromU8(files["Habits.csv"])) : null;
+  return loopToSource(parseCsv(strFromU8(files["Checkmarks.csv"])), habits);
+}
+
+async function readHistoryFile() {
+  reset();
+  const file = el.historyFile?.files?.[0];
+  if (!file) return;
+
+  try {
+    const buffer = await file.arrayBuffer();
+    fileHash = await hashFile(buffer);
+    const kind = selectedSource();
+
+    if (kind === "loop") {
+      await useSource(await readLoopFile(buffer));
+    } else if (kind === "daylio") {
+      await useSource(daylioToSource(parseCsv(new TextDecoder().decode(buffer))));
+    } else {
+      table = parseCsv(new TextDecoder().decode(buffer));
+      if (table.headers.length < 2) throw new Error("The CSV needs a date column and at least one more.");
+      fillCsvOptions();
+      show(el.historyCsvOptions);
+      await useCsvColumns();
+    }
+  } catch (err) {
+    console.error("[history-import] Failed to read file:", err);
+    showStatus(err.message || "Could not read this file.", true);
+  }
+}
+
+function fillCsvOptions() {
+  const options = table.headers
+    .map((header, index) => `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`)
+    .join("");
+  const dateGuess = Math.max(0, table.headers.findIndex((h) => /date|day/i.test(h)));
+  const timeGuess = table.headers.findIndex((h) => /^time$/i.test(h));
+
+  if (el.historyDateColumn) {
+    el.historyDateColumn.innerHTML = options;
+    el.historyDateColumn.value = String(dateGuess);
+  }
+  if (el.historyTimeColumn) {
+    el.historyTimeColumn.innerHTML = `<option value="-1">None</option>${options}`;
+    el.historyTimeColumn.value = String(timeGuess);
+  }
+  if (el.historyDateFormat) {
+    el.historyDateFormat.innerHTML = DATE_FORMATS.map((f) => `<option value="${f}">${f}</option>`).join("");
+  }
+}
+
+async function useCsvColumns() {
+  if (!table) return;
+  await useSource(csvToSource(table, {
+    dateColumn: Number(el.historyDateColumn?.value ?? 0),
+    timeColumn: Number(el.historyTimeColumn?.value ?? -1),
+    dateFormat: el.historyDateFormat?.value || DATE_FORMATS[0],
+  }));
+}
+
+async function useSource(next) {
+  source = next;
+  if (source.rows.length === 0) {
+    showStatus("No rows with a readable date were found.", true);
+    return;
+  }
+  await loadTakenDays();
+  renderColumns();
+  renderPreview();
+}
+
+function getLocalDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+// Days that already have a value for a measure are skipped, so importing
+// into an existing measure never doubles what was tracked here
+async function loadTakenDays() {
+  taken = new Set();
+  const dates = source.rows.map((row) => row.date).sort();
+  const [year, month, day] = dates[dates.length - 1].split("-").map(Number);
+  const end = getLocalDateString(new Date(year, month - 1, day + 1)); // exclusive
+
+  try {
+    const response = await fetch(`/tracking?start=${dates[0]}&end=${end}`);
+    if (!response.ok) throw new Error("Failed to fetch tracking data");
+    const { data = [] } = await response.json();
+    for (const record of data) {
+      taken.add(`${record.measure_id}|${getLocalDateString(new Date(record.recorded_at))}`);
+    }
+  } catch (err) {
+    console.warn("[history-import] Could not check existing records:", err);
+  }
+}
+
+function renderColumns() {
+  if (!el.historyColumns) return;
+  const typeOptions = (selected) =>
+    IMPORT_TYPES.map((type) => `<option value="${type}"${type === selected ? " selected" : ""}>${TYPE_LABELS[type]}</option>`).join("");
+
+  el.historyColumns.innerHTML = source.columns
+    .map(
+      (column) => `<div class="history-column" data-key="${column.key}">
+        <input type="checkbox" data-field="include" aria-label="Import this column"${column.include ? " checked" : ""} />
+        <input type="text" data-field="name" value="${escapeHtml(column.name)}" />
+        <select data-field="type">${typeOptions(column.type)}</select>
+      </div>`
+    )
+    .join("");
+}
+
+function handleColumnEdit(event) {
+  const field = event.target.dataset?.field;
+  const column = source?.columns.find((c) => c.key === event.target.closest("[data-key]")?.dataset.key);
+  if (!field || !column) return;
+
+  if (field === "include") column.include = event.target.checked;
+  else column[field] = event.target.value;
+  renderPreview();
+}
+
+// The dry run: everything the import would write, before anything is sent
+function renderPreview() {
+  if (!el.historyPreview || !source) return;
+  const plan = buildPlan(source, getMeasures(), taken);
+  const created = plan.measures.filter((m) => !m.existingId).length;
+  const reused = plan.measures.length - created;
+  const names = new Map(plan.measures.map((m) => [m.key, m.name]));
+
+  const summary = [
+    `${plan.records.length} records`,
+    `${created} new measure${created === 1 ? "" : "s"}`,
+    ...(reused ? [`${reused} existing measure${reused === 1 ? "" : "s"}`] : []),
+    ...(plan.skipped ? [`${plan.skipped} skipped`] : []),
+  ].join(", ");
+
+  const sample = plan.records
+    .slice(0, PREVIEW_ROWS)
+    .map((r) => `<li>${r.date}${r.time ? ` ${r.time}` : ""} · ${escapeHtml(names.get(r.key))} · ${escapeHtml(r.value)}</li>`)
+    .join("");
+
+  el.historyPreview.innerHTML = `<p class="history-summary">${summary}</p>${sample ? `<ul class="history-sample">${sample}</ul>` : ""}`;
+  hideStatus();
+  if (el.historySubmit) el.historySubmit.disabled = plan.records.length === 0;
+}
+
+// Returns the /sync response body, or null if the user is out of credits
+async function push(body) {
+  const response = await fetch("/sync", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (await handlePaymentRequired(response)) return null;
+  if (!response.ok) throw new Error("Upload failed.");
+  return response.json();
+}
+
+async function runImport() {
+  if (importing || !source || !state.session) return;
+  const existing = getMeasures();
+  const plan = buildPlan(source, existing, taken);
+  if (plan.records.length === 0) return;
+
+  importing = true;
+  if (el.historySubmit) el.historySubmit.disabled = true;
+
+  try {
+    // New measures go first; records then point at them by client id
+    const measureIds = new Map();
+    const encryptedKeys = new Set(plan.measures.filter((m) => m.encrypted).map((m) => m.key));
+    const newMeasures = [];
+    let sortOrder = existing.reduce((max, m) => Math.max(max, m.sort_order || 0), 0);
+    for (const m of plan.measures) {
+      if (m.existingId) {
+        measureIds.set(m.key, m.existingId);
+        continue;
+      }
+      const clientId = `local_imp${fileHash}_${m.key}_${m.type}`;
+      measureIds.set(m.key, clientId);
+      newMeasures.push({
+        id: clientId,
+        name: await encryptEntry(m.name),
+        type: m.type,
+        encrypted: true,
+        sort_order: ++sortOrder,
+        config: m.config ? await encryptEntry(m.config) : null,
+      });
+    }
+
+    if (newMeasures.length > 0) {
+      showStatus("Creating measures...");
+      const result = await push({ measures: newMeasures });
+      if (!result) {
+        importing = false;
+        closeHistoryModal();
+        return;
+      }
+      if (result.results.measures.some((r) => r.status !== "ok")) throw new Error("Could not create the measures.");
+    }
+
+    let imported = 0;
+    let failed = 0;
+    for (let i = 0; i < plan.records.length; i += UPLOAD_BATCH_SIZE) {
+      showStatus(`Encrypting and uploading ${i} of ${plan.records.length} records...`);
+      const trackingData = [];
+      for (const r of plan.records.slice(i, i + UPLOAD_BATCH_SIZE)) {
+        trackingData.push({
+          id: `local_imp${fileHash}_${r.key}_${r.row}`,
+          measure_id: measureIds.get(r.key),
+          recorded_at: toRecordedAt(r.date, r.time),
+          // The tracker only decrypts values of encrypted measures
+          value: encryptedKeys.has(r.key) ? await encryptEntry(r.value) : r.value,
+        });
+      }
+
+      const result = await push({ trackingData });
+      if (!result) {
+        importing = false;
+        closeHistoryModal();
+        return;
+      }
+      for (const r of result.results.trackingData) {
+        if (r.status === "ok") imported++;
+        else failed++;
+      }
+    }
+
+    const skipped = plan.skipped + failed;
+    showStatus(`Imported ${imported} records into ${plan.measures.length} measures${skipped ? ` (${skipped} skipped)` : ""}.`);
+
+    // Bring the new rows into Dexie and every tab that shows them
+    await window.Alpine?.store("sync")?.pullChanges();
+    await loadMeasures();
+    window.dispatchEvent(new CustomEvent("measures-changed"));
+  } catch (err) {
+    console.error("[history-import] Failed to import:", err);
+    showStatus(navigator.onLine ? err.message || "Import failed." : "You're offline. Connect to import.", true);
+    if (el.historySubmit) el.historySubmit.disabled = false;
+  } finally {
+    importing = false;
+  }
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,401 @@
+// Parsers for tracking history from other apps (see docs/export.md)
+//
+// Every parser produces a "source": columns that may become measures, and
+// rows of { date, time, values } keyed by column. Values are plain strings
+// in the app's own vocabulary ("good", "7", "Tired"); toStoredValue() checks
+// them against the type the user finally picks.
+
+import {
+  DEFAULT_NUMBER_FORMAT,
+  DEFAULT_RATING_SCALE,
+  getNumberFormat,
+  getRatingScale,
+  isRatingValue,
+  numberBoundsError,
+  parseMeasureConfig,
+} from "./measureConfig.js";
+
+export const IMPORT_TYPES = ["goodbad", "rating", "number", "options", "text"];
+
+// The measure editor allows this many choices
+const MAX_OPTIONS = 5;
+
+// ============================================================
+// CSV
+// ============================================================
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf("\n") >>> 0);
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][0];
+}
+
+/**
+ * RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes.
+ * Returns { headers, rows } with rows as arrays of strings.
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^﻿/, "");
+  const delimiter = detectDelimiter(input);
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ""));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows };
+}
+
+// ============================================================
+// Dates
+// ============================================================
+
+export const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "MM/DD/YYYY"];
+
+function isoDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Reads a date in the given format into YYYY-MM-DD, or null.
+ * Any separator works; a trailing time is ignored.
+ */
+export function parseDate(raw, format = "YYYY-MM-DD") {
+  const parts = String(raw || "").trim().split(/[\sT]/)[0].split(/[-/.]/).map(Number);
+  if (parts.length !== 3 || parts.some((n) => !Number.isInteger(n))) return null;
+  const [a, b, c] = parts;
+  if (format === "DD/MM/YYYY") return isoDate(c, b, a);
+  if (format === "MM/DD/YYYY") return isoDate(c, a, b);
+  return isoDate(a, b, c);
+}
+
+/**
+ * Reads "21:30", "9:30 pm" or "09:30:15" into HH:MM, or null.
+ */
+export function parseTime(raw) {
+  const match = String(raw || "").trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.[0].toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+}
+
+// Untimed values land at noon local time, like values saved in the tracker
+export function toRecordedAt(date, time) {
+  return new Date(`${date}T${time || "12:00"}:00`).toISOString();
+}
+
+// ============================================================
+// Values
+// ============================================================
+
+const GOOD = /^(good|yes|y|true|done|1|\+|x|✓|✔)$/i;
+const BAD = /^(bad|no|n|false|0|-)$/i;
+
+/**
+ * The string the tracker would store for `raw` in a measure of `type`,
+ * or null when the value doesn't fit and the cell is skipped. Ratings are
+ * rounded to the nearest step of `scale`; numbers are taken to be in the
+ * stored unit of `format` and must be within its bounds.
+ */
+export function toStoredValue(type, raw, { scale = DEFAULT_RATING_SCALE, format = DEFAULT_NUMBER_FORMAT } = {}) {
+  const text = String(raw ?? "").trim();
+  if (!text) return null;
+
+  switch (type) {
+    case "goodbad":
+      if (GOOD.test(text)) return "good";
+      if (BAD.test(text)) return "bad";
+      return null;
+    case "rating": {
+      const rating = scale.min + Math.round((Number(text) - scale.min) / scale.step) * scale.step;
+      return isRatingValue(scale, rating) ? String(Math.round(rating * 1000) / 1000) : null;
+    }
+    case "number": {
+      const number = Number(text.replace(/,/g, "."));
+      return Number.isFinite(number) && !numberBoundsError(format, number) ? String(number) : null;
+    }
+    default:
+      return text;
+  }
+}
+
+// Best first guess for a generic CSV column; the user can change it
+export function guessType(values) {
+  const filled = values.map((v) => String(v ?? "").trim()).filter(Boolean);
+  if (filled.length === 0) return "text";
+  if (filled.every((v) => toStoredValue("goodbad", v))) return "goodbad";
+  if (filled.every((v) => toStoredValue("number", v) !== null)) return "number";
+  const distinct = new Set(filled);
+  if (distinct.size <= MAX_OPTIONS && distinct.size < filled.length) return "options";
+  return "text";
+}
+
+// ============================================================
+// Sources
+// ============================================================
+
+/**
+ * A generic CSV with one row per day (or per moment) and one column per
+ * measure. `dateColumn` and optional `timeColumn` are header indexes.
+ */
+export function csvToSource(table, { dateColumn, timeColumn = -1, dateFormat = "YYYY-MM-DD" }) {
+  const columns = table.headers
+    .map((name, index) => ({ key: `c${index}`, index, name: name || `Column ${index + 1}` }))
+    .filter((column) => column.index !== dateColumn && column.index !== timeColumn)
+    .map((column) => ({
+      key: column.key,
+      name: column.name,
+      type: guessType(table.rows.map((row) => row[column.index])),
+      include: true,
+      index: column.index,
+    }));
+
+  let skipped = 0;
+  const rows = [];
+  for (const row of table.rows) {
+    const date = parseDate(row[dateColumn], dateFormat);
+    if (!date) {
+      skipped++;
+      continue;
+    }
+    const values = {};
+    for (const column of columns) values[column.key] = row[column.index];
+    rows.push({ date, time: timeColumn >= 0 ? parseTime(row[timeColumn]) : null, values });
+  }
+
+  return { columns, rows, skipped };
+}
+
+// Loop Habit Tracker check marks: 2 is a manual check. 1 is only implied by
+// the habit's frequency, 0 is unchecked and -1 unknown; none of those mean
+// the habit was done.
+const LOOP_CHECKED = 2;
+
+// Loop keeps numerical habits in thousandths
+const LOOP_NUMBER_SCALE = 1000;
+
+/**
+ * Loop Habit Tracker's Checkmarks.csv (Date plus one column per habit).
+ * `habits` is the parsed Habits.csv from the same export, if there is one;
+ * its Type column tells yes/no habits (0) from numerical ones (1).
+ */
+export function loopToSource(checkmarks, habits = null) {
+  const numeric = new Set();
+  if (habits) {
+    const nameAt = habits.headers.indexOf("Name");
+    const typeAt = habits.headers.indexOf("Type");
+    if (nameAt >= 0 && typeAt >= 0) {
+      for (const row of habits.rows) {
+        if (row[typeAt]?.trim() === "1") numeric.add(row[nameAt]?.trim());
+      }
+    }
+  }
+
+  const dateAt = checkmarks.headers.findIndex((h) => /^date$/i.test(h));
+  const columns = checkmarks.headers
+    .map((name, index) => ({ name, index }))
+    .filter((column) => column.index !== dateAt && column.name)
+    .map((column) => {
+      const raw = checkmarks.rows.map((row) => Number(row[column.index]));
+      // Without Habits.csv, anything beyond the check mark codes is a number
+      const isNumeric = habits ? numeric.has(column.name) : raw.some((n) => Number.isFinite(n) && (n > 3 || n < -1));
+      return { key: `c${column.index}`, index: column.index, name: column.name, type: isNumeric ? "number" : "goodbad", include: true };
+    });
+
+  let skipped = 0;
+  const rows = [];
+  for (const row of checkmarks.rows) {
+    const date = parseDate(row[dateAt]);
+    if (!date) {
+      skipped++;
+      continue;
+    }
+    const values = {};
+    for (const column of columns) {
+      const n = Number(row[column.index]);
+      if (column.type === "number") values[column.key] = n > 0 ? String(n / LOOP_NUMBER_SCALE) : "";
+      else values[column.key] = n === LOOP_CHECKED ? "good" : "";
+    }
+    rows.push({ date, time: null, values });
+  }
+
+  return { columns, rows, skipped };
+}
+
+// Daylio's five default moods, spread over the 1-10 rating scale
+const DAYLIO_MOODS = { rad: 10, good: 8, meh: 6, bad: 4, awful: 2 };
+
+/**
+ * Daylio's CSV backup (full_date, time, mood, activities, note_title, note).
+ * Mood becomes a rating, or options if the user renamed their moods; every
+ * activity becomes a yes/no measure; notes become one text measure.
+ */
+export function daylioToSource(table) {
+  const at = (name) => table.headers.findIndex((h) => h.toLowerCase() === name);
+  const dateAt = at("full_date") >= 0 ? at("full_date") : at("date");
+  const timeAt = at("time");
+  const moodAt = at("mood");
+  const activitiesAt = at("activities");
+  const titleAt = at("note_title");
+  const noteAt = at("note");
+
+  const moods = table.rows.map((row) => row[moodAt]?.trim().toLowerCase()).filter(Boolean);
+  const standardMoods = moods.every((mood) => mood in DAYLIO_MOODS);
+
+  const activityNames = new Set();
+  for (const row of table.rows) {
+    for (const activity of String(row[activitiesAt] || "").split("|")) {
+      if (activity.trim()) activityNames.add(activity.trim());
+    }
+  }
+  const activities = [...activityNames].sort((a, b) => a.localeCompare(b));
+
+  const columns = [
+    ...(moodAt >= 0 ? [{ key: "mood", name: "Mood", type: standardMoods ? "rating" : "options", include: true }] : []),
+    ...activities.map((name, i) => ({ key: `a${i}`, name, type: "goodbad", include: true })),
+    ...(noteAt >= 0 ? [{ key: "note", name: "Daylio note", type: "text", include: true }] : []),
+  ];
+
+  let skipped = 0;
+  const rows = [];
+  for (const row of table.rows) {
+    const date = parseDate(row[dateAt]);
+    if (!date) {
+      skipped++;
+      continue;
+    }
+
+    const values = {};
+    const mood = row[moodAt]?.trim() ?? "";
+    values.mood = standardMoods ? String(DAYLIO_MOODS[mood.toLowerCase()] ?? "") : mood;
+
+    const done = new Set(String(row[activitiesAt] || "").split("|").map((a) => a.trim()));
+    activities.forEach((name, i) => {
+      values[`a${i}`] = done.has(name) ? "good" : "";
+    });
+
+    // Notes can carry Daylio's own markup
+    const note = [row[titleAt], row[noteAt]]
+      .map((part) => String(part || "").replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "").trim())
+      .filter(Boolean)
+      .join("\n");
+    values.note = note;
+
+    rows.push({ date, time: timeAt >= 0 ? parseTime(row[timeAt]) : null, values });
+  }
+
+  return { columns, rows, skipped };
+}
+
+// ============================================================
+// Plan
+// ============================================================
+
+// A new options measure offers the values used most; rows with any other
+// value are skipped, and the preview shows how many
+function commonValues(rows, key) {
+  const counts = new Map();
+  for (const row of rows) {
+    const value = String(row.values[key] ?? "").trim();
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_OPTIONS)
+    .map(([value]) => value);
+}
+
+/**
+ * Turns a source into what the import will do, without doing it: the
+ * measures to create or reuse and one record per usable cell. This is the
+ * dry-run preview and the upload's input.
+ *
+ * `existing` are the user's decrypted measures; a column reuses one with the
+ * same name and type. `taken` holds "measureId|date" pairs that already have
+ * a value, which are skipped rather than doubled. Values an options measure
+ * doesn't offer are skipped too. A reused measure keeps its `encrypted`
+ * flag; new measures are always encrypted.
+ */
+export function buildPlan(source, existing = [], taken = new Set()) {
+  const included = source.columns.filter((column) => column.include && column.name.trim());
+  const measures = included.map((column) => {
+    const match = existing.find(
+      (m) => m.type === column.type && m.name.trim().toLowerCase() === column.name.trim().toLowerCase()
+    );
+    const measure = {
+      key: column.key,
+      name: column.name.trim(),
+      type: column.type,
+      existingId: match?.id ?? null,
+      encrypted: match ? Boolean(match.encrypted) : true,
+      config: null,
+      count: 0,
+    };
+    if (column.type === "options") {
+      measure.options = match ? parseMeasureConfig(match.config).options : commonValues(source.rows, column.key);
+      if (!match) measure.config = JSON.stringify(measure.options);
+    }
+    if (column.type === "rating" && match) measure.scale = getRatingScale(match);
+    if (column.type === "number" && match) measure.format = getNumberFormat(match);
+    return measure;
+  });
+
+  const records = [];
+  let skipped = source.skipped || 0;
+  source.rows.forEach((row, index) => {
+    for (const measure of measures) {
+      const raw = row.values[measure.key];
+      if (raw === undefined || String(raw).trim() === "") continue;
+      const value = toStoredValue(measure.type, raw, measure);
+      const unknownOption = measure.options && !measure.options.includes(value);
+      if (value === null || unknownOption || (measure.existingId && taken.has(`${measure.existingId}|${row.date}`))) {
+        skipped++;
+        continue;
+      }
+      records.push({ key: measure.key, row: index, date: row.date, time: row.time, value });
+      measure.count++;
+    }
+  });
+
+  return { measures: measures.filter((m) => m.count > 0), records, skipped };
+}
@@ -0,0 +1,322 @@
+// Measure config: what a measure needs beyond its name and type, stored as
+// encrypted JSON in measures.config. Older measures store a bare array of
+// options; a measure without extra settings is still written that way, so
+// clients that only know the array keep working.
+
+// How a multi-entry measure sums up its day, by the label the tracker shows
+export const AGGREGATIONS = {
+  sum: "Total",
+  average: "Average",
+  min: "Lowest",
+  max: "Highest",
+  last: "Latest",
+  count: "Count",
+};
+
+// Measure types that can take several entries a day, and their summaries
+export const AGGREGATION_TYPES = {
+  number: ["sum", "average", "min", "max", "last", "count"],
+  rating: ["average", "min", "max", "last", "count"],
+};
+
+// Ratings without a configured scale, like every rating before scales existed
+export const DEFAULT_RATING_SCALE = { min: 1, max: 10, step: 1, labels: null, emoji: null };
+
+// Most buttons a rating scale can have
+export const MAX_RATING_STEPS = 21;
+
+// Number measures without settings: no unit or bounds, ±1, any decimals
+export const DEFAULT_NUMBER_FORMAT = { unit: null, min: null, max: null, step: 1, precision: null };
+
+// Unit systems a user can read numbers in
+export const UNIT_SYSTEMS = ["metric", "imperial"];
+
+/**
+ * Units that convert, by the metric unit values are stored in. A user who
+ * prefers imperial sees and types the other unit; what's stored (and what
+ * bounds and goals are kept in) stays metric, so every device agrees.
+ */
+export const UNIT_FAMILIES = {
+  kg: { label: "Weight", imperial: "lb", toMetric: (v) => v * 0.45359237, fromMetric: (v) => v / 0.45359237 },
+  km: { label: "Distance", imperial: "mi", toMetric: (v) => v * 1.609344, fromMetric: (v) => v / 1.609344 },
+  "°C": { label: "Temperature", imperial: "°F", toMetric: (v) => ((v - 32) * 5) / 9, fromMetric: (v) => (v * 9) / 5 + 32 },
+  ml: { label: "Volume", imperial: "oz", toMetric: (v) => v * 29.5735295625, fromMetric: (v) => v / 29.5735295625 },
+};
+
+// Decimals for stored values: enough to convert back without drift
+const STORED_PRECISION = 6;
+
+// Decimals for converted values when the measure doesn't set its own
+const CONVERTED_PRECISION = 2;
+
+// Most decimals a measure can ask for
+export const MAX_PRECISION = 6;
+
+// Measure types that can have a daily goal, and how the goal reads
+export const GOAL_DIRECTIONS = {
+  number: { at_least: "At least", at_most: "At most" },
+  rating: { at_least: "At least", at_most: "At most" },
+  goodbad: { equals: "A good day" },
+  options: { equals: "Pick" },
+  checklist: { at_least: "At least", all: "Every item" },
+};
+
+export function parseMeasureConfig(config) {
+  let parsed = null;
+  try {
+    parsed = config ? JSON.parse(config) : null;
+  } catch (_err) {
+    parsed = null;
+  }
+
+  const empty = { options: [], goal: null, aggregation: null, scale: null, number: null };
+  if (Array.isArray(parsed)) return { ...empty, options: parsed };
+  if (!parsed || typeof parsed !== "object") return empty;
+  return {
+    options: Array.isArray(parsed.options) ? parsed.options : [],
+    goal: parsed.goal && typeof parsed.goal === "object" ? parsed.goal : null,
+    aggregation: typeof parsed.aggregation === "string" ? parsed.aggregation : null,
+    scale: parsed.scale && typeof parsed.scale === "object" ? parsed.scale : null,
+    number: parsed.number && typeof parsed.number === "object" ? parsed.number : null,
+  };
+}
+
+// JSON for measures.config, or null when there is nothing to store
+export function serializeMeasureConfig({ options = [], goal = null, aggregation = null, scale = null, number = null }) {
+  if (!goal && !aggregation && !scale && !number) return options.length > 0 ? JSON.stringify(options) : null;
+  const config = {};
+  if (options.length > 0) config.options = options;
+  if (goal) config.goal = goal;
+  if (aggregation) config.aggregation = aggregation;
+  if (scale) config.scale = scale;
+  if (number) config.number = number;
+  return JSON.stringify(config);
+}
+
+// ============================================================
+// Rating scales
+// ============================================================
+
+// Float steps like 0.5 add up with rounding errors
+function roundToStep(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Why a rating scale can't be used, or null if it can: min below max, a
+ * positive step that divides the range, and at most MAX_RATING_STEPS buttons.
+ */
+export function ratingScaleError({ min, max, step }) {
+  if (![min, max, step].every(Number.isFinite)) return "The scale needs numbers for from, to and step";
+  if (min >= max) return "The scale must go from a lower to a higher number";
+  if (step <= 0) return "The step must be more than 0";
+  const steps = (max - min) / step;
+  if (Math.abs(steps - Math.round(steps)) > 1e-6) return "The step must divide the scale evenly";
+  if (Math.round(steps) + 1 > MAX_RATING_STEPS) return `A scale can have at most ${MAX_RATING_STEPS} values`;
+  return null;
+}
+
+// The measure's scale, falling back to 1-10 when none (or a broken one) is set
+export function getRatingScale(measure) {
+  const { scale } = parseMeasureConfig(measure.config);
+  if (!scale || ratingScaleError(scale)) return DEFAULT_RATING_SCALE;
+  return {
+    min: scale.min,
+    max: scale.max,
+    step: scale.step,
+    labels: Array.isArray(scale.labels) && scale.labels.length === 2 ? scale.labels : null,
+    emoji: Array.isArray(scale.emoji) && scale.emoji.length > 0 ? scale.emoji : null,
+  };
+}
+
+// Every value a rating can take, lowest first
+export function ratingValues(scale) {
+  const count = Math.round((scale.max - scale.min) / scale.step) + 1;
+  return Array.from({ length: count }, (_, i) => roundToStep(scale.min + i * scale.step));
+}
+
+// Whether `value` is one the scale offers
+export function isRatingValue(scale, value) {
+  return ratingValues(scale).includes(roundToStep(Number(value)));
+}
+
+// The emoji for `value`, spreading the set evenly over the scale
+export function ratingEmoji(scale, value) {
+  if (!scale.emoji) return null;
+  const position = (value - scale.min) / (scale.max - scale.min);
+  const index = Math.round(Math.max(0, Math.min(1, position)) * (scale.emoji.length - 1));
+  return scale.emoji[index];
+}
+
+// "7/10" on scales from 0 or 1; "+2" and "-1" on scales around zero
+export function formatRating(scale, value) {
+  if (scale.min < 0) return value > 0 ? `+${value}` : String(value);
+  return `${value}/${scale.max}`;
+}
+
+// ============================================================
+// Number formats
+// ============================================================
+
+function roundTo(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Why a number format can't be used, or null if it can: bounds in order, a
+ * positive step and whole decimals up to MAX_PRECISION.
+ */
+export function numberFormatError({ min, max, step, precision }) {
+  if (min !== null && max !== null && min >= max) return "The minimum must be below the maximum";
+  if (!Number.isFinite(step) || step <= 0) return "The step must be more than 0";
+  if (precision !== null && (!Number.isInteger(precision) || precision < 0 || precision > MAX_PRECISION)) {
+    return `Decimals must be a whole number from 0 to ${MAX_PRECISION}`;
+  }
+  return null;
+}
+
+// The measure's number format, falling back to the defaults when none (or a broken one) is set
+export function getNumberFormat(measure) {
+  const { number } = parseMeasureConfig(measure.config);
+  if (!number) return DEFAULT_NUMBER_FORMAT;
+  const format = {
+    unit: typeof number.unit === "string" && number.unit.trim() ? number.unit.trim() : null,
+    min: Number.isFinite(number.min) ? number.min : null,
+    max: Number.isFinite(number.max) ? number.max : null,
+    step: Number.isFinite(number.step) ? number.step : DEFAULT_NUMBER_FORMAT.step,
+    precision: Number.isInteger(number.precision) ? number.precision : null,
+  };
+  return numberFormatError(format) ? DEFAULT_NUMBER_FORMAT : format;
+}
+
+// Whether the format's values show converted for `system`
+function convertsFor(format, system) {
+  return system === "imperial" && Boolean(UNIT_FAMILIES[format.unit]);
+}
+
+// The unit shown to a user of `system`: "lb" for a kg measure in imperial
+export function numberUnit(format, system) {
+  return convertsFor(format, system) ? UNIT_FAMILIES[format.unit].imperial : format.unit;
+}
+
+// A stored value as the user sees it, or null if it isn't a number
+export function toDisplayNumber(format, value, system) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  if (!convertsFor(format, system)) return format.precision === null ? number : roundTo(number, format.precision);
+  return roundTo(UNIT_FAMILIES[format.unit].fromMetric(number), format.precision ?? CONVERTED_PRECISION);
+}
+
+// What the user typed as the value to store, or null if it isn't a number
+export function toStoredNumber(format, value, system) {
+  const number = parseFloat(value);
+  if (Number.isNaN(number)) return null;
+  const typed = format.precision === null ? number : roundTo(number, format.precision);
+  if (!convertsFor(format, system)) return typed;
+  return roundTo(UNIT_FAMILIES[format.unit].toMetric(typed), STORED_PRECISION);
+}
+
+// The ± buttons: one step up (1) or down (-1) from a shown value
+export function stepNumber(format, value, direction) {
+  return roundTo(value + direction * format.step, format.precision ?? STORED_PRECISION);
+}
+
+// "72.5 kg", "160 lb", "12"
+export function formatNumber(format, value, system) {
+  const shown = toDisplayNumber(format, value, system);
+  if (shown === null) return "";
+  const text = format.precision === null ? String(shown) : shown.toFixed(format.precision);
+  const unit = numberUnit(format, system);
+  return unit ? `${text} ${unit}` : text;
+}
+
+// Why a stored value is outside the measure's bounds, in the user's units, or null
+export function numberBoundsError(format, value, system) {
+  if (format.min !== null && value < format.min) return `Must be at least ${formatNumber(format, format.min, system)}`;
+  if (format.max !== null && value > format.max) return `Must be at most ${formatNumber(format, format.max, system)}`;
+  return null;
+}
+
+// The measure's summary mode, or null for one value a day
+export function getAggregation(measure) {
+  const { aggregation } = parseMeasureConfig(measure.config);
+  return AGGREGATION_TYPES[measure.type]?.includes(aggregation) ? aggregation : null;
+}
+
+// One value for a day's entries, given oldest first; null without entries
+export function aggregateValues(aggregation, values) {
+  if (values.length === 0) return null;
+  if (aggregation === "count") return values.length;
+  if (aggregation === "last") return values[values.length - 1];
+
+  const numbers = values.map((v) => parseFloat(v)).filter((n) => !Number.isNaN(n));
+  if (numbers.length === 0) return null;
+  switch (aggregation) {
+    case "sum":
+      return numbers.reduce((a, b) => a + b, 0);
+    case "average":
+      return Math.round((numbers.reduce((a, b) => a + b, 0) / numbers.length) * 100) / 100;
+    case "min":
+      return Math.min(...numbers);
+    case "max":
+      return Math.max(...numbers);
+    default:
+      return null;
+  }
+}
+
+export function getMeasureGoal(measure) {
+  if (!GOAL_DIRECTIONS[measure.type]) return null;
+  const { goal } = parseMeasureConfig(measure.config);
+  if (!goal || !GOAL_DIRECTIONS[measure.type][goal.direction]) return null;
+  return goal;
+}
+
+// "At least 8 kg", "At most 3/10", "Good", "Walked", "At least 2 items"
+export function describeGoal(measure, goal, system = "metric") {
+  if (measure.type === "goodbad") return "Good";
+  if (measure.type === "options") return String(goal.target);
+  if (measure.type === "checklist") {
+    return goal.direction === "all" ? "Every item" : `At least ${goal.target} item${goal.target === 1 ? "" : "s"}`;
+  }
+  let target = goal.target;
+  if (getAggregation(measure) !== "count") {
+    if (measure.type === "rating") target = formatRating(getRatingScale(measure), goal.target);
+    if (measure.type === "number") target = formatNumber(getNumberFormat(measure), goal.target, system);
+  }
+  return `${GOAL_DIRECTIONS[measure.type][goal.direction]} ${target}`;
+}
+
+/**
+ * How far a day's value is toward the goal: { met, ratio } with ratio from
+ * 0 to 1 for the progress bar. An "at most" goal is met by any logged value
+ * up to the target, so its ratio is all or nothing.
+ */
+export function goalProgress(measure, goal, value) {
+  if (value === null || value === undefined || value === "") return { met: false, ratio: 0 };
+
+  if (measure.type === "goodbad") {
+    const met = value === "good" || value === 1 || value === "1";
+    return { met, ratio: met ? 1 : 0 };
+  }
+  if (measure.type === "options") {
+    const met = value === goal.target;
+    return { met, ratio: met ? 1 : 0 };
+  }
+  if (measure.type === "checklist") {
+    const items = parseMeasureConfig(measure.config).options;
+    const ticked = Array.isArray(value) ? value.filter((item) => items.includes(item)).length : 0;
+    const target = goal.direction === "all" ? items.length : goal.target;
+    return { met: target > 0 && ticked >= target, ratio: target > 0 ? Math.min(1, ticked / target) : 0 };
+  }
+
+  const amount = parseFloat(value);
+  if (Number.isNaN(amount)) return { met: false, ratio: 0 };
+  if (goal.direction === "at_most") {
+    const met = amount <= goal.target;
+    return { met, ratio: met ? 1 : 0 };
+  }
+  const met = amount >= goal.target;
+  return { met, ratio: goal.target > 0 ? Math.max(0, Math.min(1, amount / goal.target)) : Number(met) };
+}
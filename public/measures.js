@@ -1,16 +1,36 @@
 // Measures management for Daily Tracker
 // Now writes to Dexie IndexedDB for offline support and sync
 
+import { handlePaymentRequired } from "./credits.js";
 import { elements as el, show, hide, setText } from "./dom.js";
 import { encryptEntry, decryptEntry } from "./entryCrypto.js";
+import {
+  AGGREGATION_TYPES,
+  AGGREGATIONS,
+  DEFAULT_NUMBER_FORMAT,
+  DEFAULT_RATING_SCALE,
+  GOAL_DIRECTIONS,
+  getNumberFormat,
+  getRatingScale,
+  numberFormatError,
+  numberUnit,
+  parseMeasureConfig,
+  ratingScaleError,
+  serializeMeasureConfig,
+  toDisplayNumber,
+  toStoredNumber,
+  UNIT_FAMILIES,
+} from "./measureConfig.js";
 import { state } from "./state.js";
+import { getUnitSystem } from "./units.js";
 import {
   getMeasures as dbGetMeasures,
+  getMeasureById as dbGetMeasureById,
   upsertMeasure as dbUpsertMeasure,
   upsertMeasures as dbUpsertMeasures,
   deleteMeasure as dbDeleteMeasure,
-  addPendingMutation,
 } from "./db.js";
+import { enqueueMutation } from "./syncEngine.js";
 
 let measures = [];
 let editingMeasure = null;
@@ -25,12 +45,13 @@ function isUserTyping() {
   return tag === "input" || tag === "textarea";
 }
 
-const TYPE_LABELS = {
+export const TYPE_LABELS = {
   number: "Number",
   text: "Text",
   goodbad: "Good/Bad",
   options: "Multiple choice",
-  rating: "Rating (1-10)",
+  checklist: "Checklist",
+  rating: "Rating",
   time: "Time tracker",
 };
 
@@ -49,6 +70,9 @@ export async function initMeasures() {
 
   // Wire up type change to show/hide options config
   el.measureType?.addEventListener("change", handleTypeChange);
+  el.measureGoalDirection?.addEventListener("change", updateGoalFields);
+  el.measureNumberUnit?.addEventListener("change", updateNumberFields);
+  el.measureOptions?.addEventListener("input", () => renderGoalOptions());
 
   // Close modal on backdrop click
   el.measureModal?.addEventListener("click", (e) => {
@@ -83,11 +107,222 @@ export async function initMeasures() {
 
 function handleTypeChange() {
   const type = el.measureType?.value;
-  if (type === "options") {
-    show(el.measureOptionsConfig);
+  renderOptionsField(type);
+  renderRatingField(type);
+  renderNumberField(type);
+  renderAggregationField(type);
+  renderGoalFields(type);
+}
+
+function renderRatingField(type, scale = DEFAULT_RATING_SCALE) {
+  if (type !== "rating") {
+    hide(el.measureRatingConfig);
+    return;
+  }
+  if (el.measureRatingMin) el.measureRatingMin.value = scale.min;
+  if (el.measureRatingMax) el.measureRatingMax.value = scale.max;
+  if (el.measureRatingStep) el.measureRatingStep.value = scale.step;
+  if (el.measureRatingMinLabel) el.measureRatingMinLabel.value = scale.labels?.[0] ?? "";
+  if (el.measureRatingMaxLabel) el.measureRatingMaxLabel.value = scale.labels?.[1] ?? "";
+  if (el.measureRatingEmoji) el.measureRatingEmoji.value = scale.emoji?.join(" ") ?? "";
+  show(el.measureRatingConfig);
+}
+
+// Bounds show in the user's units; step and decimals are as typed
+function renderNumberField(type, format = DEFAULT_NUMBER_FORMAT) {
+  if (type !== "number") {
+    hide(el.measureNumberConfig);
+    return;
+  }
+  const system = getUnitSystem();
+  const family = UNIT_FAMILIES[format.unit];
+  if (el.measureNumberUnit) el.measureNumberUnit.value = family ? format.unit : format.unit ? "custom" : "";
+  if (el.measureNumberCustomUnit) el.measureNumberCustomUnit.value = family ? "" : format.unit ?? "";
+  if (el.measureNumberMin) el.measureNumberMin.value = format.min === null ? "" : toDisplayNumber(format, format.min, system);
+  if (el.measureNumberMax) el.measureNumberMax.value = format.max === null ? "" : toDisplayNumber(format, format.max, system);
+  if (el.measureNumberStep) el.measureNumberStep.value = format.step;
+  if (el.measureNumberPrecision) el.measureNumberPrecision.value = format.precision ?? "";
+  updateNumberFields();
+  show(el.measureNumberConfig);
+}
+
+// The custom unit box, and which unit the bounds are typed in
+function updateNumberFields() {
+  const unit = el.measureNumberUnit?.value;
+  if (unit === "custom") show(el.measureNumberCustomUnitLabel);
+  else hide(el.measureNumberCustomUnitLabel);
+
+  if (UNIT_FAMILIES[unit] && el.measureNumberHint) {
+    const shown = numberUnit({ unit }, getUnitSystem());
+    el.measureNumberHint.textContent = `Min, max, step and goal are in ${shown}. Change units from the account menu.`;
+    show(el.measureNumberHint);
   } else {
+    hide(el.measureNumberHint);
+  }
+}
+
+/**
+ * The number settings from the modal, with bounds converted to the stored
+ * unit: null when everything is left at the defaults, or undefined after
+ * showing an error.
+ */
+function readNumberFormat() {
+  const choice = el.measureNumberUnit?.value || "";
+  const unit = choice === "custom" ? el.measureNumberCustomUnit?.value?.trim() || null : choice || null;
+  const precision = el.measureNumberPrecision?.value ?? "";
+  const system = getUnitSystem();
+  const unrounded = { ...DEFAULT_NUMBER_FORMAT, unit };
+  const format = {
+    unit,
+    min: toStoredNumber(unrounded, el.measureNumberMin?.value, system),
+    max: toStoredNumber(unrounded, el.measureNumberMax?.value, system),
+    step: parseFloat(el.measureNumberStep?.value),
+    precision: precision === "" ? null : Number(precision),
+  };
+  const error = numberFormatError(format);
+  if (error) {
+    showError(error);
+    return undefined;
+  }
+
+  const plain = !format.unit && format.min === null && format.max === null
+    && format.step === DEFAULT_NUMBER_FORMAT.step && format.precision === null;
+  return plain ? null : format;
+}
+
+/**
+ * The scale from the modal: null for a plain 1-10 scale, which needs no
+ * config, or undefined after showing an error.
+ */
+function readRatingScale() {
+  const scale = {
+    min: parseFloat(el.measureRatingMin?.value),
+    max: parseFloat(el.measureRatingMax?.value),
+    step: parseFloat(el.measureRatingStep?.value),
+  };
+  const error = ratingScaleError(scale);
+  if (error) {
+    showError(error);
+    return undefined;
+  }
+
+  const low = el.measureRatingMinLabel?.value?.trim();
+  const high = el.measureRatingMaxLabel?.value?.trim();
+  if (low || high) scale.labels = [low || "", high || ""];
+  const emoji = (el.measureRatingEmoji?.value || "").split(/\s+/).filter(Boolean);
+  if (emoji.length > 0) scale.emoji = emoji;
+
+  const plain = scale.min === DEFAULT_RATING_SCALE.min && scale.max === DEFAULT_RATING_SCALE.max
+    && scale.step === DEFAULT_RATING_SCALE.step && !scale.labels && !scale.emoji;
+  return plain ? null : scale;
+}
+
+// Multiple choice and checklist measures both list their choices
+function renderOptionsField(type) {
+  if (type !== "options" && type !== "checklist") {
     hide(el.measureOptionsConfig);
+    return;
+  }
+  const checklist = type === "checklist";
+  setText(el.measureOptionsLabel, checklist ? "Items (comma separated)" : "Options (comma separated, 2-5)");
+  if (el.measureOptions) {
+    el.measureOptions.placeholder = checklist ? "e.g. Stretch, Vitamins, Floss" : "e.g. Positive, Negative, Flat";
   }
+  show(el.measureOptionsConfig);
+}
+
+// Number and rating measures can log several entries a day
+function renderAggregationField(type, aggregation = null) {
+  const modes = AGGREGATION_TYPES[type];
+  if (!modes) {
+    hide(el.measureAggregationConfig);
+    return;
+  }
+
+  if (el.measureAggregation) {
+    el.measureAggregation.replaceChildren(
+      new Option("One value", ""),
+      ...modes.map((mode) => new Option(`Several, ${AGGREGATIONS[mode].toLowerCase()} for the day`, mode))
+    );
+    el.measureAggregation.value = modes.includes(aggregation) ? aggregation : "";
+  }
+  show(el.measureAggregationConfig);
+}
+
+function splitOptions(value) {
+  return (value || "").split(",").map((o) => o.trim()).filter((o) => o);
+}
+
+// Fills the goal fields for `type`, selecting `goal` when editing
+function renderGoalFields(type, goal = null) {
+  const directions = GOAL_DIRECTIONS[type];
+  if (!directions) {
+    hide(el.measureGoalConfig);
+    return;
+  }
+
+  if (el.measureGoalDirection) {
+    el.measureGoalDirection.replaceChildren(
+      new Option("No goal", ""),
+      ...Object.entries(directions).map(([value, label]) => new Option(label, value))
+    );
+    el.measureGoalDirection.value = goal?.direction ?? "";
+  }
+  if (el.measureGoalTarget) el.measureGoalTarget.value = typeof goal?.target === "number" ? goal.target : "";
+  renderGoalOptions(goal?.target);
+  updateGoalFields();
+  show(el.measureGoalConfig);
+}
+
+// An options goal picks one of the options typed above
+function renderGoalOptions(selected = el.measureGoalOption?.value) {
+  if (!el.measureGoalOption) return;
+  const options = splitOptions(el.measureOptions?.value);
+  el.measureGoalOption.replaceChildren(...options.map((o) => new Option(o, o)));
+  if (selected && options.includes(selected)) el.measureGoalOption.value = selected;
+}
+
+function updateGoalFields() {
+  const type = el.measureType?.value;
+  const direction = el.measureGoalDirection?.value;
+  const numeric = type === "number" || type === "rating" || type === "checklist";
+  if (direction && direction !== "all" && numeric) show(el.measureGoalTarget);
+  else hide(el.measureGoalTarget);
+  if (direction && type === "options") show(el.measureGoalOption);
+  else hide(el.measureGoalOption);
+}
+
+// The goal from the modal, or undefined after showing an error
+function readGoal(type, options, aggregation, scale) {
+  const direction = el.measureGoalDirection?.value;
+  if (!GOAL_DIRECTIONS[type] || !direction) return null;
+
+  if (type === "goodbad") return { direction, target: "good" };
+  if (direction === "all") return { direction, target: null };
+  if (type === "options") {
+    const target = el.measureGoalOption?.value;
+    if (!options.includes(target)) {
+      showError("Pick the option that meets your goal");
+      return undefined;
+    }
+    return { direction, target };
+  }
+
+  const target = parseFloat(el.measureGoalTarget?.value);
+  if (Number.isNaN(target)) {
+    showError("Enter a number for the goal");
+    return undefined;
+  }
+  const { min, max } = scale ?? DEFAULT_RATING_SCALE;
+  if (type === "rating" && aggregation !== "count" && (target < min || target > max)) {
+    showError(`A rating goal must be between ${min} and ${max}`);
+    return undefined;
+  }
+  if (type === "checklist" && (target < 1 || target > options.length)) {
+    showError(`A checklist goal must be between 1 and ${options.length} items`);
+    return undefined;
+  }
+  return { direction, target };
 }
 
 export async function loadMeasures() {
@@ -319,7 +554,11 @@ function openAddModal() {
   if (el.measureType) el.measureType.disabled = false; // Enable type selection for new measures
   if (el.measureEncrypted) el.measureEncrypted.checked = true;
   if (el.measureOptions) el.measureOptions.value = "";
-  hide(el.measureOptionsConfig);
+  renderOptionsField(el.measureType?.value);
+  renderRatingField(el.measureType?.value);
+  renderNumberField(el.measureType?.value);
+  renderAggregationField(el.measureType?.value);
+  renderGoalFields(el.measureType?.value);
   hide(el.measureError);
   show(el.measureModal);
   el.measureName?.focus();
@@ -337,18 +576,16 @@ function openEditModal(measure) {
   if (el.measureEncrypted) el.measureEncrypted.checked = !!measure.encrypted;
 
   // Handle options config
-  if (measure.type === "options" && measure.config) {
-    show(el.measureOptionsConfig);
-    try {
-      const opts = JSON.parse(measure.config);
-      if (el.measureOptions) el.measureOptions.value = opts.join(", ");
-    } catch (_err) {
-      if (el.measureOptions) el.measureOptions.value = "";
-    }
-  } else {
-    hide(el.measureOptionsConfig);
-    if (el.measureOptions) el.measureOptions.value = "";
-  }
+  const { options, goal, aggregation } = parseMeasureConfig(measure.config);
+  renderOptionsField(measure.type);
+  if (el.measureOptions) el.measureOptions.value = options.join(", ");
+  renderRatingField(measure.type, getRatingScale(measure));
+  const format = getNumberFormat(measure);
+  renderNumberField(measure.type, format);
+  renderAggregationField(measure.type, aggregation);
+  // Number goals are kept in the stored unit and typed in the user's
+  const converts = measure.type === "number" && aggregation !== "count" && typeof goal?.target === "number";
+  renderGoalFields(measure.type, converts ? { ...goal, target: toDisplayNumber(format, goal.target, getUnitSystem()) } : goal);
 
   hide(el.measureError);
   show(el.measureModal);
@@ -375,25 +612,44 @@ async function handleSaveMeasure(e) {
   }
 
   // Parse options config if type is options
-  let config = null;
+  let options = [];
   if (type === "options") {
     const optionsStr = el.measureOptions?.value?.trim();
     if (!optionsStr) {
       showError("Options are required for multiple choice type");
       return;
     }
-    const opts = optionsStr.split(",").map((o) => o.trim()).filter((o) => o);
-    if (opts.length < 2 || opts.length > 5) {
+    options = splitOptions(optionsStr);
+    if (options.length < 2 || options.length > 5) {
       showError("Please provide 2-5 options");
       return;
     }
-    config = opts;
+  } else if (type === "checklist") {
+    // Ticked items are stored by name, so each must be unique
+    options = [...new Set(splitOptions(el.measureOptions?.value))];
+    if (options.length === 0) {
+      showError("Add at least one item to the checklist");
+      return;
+    }
+  }
+
+  const scale = type === "rating" ? readRatingScale() : null;
+  if (scale === undefined) return;
+  const number = type === "number" ? readNumberFormat() : null;
+  if (number === undefined) return;
+  const aggregation = AGGREGATION_TYPES[type] ? el.measureAggregation?.value || null : null;
+  const goal = readGoal(type, options, aggregation, scale);
+  if (goal === undefined) return;
+  if (goal && type === "number" && aggregation !== "count") {
+    const unrounded = { ...(number ?? DEFAULT_NUMBER_FORMAT), precision: null };
+    goal.target = toStoredNumber(unrounded, goal.target, getUnitSystem());
   }
+  const config = serializeMeasureConfig({ options, goal, aggregation, scale, number });
 
   try {
     // Encrypt name and config before saving
     const encryptedName = await encryptEntry(name);
-    const encryptedConfig = config ? await encryptEntry(JSON.stringify(config)) : null;
+    const encryptedConfig = config ? await encryptEntry(config) : null;
 
     const measureData = {
       id,
@@ -405,7 +661,8 @@ async function handleSaveMeasure(e) {
       sort_order: editingMeasure?.sort_order ?? measures.length,
     };
 
-    // Save to Dexie first (for offline support)
+    // Save to Dexie first (for offline support), remembering what it replaced
+    const base = id ? (await dbGetMeasureById(id)) ?? null : null;
     const savedMeasure = await dbUpsertMeasure(measureData);
 
     // Update local state immediately with decrypted values
@@ -413,7 +670,7 @@ async function handleSaveMeasure(e) {
       ...measureData,
       id: savedMeasure?.id || id,
       name, // Use decrypted name for display
-      config: config ? JSON.stringify(config) : null, // Use decrypted config
+      config, // Use decrypted config
     };
 
     if (id) {
@@ -452,11 +709,12 @@ async function handleSaveMeasure(e) {
           await dbUpsertMeasure({ ...measureData, id: data.measure.id });
         }
       } else {
+        await handlePaymentRequired(response);
         throw new Error("Server returned error");
       }
     } catch (serverErr) {
       console.error("[measures] Server sync failed, queued for later:", serverErr);
-      await addPendingMutation("measures", "upsert", measureData);
+      await enqueueMutation("measures", "upsert", { ...measureData, id: savedMeasure?.id ?? id }, base);
     }
 
     // Notify tracker to refresh
@@ -483,10 +741,13 @@ async function handleDeleteMeasure(id) {
         method: "DELETE",
       });
 
-      if (!response.ok) throw new Error("Server returned error");
+      if (!response.ok) {
+        await handlePaymentRequired(response);
+        throw new Error("Server returned error");
+      }
     } catch (serverErr) {
       console.error("[measures] Server delete failed, queued for later:", serverErr);
-      await addPendingMutation("measures", "delete", { id });
+      await enqueueMutation("measures", "delete", { id });
     }
 
     // Notify tracker to refresh
@@ -641,7 +902,10 @@ async function saveNewOrder() {
       body: JSON.stringify({ orders }),
     });
 
-    if (!response.ok) throw new Error("Failed to save order");
+    if (!response.ok) {
+      await handlePaymentRequired(response);
+      throw new Error("Failed to save order");
+    }
 
     // Notify other tabs/panels to refresh
     window.dispatchEvent(new CustomEvent("measures-changed"));
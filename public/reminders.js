@@ -0,0 +1,239 @@
+// "Reminders": daily push notifications to log measures or write the journal
+// (see docs/reminders.md). Schedules are per account; push is per device.
+
+import { closeAvatarMenu } from "./avatar.js";
+import { elements as el, hide, show } from "./dom.js";
+import { getMeasures } from "./measures.js";
+import { state } from "./state.js";
+
+const DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+const DEFAULT_TIME = "20:00";
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+let vapidPublicKey = null;
+let saving = false;
+
+export function initReminders() {
+  el.remindersBtn?.addEventListener("click", () => {
+    closeAvatarMenu();
+    void openRemindersModal();
+  });
+  el.remindersClose?.addEventListener("click", closeRemindersModal);
+  el.remindersModal?.addEventListener("click", (event) => {
+    if (event.target === el.remindersModal) closeRemindersModal();
+  });
+  el.remindersList?.addEventListener("change", (event) => {
+    const toggle = event.target.closest("[data-reminder-enabled]");
+    if (toggle) toggle.closest(".reminder-item")?.classList.toggle("enabled", toggle.checked);
+  });
+  el.remindersPush?.addEventListener("click", () => void togglePush());
+  el.remindersSave?.addEventListener("click", () => void saveReminders());
+}
+
+async function openRemindersModal() {
+  if (!state.session) return;
+  hideStatus();
+  show(el.remindersModal);
+  if (el.remindersList) el.remindersList.innerHTML = `<li class="devices-empty">Loading...</li>`;
+
+  try {
+    const response = await fetch("/api/reminders");
+    if (!response.ok) throw new Error("Failed to load reminders");
+    const result = await response.json();
+    vapidPublicKey = result.vapid_public_key;
+    renderReminders(result.reminders || []);
+    await renderPushState();
+  } catch (err) {
+    console.error("Failed to load reminders:", err);
+    if (el.remindersList) el.remindersList.innerHTML = "";
+    showStatus("Could not load your reminders.", true);
+  }
+}
+
+function closeRemindersModal() {
+  if (saving) return;
+  hide(el.remindersModal);
+}
+
+function showStatus(message, isError = false) {
+  if (!el.remindersStatus) return;
+  el.remindersStatus.textContent = message;
+  el.remindersStatus.classList.toggle("error", isError);
+  show(el.remindersStatus);
+}
+
+function hideStatus() {
+  hide(el.remindersStatus);
+}
+
+function renderReminderItem(measureId, label, reminder) {
+  const weekdays = reminder?.weekdays || EVERY_DAY;
+  const days = DAY_LABELS.map(
+    (day, index) => `<label class="reminder-day">
+      <input type="checkbox" value="${index}" ${weekdays.includes(index) ? "checked" : ""} />
+      <span>${day}</span>
+    </label>`
+  ).join("");
+
+  return `<li class="devices-item reminder-item${reminder ? " enabled" : ""}" data-reminder-measure="${measureId ?? ""}">
+    <label class="reminder-toggle">
+      <input type="checkbox" data-reminder-enabled ${reminder ? "checked" : ""} />
+      <span class="devices-item-name">${escapeHtml(label)}</span>
+    </label>
+    <div class="reminder-schedule">
+      <input type="time" value="${reminder?.time || DEFAULT_TIME}" data-reminder-time />
+      <div class="reminder-days">${days}</div>
+    </div>
+  </li>`;
+}
+
+function renderReminders(reminders) {
+  if (!el.remindersList) return;
+  const byMeasure = new Map(reminders.map((r) => [r.measure_id, r]));
+  const measures = getMeasures().filter((m) => !m._decryptError);
+
+  el.remindersList.innerHTML = [
+    renderReminderItem(null, "Journal", byMeasure.get(null)),
+    ...measures.map((m) => renderReminderItem(m.id, m.name, byMeasure.get(m.id))),
+  ].join("");
+}
+
+// ============================================================
+// Push subscription for this device
+// ============================================================
+
+function pushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
+
+async function currentSubscription() {
+  if (!pushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+async function renderPushState() {
+  if (!el.remindersPush || !el.remindersPushState) return;
+  if (!vapidPublicKey) {
+    el.remindersPushState.textContent = "Push notifications aren't set up on this server, so reminders can't be sent yet.";
+    hide(el.remindersPush);
+    return;
+  }
+  if (!pushSupported()) {
+    el.remindersPushState.textContent = "This browser can't receive push notifications. Install the app to your home screen, or use another browser.";
+    hide(el.remindersPush);
+    return;
+  }
+
+  const subscription = await currentSubscription();
+  el.remindersPushState.textContent = subscription
+    ? "This device gets your reminders."
+    : "This device doesn't get reminders yet.";
+  el.remindersPush.textContent = subscription ? "Turn off on this device" : "Turn on for this device";
+  show(el.remindersPush);
+}
+
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function togglePush() {
+  if (!vapidPublicKey || !pushSupported()) return;
+  el.remindersPush.disabled = true;
+  hideStatus();
+
+  try {
+    const existing = await currentSubscription();
+    if (existing) {
+      await fetch("/api/push/subscriptions", {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ endpoint: existing.endpoint }),
+      });
+      await existing.unsubscribe();
+    } else {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        showStatus("Notifications are blocked. Allow them in your browser settings first.", true);
+        return;
+      }
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(vapidPublicKey),
+      });
+      const response = await fetch("/api/push/subscriptions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(subscription.toJSON()),
+      });
+      if (!response.ok) {
+        await subscription.unsubscribe();
+        throw new Error("Failed to save push subscription");
+      }
+    }
+  } catch (err) {
+    console.error("Failed to change push subscription:", err);
+    showStatus("Could not change notifications for this device.", true);
+  } finally {
+    el.remindersPush.disabled = false;
+    await renderPushState();
+  }
+}
+
+// ============================================================
+// Saving
+// ============================================================
+
+function collectReminders() {
+  return Array.from(el.remindersList?.querySelectorAll(".reminder-item") || [])
+    .filter((item) => item.querySelector("[data-reminder-enabled]")?.checked)
+    .map((item) => ({
+      measure_id: item.dataset.reminderMeasure ? Number(item.dataset.reminderMeasure) : null,
+      time: item.querySelector("[data-reminder-time]")?.value || DEFAULT_TIME,
+      weekdays: Array.from(item.querySelectorAll(".reminder-day input:checked")).map((input) => Number(input.value)),
+    }));
+}
+
+async function saveReminders() {
+  if (saving || !state.session) return;
+
+  const reminders = collectReminders();
+  if (reminders.some((r) => r.weekdays.length === 0)) {
+    showStatus("Pick at least one day for each reminder.", true);
+    return;
+  }
+
+  saving = true;
+  if (el.remindersSave) el.remindersSave.disabled = true;
+  try {
+    const response = await fetch("/api/reminders", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, reminders }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || "Could not save reminders.");
+
+    renderReminders(result.reminders || []);
+    const subscribed = await currentSubscription().catch(() => null);
+    showStatus(
+      reminders.length > 0 && !subscribed
+        ? "Saved. Turn on notifications to get them on this device."
+        : "Saved."
+    );
+  } catch (err) {
+    console.error("Failed to save reminders:", err);
+    showStatus(err.message || "Could not save reminders.", true);
+  } finally {
+    saving = false;
+    if (el.remindersSave) el.remindersSave.disabled = false;
+  }
+}
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
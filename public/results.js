@@ -1,9 +1,27 @@
 // Results panel for Daily Tracker
 
+import { buildLongCsv, buildWideCsv } from "./csvExport.js";
 import { elements as el, show, hide } from "./dom.js";
 import { decryptEntry } from "./entryCrypto.js";
+import { saveFile } from "./export.js";
+import {
+  aggregateValues,
+  DEFAULT_NUMBER_FORMAT,
+  DEFAULT_RATING_SCALE,
+  describeGoal,
+  formatNumber,
+  formatRating,
+  getAggregation,
+  getMeasureGoal,
+  getNumberFormat,
+  getRatingScale,
+  goalProgress,
+  parseMeasureConfig,
+  ratingEmoji,
+} from "./measureConfig.js";
 import { state } from "./state.js";
 import { getCurrentTab } from "./tabs.js";
+import { getUnitSystem } from "./units.js";
 
 let measures = [];
 let historyData = [];
@@ -23,6 +41,14 @@ export async function initResults() {
   // Wire up view toggle
   el.resultsViewToggle?.addEventListener("click", handleViewToggle);
 
+  // Wire up CSV export
+  el.resultsExportBtn?.addEventListener("click", openCsvModal);
+  el.csvClose?.addEventListener("click", closeCsvModal);
+  el.csvModal?.addEventListener("click", (event) => {
+    if (event.target === el.csvModal) closeCsvModal();
+  });
+  el.csvDownload?.addEventListener("click", () => void downloadCsv());
+
   // Listen for tab switches
   window.addEventListener("tab-switched", (e) => {
     if (e.detail.tab === "results") {
@@ -36,7 +62,7 @@ export async function initResults() {
 
   // Listen for measures changes
   window.addEventListener("measures-changed", () => {
-    void loadMeasures();
+    void reloadMeasures();
   });
 
   await loadMeasures();
@@ -77,6 +103,14 @@ function handleViewToggle(e) {
   }
 }
 
+// Redraws what's showing too, e.g. numbers after a switch of units
+async function reloadMeasures() {
+  await loadMeasures();
+  if (getCurrentTab() !== "results") return;
+  if (currentView === "charts") void loadChartData();
+  else renderResults();
+}
+
 async function loadMeasures() {
   if (!state.session) return;
 
@@ -135,6 +169,20 @@ async function decryptMeasures(rawMeasures) {
   return decrypted;
 }
 
+// Decrypt a tracking value if its measure is encrypted, then parse JSON
+// values (timers). Throws when decryption fails.
+async function decodeValue(record, measure) {
+  let value = record.value;
+  if (measure.encrypted && value) {
+    value = await decryptEntry(value);
+  }
+  try {
+    return JSON.parse(value);
+  } catch (_err) {
+    return value; // Keep as string if not JSON
+  }
+}
+
 async function loadResults(reset = true) {
   if (!state.session || isLoading) return;
 
@@ -161,21 +209,12 @@ async function loadResults(reset = true) {
       const measure = measures.find((m) => m.id === record.measure_id);
       if (!measure) continue;
 
-      let value = record.value;
-      if (measure.encrypted && value) {
-        try {
-          value = await decryptEntry(value);
-        } catch (err) {
-          console.error("Failed to decrypt:", err);
-          value = "[Unable to decrypt]";
-        }
-      }
-
-      // Parse JSON value if applicable
+      let value;
       try {
-        value = JSON.parse(value);
-      } catch (_err) {
-        // Keep as string if not JSON
+        value = await decodeValue(record, measure);
+      } catch (err) {
+        console.error("Failed to decrypt:", err);
+        value = "[Unable to decrypt]";
       }
 
       historyData.push({
@@ -237,7 +276,8 @@ function renderResults() {
 
       const entriesHtml = records
         .map((record) => {
-          const valueDisplay = formatValue(record.decryptedValue, record.measureType);
+          const measure = measures.find((m) => m.id === record.measure_id);
+          const valueDisplay = formatValue(record.decryptedValue, record.measureType, measure);
           return `
             <div class="results-entry">
               <span class="results-entry-name">${escapeHtml(record.measureName)}</span>
@@ -261,14 +301,14 @@ function renderResults() {
   el.resultsList.innerHTML = html || '<p class="results-empty">No tracking data yet.</p>';
 }
 
-function formatValue(value, type) {
+function formatValue(value, type, measure) {
   if (value === null || value === undefined || value === "") {
     return { text: "-", className: "" };
   }
 
   switch (type) {
     case "number":
-      return { text: String(value), className: "" };
+      return { text: escapeHtml(formatNumber(numberFormatFor(measure), value, getUnitSystem())), className: "" };
 
     case "text":
       const text = String(value).slice(0, 50);
@@ -297,10 +337,19 @@ function formatValue(value, type) {
     case "options":
       return { text: escapeHtml(String(value)), className: "option-value" };
 
+    case "checklist":
+      if (Array.isArray(value) && value.length > 0) {
+        return { text: escapeHtml(value.join(", ")), className: "option-value" };
+      }
+      return { text: "-", className: "" };
+
     case "rating":
-      const rating = parseInt(value, 10);
-      if (rating >= 1 && rating <= 10) {
-        return { text: `${rating}/10`, className: "rating-value" };
+      const scale = measure ? getRatingScale(measure) : DEFAULT_RATING_SCALE;
+      const rating = parseFloat(value);
+      if (rating >= scale.min && rating <= scale.max) {
+        const emoji = ratingEmoji(scale, rating);
+        const ratingText = formatRating(scale, rating);
+        return { text: emoji ? `${escapeHtml(emoji)} ${ratingText}` : ratingText, className: "rating-value" };
       }
       return { text: "-", className: "" };
 
@@ -358,6 +407,116 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// ============================================================
+// CSV Export
+// ============================================================
+
+let csvExporting = false;
+
+function openCsvModal() {
+  if (!state.session) return;
+
+  const today = new Date();
+  const monthAgo = new Date();
+  monthAgo.setDate(monthAgo.getDate() - CHART_DAYS);
+  if (el.csvFrom && !el.csvFrom.value) el.csvFrom.value = getLocalDateString(monthAgo);
+  if (el.csvTo && !el.csvTo.value) el.csvTo.value = getLocalDateString(today);
+
+  if (el.csvMeasures) {
+    el.csvMeasures.innerHTML = measures.length
+      ? measures
+          .map(
+            (m) => `<label class="export-option">
+              <input type="checkbox" value="${m.id}" checked />
+              <span>${escapeHtml(m.name)}</span>
+            </label>`
+          )
+          .join("")
+      : '<p class="results-empty">No measures yet.</p>';
+  }
+
+  hide(el.csvStatus);
+  show(el.csvModal);
+}
+
+function closeCsvModal() {
+  if (csvExporting) return;
+  hide(el.csvModal);
+}
+
+function showCsvStatus(message, isError = false) {
+  if (!el.csvStatus) return;
+  el.csvStatus.textContent = message;
+  el.csvStatus.classList.toggle("error", isError);
+  show(el.csvStatus);
+}
+
+async function downloadCsv() {
+  if (csvExporting || !state.session) return;
+
+  const from = el.csvFrom?.value;
+  const to = el.csvTo?.value;
+  if (!from || !to || from > to) {
+    showCsvStatus("Pick a start date on or before the end date.", true);
+    return;
+  }
+
+  const selectedIds = new Set(
+    Array.from(el.csvMeasures?.querySelectorAll("input:checked") || []).map((input) => Number(input.value))
+  );
+  const selected = measures.filter((m) => selectedIds.has(m.id));
+  if (selected.length === 0) {
+    showCsvStatus("Pick at least one measure.", true);
+    return;
+  }
+
+  const layout = el.csvModal?.querySelector("[name=csv-layout]:checked")?.value || "long";
+  csvExporting = true;
+  if (el.csvDownload) el.csvDownload.disabled = true;
+
+  try {
+    showCsvStatus("Loading records...");
+    // Records are stored in UTC; the picked days are local, from midnight to midnight
+    const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+    const [toYear, toMonth, toDay] = to.split("-").map(Number);
+    const start = new Date(fromYear, fromMonth - 1, fromDay).toISOString();
+    const end = new Date(toYear, toMonth - 1, toDay + 1).toISOString(); // exclusive
+    const response = await fetch(`/tracking?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`);
+    if (!response.ok) throw new Error("Failed to fetch tracking data");
+    const { data = [] } = await response.json();
+
+    const records = [];
+    const wanted = data.filter((record) => selectedIds.has(record.measure_id));
+    for (const record of wanted) {
+      const measure = selected.find((m) => m.id === record.measure_id);
+      let value;
+      try {
+        value = await decodeValue(record, measure);
+      } catch (err) {
+        console.error("Failed to decrypt:", err);
+        value = "[Unable to decrypt]";
+      }
+      records.push({
+        ...record,
+        decryptedValue: value,
+        measureName: measure.name,
+        measureType: measure.type,
+      });
+      if (records.length % 50 === 0) showCsvStatus(`Decrypting ${records.length} of ${wanted.length}...`);
+    }
+
+    const csv = layout === "wide" ? buildWideCsv(records, selected) : buildLongCsv(records);
+    saveFile(new Blob([csv], { type: "text/csv" }), `ambulando-results-${from}-to-${to}${layout === "wide" ? "-daily" : ""}.csv`);
+    showCsvStatus(`Exported ${records.length} records.`);
+  } catch (err) {
+    console.error("Failed to export CSV:", err);
+    showCsvStatus("Could not export. Try again.", true);
+  } finally {
+    csvExporting = false;
+    if (el.csvDownload) el.csvDownload.disabled = false;
+  }
+}
+
 // ============================================================
 // Charts View
 // ============================================================
@@ -393,20 +552,12 @@ async function loadChartData() {
       const measure = measures.find((m) => m.id === record.measure_id);
       if (!measure) continue;
 
-      let value = record.value;
-      if (measure.encrypted && value) {
-        try {
-          value = await decryptEntry(value);
-        } catch (err) {
-          console.error("Failed to decrypt:", err);
-          continue;
-        }
-      }
-
+      let value;
       try {
-        value = JSON.parse(value);
-      } catch (_err) {
-        // Keep as string
+        value = await decodeValue(record, measure);
+      } catch (err) {
+        console.error("Failed to decrypt:", err);
+        continue;
       }
 
       chartData.push({
@@ -449,7 +600,7 @@ function renderCharts() {
   // Render a chart card for each measure
   const html = measures
     .map((measure) => {
-      const data = dataByMeasure.get(measure.id) || [];
+      const data = summariseDays(measure, dataByMeasure.get(measure.id) || []);
       return renderChartCard(measure, data);
     })
     .join("");
@@ -457,6 +608,25 @@ function renderCharts() {
   el.chartsList.innerHTML = html || '<p class="charts-empty">No measures to chart.</p>';
 }
 
+// Multi-entry measures chart one summarised value per local day
+function summariseDays(measure, data) {
+  const aggregation = getAggregation(measure);
+  if (!aggregation) return data;
+
+  const byDate = new Map();
+  for (const record of [...data].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at))) {
+    const date = getLocalDateString(new Date(record.recorded_at));
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(record);
+  }
+
+  return [...byDate.entries()].map(([date, records]) => ({
+    ...records[records.length - 1],
+    recorded_at: new Date(`${date}T12:00:00`).toISOString(),
+    decryptedValue: aggregateValues(aggregation, records.map((r) => r.decryptedValue)),
+  }));
+}
+
 function renderChartCard(measure, data) {
   const chartContent = renderChartByType(measure, data);
 
@@ -469,6 +639,32 @@ function renderChartCard(measure, data) {
       <div class="chart-card-content">
         ${chartContent}
       </div>
+      ${renderGoalHitRate(measure, data)}
+    </div>
+  `;
+}
+
+// Share of the charted days whose value met the measure's goal
+function renderGoalHitRate(measure, data) {
+  const goal = getMeasureGoal(measure);
+  if (!goal) return "";
+
+  const first = new Date();
+  first.setDate(first.getDate() - (CHART_DAYS - 1));
+  const firstDate = getLocalDateString(first);
+
+  const metDates = new Set(
+    data
+      .filter((d) => goalProgress(measure, goal, d.decryptedValue).met)
+      .map((d) => getLocalDateString(new Date(d.recorded_at)))
+      .filter((date) => date >= firstDate)
+  );
+  const percent = Math.round((metDates.size / CHART_DAYS) * 100);
+
+  return `
+    <div class="chart-goal">
+      <span>Goal: ${escapeHtml(describeGoal(measure, goal, getUnitSystem()))}</span>
+      <span>Hit on <strong>${metDates.size}</strong> of ${CHART_DAYS} days (${percent}%)</span>
     </div>
   `;
 }
@@ -480,6 +676,7 @@ function getChartTypeLabel(type) {
     rating: "Rating Trend",
     time: "Duration Bars",
     options: "Frequency",
+    checklist: "Completion",
     text: "Activity Log",
   };
   return labels[type] || type;
@@ -492,15 +689,19 @@ function renderChartByType(measure, data) {
 
   switch (measure.type) {
     case "number":
-      return renderLineChart(data);
+      return renderLineChart(data, measure);
     case "goodbad":
       return renderStreakChart(data);
     case "rating":
-      return renderRatingChart(data);
+      // Counting ratings gives a number a day, not a rating
+      if (getAggregation(measure) === "count") return renderLineChart(data, measure);
+      return renderRatingChart(data, measure);
     case "time":
       return renderDurationChart(data);
     case "options":
       return renderOptionsChart(data, measure);
+    case "checklist":
+      return renderChecklistChart(data, measure);
     case "text":
       return renderTextActivityChart(data);
     default:
@@ -509,7 +710,13 @@ function renderChartByType(measure, data) {
 }
 
 // Line chart for numbers
-function renderLineChart(data) {
+// A number measure's unit and decimals; counting entries is unitless
+function numberFormatFor(measure) {
+  if (!measure || getAggregation(measure) === "count") return DEFAULT_NUMBER_FORMAT;
+  return getNumberFormat(measure);
+}
+
+function renderLineChart(data, measure) {
   // Sort by date
   const sorted = [...data].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
   const values = sorted.map((d) => parseFloat(d.decryptedValue) || 0);
@@ -536,6 +743,9 @@ function renderLineChart(data) {
   // Stats
   const avg = values.reduce((a, b) => a + b, 0) / values.length;
   const latest = values[values.length - 1];
+  const format = numberFormatFor(measure);
+  const system = getUnitSystem();
+  const shown = (v) => formatNumber({ ...format, precision: format.precision ?? 1 }, v, system);
 
   return `
     <svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
@@ -543,9 +753,9 @@ function renderLineChart(data) {
       ${points.map((p, i) => `<circle cx="${p.split(",")[0]}" cy="${p.split(",")[1]}" r="3" fill="var(--accent)"/>`).join("")}
     </svg>
     <div class="chart-stats">
-      <span>Latest: <strong>${latest.toFixed(1)}</strong></span>
-      <span>Avg: <strong>${avg.toFixed(1)}</strong></span>
-      <span>Range: ${min.toFixed(1)} - ${max.toFixed(1)}</span>
+      <span>Latest: <strong>${escapeHtml(shown(latest))}</strong></span>
+      <span>Avg: <strong>${escapeHtml(shown(avg))}</strong></span>
+      <span>Range: ${escapeHtml(shown(min))} - ${escapeHtml(shown(max))}</span>
     </div>
   `;
 }
@@ -596,10 +806,13 @@ function renderStreakChart(data) {
   `;
 }
 
-// Rating trend (1-10)
-function renderRatingChart(data) {
+// Rating trend, drawn from the bottom to the top of the measure's scale
+function renderRatingChart(data, measure) {
+  const scale = getRatingScale(measure);
   const sorted = [...data].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
-  const values = sorted.map((d) => parseInt(d.decryptedValue, 10) || 0).filter((v) => v >= 1 && v <= 10);
+  const values = sorted
+    .map((d) => parseFloat(d.decryptedValue))
+    .filter((v) => v >= scale.min && v <= scale.max);
 
   if (values.length === 0) return '<p class="chart-empty">No rating data</p>';
 
@@ -609,21 +822,25 @@ function renderRatingChart(data) {
 
   const points = values.map((v, i) => {
     const x = padding + (i / (values.length - 1 || 1)) * (width - 2 * padding);
-    const y = height - padding - ((v - 1) / 9) * (height - 2 * padding);
+    const y = height - padding - ((v - scale.min) / (scale.max - scale.min)) * (height - 2 * padding);
     return `${x},${y}`;
   });
 
   const pathD = points.length > 1 ? `M ${points.join(" L ")}` : "";
-  const avg = values.reduce((a, b) => a + b, 0) / values.length;
+  const avg = Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10;
+  const labels = scale.labels
+    ? `<div class="rating-labels"><span>${escapeHtml(scale.labels[0])}</span><span>${escapeHtml(scale.labels[1])}</span></div>`
+    : "";
 
   return `
     <svg class="rating-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
       <path d="${pathD}" fill="none" stroke="var(--accent)" stroke-width="2"/>
       ${points.map((p) => `<circle cx="${p.split(",")[0]}" cy="${p.split(",")[1]}" r="3" fill="var(--accent)"/>`).join("")}
     </svg>
+    ${labels}
     <div class="chart-stats">
-      <span>Latest: <strong>${values[values.length - 1]}/10</strong></span>
-      <span>Average: <strong>${avg.toFixed(1)}/10</strong></span>
+      <span>Latest: <strong>${formatRating(scale, values[values.length - 1])}</strong></span>
+      <span>Average: <strong>${formatRating(scale, avg)}</strong></span>
     </div>
   `;
 }
@@ -720,12 +937,7 @@ function renderDurationChart(data) {
 
 // Options frequency chart
 function renderOptionsChart(data, measure) {
-  let options = [];
-  try {
-    options = measure.config ? JSON.parse(measure.config) : [];
-  } catch (_err) {
-    options = [];
-  }
+  const { options } = parseMeasureConfig(measure.config);
 
   // Count occurrences
   const counts = new Map();
@@ -764,6 +976,44 @@ function renderOptionsChart(data, measure) {
   `;
 }
 
+// Checklist completion: on how many days each item was ticked
+function renderChecklistChart(data, measure) {
+  const { options: items } = parseMeasureConfig(measure.config);
+
+  const daysByItem = new Map(items.map((item) => [item, new Set()]));
+  for (const d of data) {
+    if (!Array.isArray(d.decryptedValue)) continue;
+    for (const item of d.decryptedValue) {
+      daysByItem.get(item)?.add(getLocalDateString(new Date(d.recorded_at)));
+    }
+  }
+
+  const barsHtml = items
+    .map((item) => {
+      const days = daysByItem.get(item).size;
+      const percent = Math.round((days / CHART_DAYS) * 100);
+      return `
+        <div class="option-bar-row">
+          <span class="option-bar-label">${escapeHtml(item)}</span>
+          <div class="option-bar-track">
+            <div class="option-bar-fill" style="width: ${percent}%"></div>
+          </div>
+          <span class="option-bar-count">${percent}%</span>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="options-chart">
+      ${barsHtml}
+    </div>
+    <div class="chart-stats">
+      <span>Share of the last ${CHART_DAYS} days each item was ticked</span>
+    </div>
+  `;
+}
+
 // Text activity (just show count/dots)
 function renderTextActivityChart(data) {
   // Build a map of date -> has entry
@@ -5,6 +5,7 @@ import { state } from "./state.js";
 import {
   upsertMeasures,
   upsertTrackingDataBulk,
+  applyDeletions,
 } from "./db.js";
 
 let eventSource = null;
@@ -80,6 +81,11 @@ async function handleSSEEvent(event) {
 
   // Write to Dexie first, then dispatch UI events
   try {
+    // Deletes carry only an id; mirror them locally so no ghost rows remain
+    if (event.action === "deleted" && event.id) {
+      await applyDeletions([{ table: event.type === "measures" ? "measures" : "trackingData", id: event.id }]);
+    }
+
     switch (event.type) {
       case "measures":
         // Upsert measures into Dexie
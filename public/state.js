@@ -1,6 +1,7 @@
 // Client state management
 // Maintains backward compatibility while migrating to Dexie + Alpine
 
+import { bootstrap, rememberSession } from "./bootstrap.js";
 import { initDB } from "./db.js";
 import { initStores, initSessionStores, destroyStores, loadAlpine } from "./stores.js";
 
@@ -8,7 +9,7 @@ const refreshers = new Set();
 
 // Legacy state object (for backward compatibility during migration)
 export const state = {
-  session: window.__NOSTR_SESSION__,
+  session: bootstrap.session,
   summaries: { day: null, week: null },
 };
 
@@ -26,6 +27,7 @@ ensureDBInitialized().catch(console.error);
 
 export const setSession = async (nextSession) => {
   state.session = nextSession;
+  await rememberSession(nextSession);
 
   // Initialize Alpine stores when session is set
   if (nextSession) {
@@ -6,6 +6,7 @@ import {
   getDB,
   getLiveQuery,
   getMeasures as dbGetMeasures,
+  getMeasureById as dbGetMeasureById,
   upsertMeasure as dbUpsertMeasure,
   upsertMeasures as dbUpsertMeasures,
   deleteMeasure as dbDeleteMeasure,
@@ -17,11 +18,12 @@ import {
   upsertEntry as dbUpsertEntry,
   getActiveTimer as dbGetActiveTimer,
   getTimerSessions as dbGetTimerSessions,
-  addPendingMutation,
-  getPendingMutations,
-  deletePendingMutation,
   setLastSyncTime,
   getLastSyncTime,
+  getSyncCursor,
+  setSyncCursor,
+  applyDeletions,
+  clearSyncedData,
   getSecret,
   setSecret,
   deleteSecret,
@@ -29,10 +31,15 @@ import {
   getCachedProfile,
   setCachedProfile,
 } from "./db.js";
+import { enqueueMutation, flushQueue, initSyncEngine, stopSyncEngine } from "./syncEngine.js";
 
 let Alpine = null;
 let storesInitialized = false;
 
+// Changes per /sync page; a device that was offline for months catches up
+// over several small requests instead of one huge one
+const SYNC_PAGE_SIZE = 500;
+
 /**
  * Load Alpine.js from CDN
  */
@@ -311,117 +318,89 @@ export async function initStores(session) {
     syncing: false,
     lastSync: null,
     pendingCount: 0,
+    failedCount: 0,
 
     async init() {
-      // Listen for online/offline events
+      // Listen for online/offline events; the sync engine flushes on "online"
       window.addEventListener("online", () => {
         this.online = true;
-        this.flushPending();
       });
       window.addEventListener("offline", () => {
         this.online = false;
       });
+      window.addEventListener("sync-queue-changed", (event) => {
+        this.pendingCount = event.detail.pending;
+        this.failedCount = event.detail.failed;
+      });
 
       // Load last sync time
       this.lastSync = await getLastSyncTime();
 
-      // Count pending mutations
-      const pending = await getPendingMutations();
-      this.pendingCount = pending.length;
+      // Replay anything queued while offline
+      await initSyncEngine();
     },
 
-    async flushPending() {
-      if (!this.online || this.syncing) return;
-
-      const pending = await getPendingMutations();
-      if (pending.length === 0) return;
-
-      this.syncing = true;
-
-      for (const mutation of pending) {
-        try {
-          await this.processMutation(mutation);
-          await deletePendingMutation(mutation.id);
-          this.pendingCount--;
-        } catch (err) {
-          console.error("[sync] Failed to process mutation:", err);
-          // Keep in queue for retry
-          break;
-        }
-      }
-
-      this.syncing = false;
-    },
-
-    async processMutation(mutation) {
-      const { table, operation, data } = mutation;
-
-      let endpoint, method, body;
-
-      switch (table) {
-        case "measures":
-          endpoint = "/api/measures";
-          method = operation === "delete" ? "DELETE" : "POST";
-          body = data;
-          break;
-        case "trackingData":
-          endpoint = "/tracking";
-          method = operation === "delete" ? "DELETE" : "POST";
-          body = data;
-          break;
-        case "entries":
-          endpoint = "/entries";
-          method = "POST";
-          body = data;
-          break;
-        default:
-          console.warn("[sync] Unknown table:", table);
-          return;
-      }
-
-      const response = await fetch(endpoint, {
-        method,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(body),
-      });
-
-      if (!response.ok) {
-        throw new Error(`Sync failed: ${response.status}`);
-      }
-
-      return response.json();
+    flushPending() {
+      return flushQueue();
     },
 
     async pullChanges() {
       if (!this.online || this.syncing) return;
 
+      const owner = Alpine.store("session").npub;
+      if (!owner) return;
+
       this.syncing = true;
 
       try {
-        const since = this.lastSync || "1970-01-01T00:00:00Z";
-        const response = await fetch(`/sync?since=${encodeURIComponent(since)}`);
+        let cursor = await getSyncCursor(owner);
+        let hasMore = true;
 
-        if (!response.ok) {
-          throw new Error(`Pull failed: ${response.status}`);
+        // A full pull replaces whatever an older client left behind
+        if (cursor === 0) {
+          await clearSyncedData(owner);
         }
 
-        const { measures, trackingData, entries, serverTime } = await response.json();
+        while (hasMore) {
+          const response = await fetch(`/sync?cursor=${cursor}&limit=${SYNC_PAGE_SIZE}`);
 
-        // Upsert into Dexie
-        if (measures?.length) {
-          await dbUpsertMeasures(measures);
-        }
-        if (trackingData?.length) {
-          await dbUpsertTrackingDataBulk(trackingData);
-        }
-        if (entries?.length) {
-          for (const entry of entries) {
-            await dbUpsertEntry(entry);
+          if (!response.ok) {
+            throw new Error(`Pull failed: ${response.status}`);
+          }
+
+          const page = await response.json();
+
+          // Deletes we never saw were garbage-collected; start over
+          if (page.reset) {
+            await clearSyncedData(owner);
+            cursor = 0;
+            await setSyncCursor(owner, cursor);
+            continue;
+          }
+
+          // Upsert into Dexie
+          if (page.measures?.length) {
+            await dbUpsertMeasures(page.measures);
           }
+          if (page.trackingData?.length) {
+            await dbUpsertTrackingDataBulk(page.trackingData);
+          }
+          if (page.entries?.length) {
+            for (const entry of page.entries) {
+              await dbUpsertEntry(entry);
+            }
+          }
+          if (page.deleted?.length) {
+            await applyDeletions(page.deleted);
+          }
+
+          // Persist after every page so an interrupted catch-up resumes here
+          cursor = page.cursor;
+          hasMore = page.hasMore;
+          await setSyncCursor(owner, cursor);
         }
 
-        // Update last sync time
-        this.lastSync = serverTime || new Date().toISOString();
+        this.lastSync = new Date().toISOString();
         await setLastSyncTime(this.lastSync);
       } catch (err) {
         console.error("[sync] Pull failed:", err);
@@ -516,6 +495,7 @@ export function destroyStores() {
   Alpine.store("tracking").destroy();
   Alpine.store("entries").destroy();
   Alpine.store("session").clear();
+  stopSyncEngine();
 }
 
 /**
@@ -558,12 +538,10 @@ export async function saveTrackingData(measureId, value, options = {}) {
       }
     } catch (err) {
       console.error("[stores] Server save failed, queuing:", err);
-      await addPendingMutation("trackingData", "upsert", data);
-      sync.pendingCount++;
+      await enqueueMutation("trackingData", "upsert", { ...data, id: saved?.id }, existingRecord ?? null);
     }
   } else {
-    await addPendingMutation("trackingData", "upsert", data);
-    if (sync) sync.pendingCount++;
+    await enqueueMutation("trackingData", "upsert", { ...data, id: saved?.id }, existingRecord ?? null);
   }
 
   return saved;
@@ -580,6 +558,7 @@ export async function saveMeasure(measure) {
     ...measure,
     owner: session.npub,
   };
+  const base = measure.id != null ? (await dbGetMeasureById(measure.id)) ?? null : null;
 
   // Save to Dexie
   const saved = await dbUpsertMeasure(data);
@@ -602,12 +581,10 @@ export async function saveMeasure(measure) {
       }
     } catch (err) {
       console.error("[stores] Measure save failed, queuing:", err);
-      await addPendingMutation("measures", "upsert", data);
-      sync.pendingCount++;
+      await enqueueMutation("measures", "upsert", { ...data, id: saved?.id }, base);
     }
   } else {
-    await addPendingMutation("measures", "upsert", data);
-    if (sync) sync.pendingCount++;
+    await enqueueMutation("measures", "upsert", { ...data, id: saved?.id }, base);
   }
 
   return saved;
@@ -624,6 +601,8 @@ export async function saveEntry(entry) {
     ...entry,
     owner: session.npub,
   };
+  const sameDay = await dbGetEntriesForDate(session.npub, data.entry_date);
+  const base = sameDay.find((e) => e.slot === data.slot) ?? null;
 
   // Save to Dexie
   const saved = await dbUpsertEntry(data);
@@ -650,12 +629,10 @@ export async function saveEntry(entry) {
       }
     } catch (err) {
       console.error("[stores] Entry save failed, queuing:", err);
-      await addPendingMutation("entries", "upsert", data);
-      sync.pendingCount++;
+      await enqueueMutation("entries", "upsert", { ...data, id: saved?.id }, base);
     }
   } else {
-    await addPendingMutation("entries", "upsert", data);
-    if (sync) sync.pendingCount++;
+    await enqueueMutation("entries", "upsert", { ...data, id: saved?.id }, base);
   }
 
   return saved;
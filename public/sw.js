@@ -1,7 +1,7 @@
 // Service Worker for Three Things
 // Caches external libraries and app assets
 
-const CACHE_NAME = "three-things-v18";
+const CACHE_NAME = "three-things-v42";
 
 // External libraries to cache
 const EXTERNAL_LIBS = [
@@ -13,14 +13,18 @@ const EXTERNAL_LIBS = [
   "https://esm.sh/applesauce-core@4.0.0/helpers?bundle",
   "https://esm.sh/rxjs@7.8.1?bundle",
   "https://esm.sh/qrcode@1.5.3",
+  // Unzips Loop Habit Tracker exports
+  "https://esm.sh/fflate@0.8.2",
   // Dexie for IndexedDB
   "https://esm.sh/dexie@4.0.11",
   // Alpine.js for reactive UI
   "https://esm.sh/alpinejs@3.14.8",
 ];
 
-// HTML page routes - NEVER cache these (they contain session state)
+// HTML page routes. They all serve the same session-free app shell, cached
+// under SHELL_URL so any route can boot offline.
 const HTML_ROUTES = ["/", "/daily", "/timers", "/measures", "/results"];
+const SHELL_URL = "/";
 
 // Check if a path is an HTML route (including /daily/:date pattern)
 function isHtmlRoute(pathname) {
@@ -34,27 +38,39 @@ function isHtmlRoute(pathname) {
 const LOCAL_ASSETS = [
   "/app.js",
   "/app.css",
+  "/apiTokens.js",
+  "/archiveImport.js",
   "/auth.js",
   "/avatar.js",
+  "/bootstrap.js",
   "/constants.js",
   "/credits.js",
   "/crypto.js",
+  "/csvExport.js",
   "/db.js",
   "/dom.js",
   "/entries.js",
   "/entryCrypto.js",
+  "/export.js",
+  "/historyImport.js",
+  "/importParsers.js",
+  "/measureConfig.js",
   "/nostr.js",
   "/pin.js",
   "/pullRefresh.js",
+  "/reminders.js",
   "/sse.js",
   "/state.js",
   "/stores.js",
+  "/syncConflicts.js",
+  "/syncEngine.js",
   "/tabs.js",
   "/timers.js",
   "/tracker.js",
   "/measures.js",
   "/results.js",
   "/ui.js",
+  "/units.js",
   "/favicon.png",
   "/manifest.webmanifest",
 ];
@@ -63,8 +79,8 @@ const LOCAL_ASSETS = [
 self.addEventListener("install", (event) => {
   event.waitUntil(
     caches.open(CACHE_NAME).then(async (cache) => {
-      // Cache local assets
-      await cache.addAll(LOCAL_ASSETS);
+      // Cache the app shell and local assets
+      await cache.addAll([SHELL_URL, ...LOCAL_ASSETS]);
 
       // Cache external libs (don't fail install if one fails)
       for (const url of EXTERNAL_LIBS) {
@@ -124,8 +140,20 @@ function isImageRequest(url) {
 self.addEventListener("fetch", (event) => {
   const url = new URL(event.request.url);
 
-  // For HTML page routes, ALWAYS use network (they contain session state)
-  if (isHtmlRoute(url.pathname)) {
+  // For HTML page routes, network-first so deploys show up at once; offline,
+  // the cached shell boots from the session cached in IndexedDB
+  if (isHtmlRoute(url.pathname) && event.request.method === "GET") {
+    event.respondWith(
+      fetch(event.request)
+        .then((response) => {
+          if (response.ok) {
+            const clone = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(SHELL_URL, clone));
+          }
+          return response;
+        })
+        .catch(async () => (await caches.match(SHELL_URL)) || Response.error())
+    );
     return;
   }
 
@@ -197,3 +225,282 @@ self.addEventListener("fetch", (event) => {
     );
   }
 });
+
+// ============================================================
+// Background Sync: flush queued mutations while no page is open
+// ============================================================
+//
+// The page registers SYNC_TAG whenever saves are left in the Dexie
+// pendingMutations queue (public/syncEngine.js). If a window is open we hand
+// the flush to it, since only the page can ask the user about conflicting
+// journal entries. Otherwise the worker pushes what it safely can and leaves
+// conflicts and failures for the page.
+
+const SYNC_TAG = "flush-mutations";
+const APP_DB_NAME = "ambulando";
+const SW_PUSH_BATCH_SIZE = 50;
+
+const SW_DELETE_ENDPOINTS = {
+  measures: (id) => `/api/measures/${id}`,
+  trackingData: (id) => `/tracking/${id}`,
+};
+
+// Thrown to make the browser retry the sync later with its own backoff
+class RetryLater extends Error {}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function idbEach(source, query, visit) {
+  return new Promise((resolve, reject) => {
+    const request = source.openCursor(query);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      visit(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Dexie owns the schema, so never create or upgrade the database from here
+function openAppDB() {
+  return new Promise((resolve) => {
+    const request = indexedDB.open(APP_DB_NAME);
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+}
+
+function isLocalId(id) {
+  return typeof id === "string" && id.startsWith("local_");
+}
+
+function baseVersion(mutation) {
+  if (!("base" in mutation)) return undefined;
+  return mutation.base?.sync_version ?? null;
+}
+
+async function readQueue(db) {
+  const tx = db.transaction("pendingMutations", "readonly");
+  const all = await idbRequest(tx.objectStore("pendingMutations").getAll());
+  return all.filter((m) => (m.status || "pending") === "pending");
+}
+
+async function swFetch(url, options) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, credentials: "same-origin" });
+  } catch (_err) {
+    throw new RetryLater("Server unreachable");
+  }
+  if (response.status >= 500 || response.status === 408 || response.status === 429) {
+    throw new RetryLater(`Server error ${response.status}`);
+  }
+  return response;
+}
+
+// Mirror of applyPushedRecord() + applyIdMap() in public/db.js. Requests run
+// in the order they are placed, so the landed rows are swapped in before any
+// cursor could visit (and re-save) a row that is being replaced.
+async function applyPushed(db, landed, idMap) {
+  const stores = ["measures", "trackingData", "entries", "timerSessions", "pendingMutations"];
+  const tx = db.transaction(stores, "readwrite");
+  const done = idbDone(tx);
+  const now = new Date().toISOString();
+  const serverIds = new Map(Object.entries(idMap || {}));
+  const cursors = [];
+
+  for (const { mutation, record } of landed) {
+    const store = tx.objectStore(mutation.table);
+    if (mutation.data.id != null && mutation.data.id !== record.id) store.delete(mutation.data.id);
+    store.put({ ...record, syncedAt: now });
+  }
+
+  for (const [localId, serverId] of serverIds) {
+    for (const name of ["trackingData", "timerSessions"]) {
+      const index = tx.objectStore(name).index("measure_id");
+      cursors.push(idbEach(index, IDBKeyRange.only(localId), (cursor) => {
+        cursor.update({ ...cursor.value, measure_id: serverId });
+      }));
+    }
+  }
+
+  const landedIds = new Set(landed.map(({ mutation }) => mutation.id));
+  cursors.push(idbEach(tx.objectStore("pendingMutations"), null, (cursor) => {
+    const mutation = cursor.value;
+    if (landedIds.has(mutation.id)) {
+      cursor.delete();
+      return;
+    }
+
+    const data = { ...mutation.data };
+    if (serverIds.has(data.id)) data.id = serverIds.get(data.id);
+    if (serverIds.has(data.measure_id)) data.measure_id = serverIds.get(data.measure_id);
+
+    // Later edits to a record that just landed are based on it
+    let base = mutation.base;
+    if (base === null) {
+      base = landed.find(({ mutation: m, record }) => m.table === mutation.table && record.id === data.id)?.record ?? null;
+    }
+    cursor.update({ ...mutation, data, base });
+  }));
+
+  await Promise.all([...cursors, done]);
+}
+
+async function pushUpserts(db, batch) {
+  const body = { measures: [], trackingData: [], entries: [] };
+  const sent = [];
+  for (const mutation of batch) {
+    const items = body[mutation.table];
+    if (!items) continue;
+    sent.push({ mutation, index: items.length });
+    items.push({ ...mutation.data, base_version: baseVersion(mutation) });
+  }
+  if (sent.length === 0) return 0;
+
+  const response = await swFetch("/sync", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) return 0;
+
+  const { results, idMap } = await response.json();
+  const landed = sent
+    .map(({ mutation, index }) => ({ mutation, result: results[mutation.table]?.[index] }))
+    .filter(({ result }) => result?.status === "ok")
+    .map(({ mutation, result }) => ({ mutation, record: result.record }));
+
+  await applyPushed(db, landed, idMap);
+  return landed.length;
+}
+
+async function pushDelete(db, mutation) {
+  const endpoint = SW_DELETE_ENDPOINTS[mutation.table];
+  if (!endpoint) return 0;
+
+  if (!isLocalId(mutation.data.id)) {
+    const response = await swFetch(endpoint(mutation.data.id), { method: "DELETE" });
+    if (!response.ok && response.status !== 404) return 0;
+  }
+
+  const tx = db.transaction("pendingMutations", "readwrite");
+  tx.objectStore("pendingMutations").delete(mutation.id);
+  await idbDone(tx);
+  return 1;
+}
+
+// Push the queue in order until it is empty or an item can't go through here
+async function flushFromWorker() {
+  const db = await openAppDB();
+  if (!db) return 0;
+
+  let total = 0;
+  try {
+    if (!db.objectStoreNames.contains("pendingMutations")) return 0;
+
+    for (;;) {
+      const queue = await readQueue(db);
+      if (queue.length === 0) break;
+
+      let landed;
+      if (queue[0].operation === "delete") {
+        landed = await pushDelete(db, queue[0]);
+      } else {
+        const batch = [];
+        for (const mutation of queue) {
+          if (mutation.operation === "delete" || batch.length === SW_PUSH_BATCH_SIZE) break;
+          batch.push(mutation);
+        }
+        landed = await pushUpserts(db, batch);
+      }
+
+      // Conflicts, rejections, no session or no credits: the page deals with it
+      if (landed === 0) break;
+      total += landed;
+    }
+  } finally {
+    db.close();
+  }
+  return total;
+}
+
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: "window" });
+  for (const client of windows) client.postMessage(message);
+  return windows.length;
+}
+
+async function handleBackgroundFlush() {
+  // An open page flushes with its full conflict handling
+  if (await notifyClients({ type: "flush" })) return;
+
+  const pushed = await flushFromWorker();
+  if (pushed > 0) await notifyClients({ type: "mutations-flushed", pushed });
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(handleBackgroundFlush());
+});
+
+// Fallback where one-off Background Sync is missing but periodic sync exists
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(handleBackgroundFlush());
+});
+
+// ============================================================
+// Reminder notifications (Web Push, see docs/reminders.md)
+// ============================================================
+
+self.addEventListener("push", (event) => {
+  let message = {};
+  try {
+    message = event.data?.json() || {};
+  } catch (_err) {
+    // Not ours; show a plain notification so the browser doesn't show its own
+  }
+  event.waitUntil(
+    self.registration.showNotification(message.title || "Ambulando", {
+      body: message.body || "",
+      tag: message.tag,
+      icon: "/icon-192.png",
+      badge: "/icon-192.png",
+      data: { url: message.url || "/" },
+    })
+  );
+});
+
+// Opens the day the reminder was for, in an open window if there is one
+async function openFromNotification(url) {
+  const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+  const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+  if (existing) {
+    const navigated = await existing.navigate(url).catch(() => null);
+    return (navigated || existing).focus();
+  }
+  return self.clients.openWindow(url);
+}
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin);
+  // Only ever open pages of this app
+  const target = url.origin === self.location.origin ? url.pathname : "/";
+  event.waitUntil(openFromNotification(target));
+});
@@ -0,0 +1,65 @@
+// Conflict resolution for pushed offline edits (see docs/sync.md)
+//
+// Measures and tracking data merge field by field: a field only one side
+// changed keeps that change, a field both sides changed goes to whichever
+// write happened last. Journal entries are free text, so the user decides.
+
+// Fields a client may edit, per table
+const MERGE_FIELDS = {
+  measures: ["name", "type", "encrypted", "sort_order", "config"],
+  trackingData: ["value"],
+};
+
+// Dexie rows keep booleans where the server stores 0/1
+function normalize(value) {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value ?? null;
+}
+
+function same(a, b) {
+  return normalize(a) === normalize(b);
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone: "YYYY-MM-DD HH:MM:SS"
+function parseServerTime(value) {
+  if (!value) return 0;
+  const iso = value.includes("T") ? value : `${value.replace(" ", "T")}Z`;
+  return Date.parse(iso) || 0;
+}
+
+/**
+ * Merge a local edit with the newer server copy.
+ * Returns the fields to push again, or null when the server copy already
+ * holds everything (nothing of ours survives the merge).
+ */
+export function mergeFields(table, mutation, server) {
+  const fields = MERGE_FIELDS[table] || [];
+  const base = mutation.base || {};
+  const local = mutation.data;
+  const localIsNewer = Date.parse(mutation.createdAt) > parseServerTime(server.updated_at);
+
+  const merged = {};
+  let keepsLocalChange = false;
+
+  for (const field of fields) {
+    if (!(field in local)) continue;
+    const localChanged = !same(local[field], base[field]);
+    const serverChanged = !same(server[field], base[field]);
+    const takeLocal = localChanged && (!serverChanged || localIsNewer);
+    merged[field] = takeLocal ? local[field] : server[field];
+    if (takeLocal && !same(local[field], server[field])) keepsLocalChange = true;
+  }
+
+  return keepsLocalChange ? merged : null;
+}
+
+/**
+ * Ask whether to keep this device's version of a journal entry that was also
+ * changed elsewhere. Returns true to overwrite the server copy.
+ */
+export function confirmEntryOverwrite(entry) {
+  return confirm(
+    `Your journal entry for ${entry.entry_date} (#${entry.slot}) was changed on another device while this one was offline.\n\n` +
+    "OK keeps the version from this device. Cancel keeps the other device's version."
+  );
+}
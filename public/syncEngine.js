@@ -0,0 +1,429 @@
+// Offline mutation queue and its replay
+//
+// Saves that can't reach the server wait in Dexie `pendingMutations`. The
+// queue drains in order whenever we're online: upserts go to POST /sync in
+// batches, deletes to their REST endpoints. Network and server errors back
+// off exponentially; items the server rejects outright are dead-lettered
+// (status "failed") so they stop blocking everything queued behind them.
+
+import { handlePaymentRequired } from "./credits.js";
+import {
+  addPendingMutation,
+  applyIdMap,
+  applyPushedRecord,
+  deletePendingMutation,
+  getPendingMutations,
+  updatePendingMutation,
+} from "./db.js";
+import { elements as el, hide, show, setText } from "./dom.js";
+import { confirmEntryOverwrite, mergeFields } from "./syncConflicts.js";
+
+// Upserts sent per POST /sync
+const PUSH_BATCH_SIZE = 50;
+
+// Server errors (or conflict rounds) before an item is dead-lettered
+const MAX_ATTEMPTS = 8;
+
+const BASE_RETRY_MS = 2000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+// Must match SYNC_TAG in sw.js
+const BACKGROUND_SYNC_TAG = "flush-mutations";
+const PERIODIC_SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+const DELETE_ENDPOINTS = {
+  measures: (id) => `/api/measures/${id}`,
+  trackingData: (id) => `/tracking/${id}`,
+};
+
+let initialized = false;
+let active = false;
+let flushing = false;
+let paused = false; // Out of credits: nothing goes through until the user tops up
+let failures = 0;
+let retryTimer = null;
+let landed = 0; // Items that reached the server during the current flush
+const inFlight = new Set();
+
+function isLocalId(id) {
+  return typeof id === "string" && id.startsWith("local_");
+}
+
+// Edits to the same record coalesce; entries are keyed by day and slot
+function recordKey(table, data) {
+  if (table === "entries") return data.entry_date && data.slot ? `${data.entry_date}:${data.slot}` : null;
+  return data.id ?? null;
+}
+
+// Queue rows written before conflict detection have no base and are pushed
+// blind, as they always were
+function baseVersion(mutation) {
+  if (!("base" in mutation)) return undefined;
+  return mutation.base?.sync_version ?? null;
+}
+
+/**
+ * Queue a change for the server. A later edit to a record that is still
+ * waiting replaces the queued one instead of adding a second push.
+ */
+export async function enqueueMutation(table, operation, data, base = null) {
+  const key = recordKey(table, data);
+  const queue = key == null ? [] : await getPendingMutations();
+  const previous = queue.find(
+    (m) => m.status === "pending" && !inFlight.has(m.id) && m.table === table && recordKey(table, m.data) === key
+  );
+  const now = new Date().toISOString();
+
+  if (!previous || previous.operation === "delete") {
+    await addPendingMutation(table, operation, data, base);
+  } else if (operation === "delete") {
+    if (isLocalId(key)) {
+      // Created and deleted while offline: the server never needs to know
+      await deletePendingMutation(previous.id);
+    } else {
+      await updatePendingMutation(previous.id, { operation: "delete", data, createdAt: now });
+    }
+  } else {
+    // createdAt is the time of the latest edit, which conflict resolution compares
+    await updatePendingMutation(previous.id, { data: { ...previous.data, ...data }, createdAt: now });
+  }
+
+  await refreshStatus();
+  if (navigator.onLine) {
+    void flushQueue();
+  } else {
+    void requestBackgroundFlush();
+  }
+}
+
+/**
+ * Ask the service worker to flush the queue once we're back online, even if
+ * every tab has been closed by then. Uses Background Sync, or periodic sync
+ * where only that is available; without either, the queue waits for the app
+ * to be opened again.
+ */
+async function requestBackgroundFlush() {
+  if (!("serviceWorker" in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(BACKGROUND_SYNC_TAG);
+    } else if (registration.periodicSync) {
+      await registration.periodicSync.register(BACKGROUND_SYNC_TAG, { minInterval: PERIODIC_SYNC_INTERVAL_MS });
+    }
+  } catch (err) {
+    // Permission denied or not an installed app; the page-side retries still apply
+    console.warn("[sync] Background sync unavailable:", err);
+  }
+}
+
+// Let views reload from Dexie once queued changes are on the server
+function notifyFlushed(count) {
+  window.dispatchEvent(new CustomEvent("mutations-flushed", { detail: { count } }));
+}
+
+/**
+ * Drain the queue in order. Safe to call any time; it returns immediately if
+ * a flush is already running, we're offline, or writes are paused.
+ */
+export async function flushQueue() {
+  if (!active || flushing || paused || !navigator.onLine) return;
+
+  flushing = true;
+  landed = 0;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  renderBusy(true);
+
+  try {
+    for (;;) {
+      const queue = (await getPendingMutations()).filter((m) => m.status !== "failed");
+      if (queue.length === 0) {
+        failures = 0;
+        break;
+      }
+
+      const outcome = queue[0].operation === "delete"
+        ? await sendDelete(queue[0])
+        : await sendUpserts(leadingUpserts(queue));
+
+      if (outcome === "retry") {
+        scheduleRetry();
+        void requestBackgroundFlush();
+        break;
+      }
+      if (outcome === "stop") break;
+      failures = 0;
+    }
+  } catch (err) {
+    console.error("[sync] Flush failed:", err);
+    scheduleRetry();
+  } finally {
+    inFlight.clear();
+    flushing = false;
+    renderBusy(false);
+    await refreshStatus();
+    if (landed > 0) notifyFlushed(landed);
+  }
+}
+
+/**
+ * Put dead-lettered items back in the queue and flush now (the retry button).
+ */
+export async function retryFailed() {
+  paused = false;
+  failures = 0;
+
+  const queue = await getPendingMutations();
+  for (const mutation of queue) {
+    if (mutation.status === "failed") {
+      await updatePendingMutation(mutation.id, { status: "pending", attempts: 0, lastError: null });
+    }
+  }
+
+  await refreshStatus();
+  await flushQueue();
+}
+
+// The run of upserts at the head of the queue, stopping at the first delete
+function leadingUpserts(queue) {
+  const batch = [];
+  for (const mutation of queue) {
+    if (mutation.operation === "delete" || batch.length === PUSH_BATCH_SIZE) break;
+    batch.push(mutation);
+  }
+  return batch;
+}
+
+async function sendUpserts(batch) {
+  const body = { measures: [], trackingData: [], entries: [] };
+  const sent = [];
+
+  for (const mutation of batch) {
+    const items = body[mutation.table];
+    if (!items) {
+      await deadLetter(mutation, `Unknown table: ${mutation.table}`);
+      continue;
+    }
+    inFlight.add(mutation.id);
+    sent.push({ mutation, index: items.length });
+    items.push({ ...mutation.data, base_version: baseVersion(mutation) });
+  }
+  if (sent.length === 0) return "next";
+
+  const response = await request("/sync", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  }, sent.map(({ mutation }) => mutation));
+  if (!(response instanceof Response)) return response;
+
+  const { results, idMap } = await response.json();
+  await applyIdMap(idMap);
+  for (const { mutation, index } of sent) {
+    await applyResult(mutation, results[mutation.table][index]);
+  }
+  return "next";
+}
+
+async function sendDelete(mutation) {
+  const { table, data } = mutation;
+  const endpoint = DELETE_ENDPOINTS[table];
+
+  if (!endpoint) {
+    await deadLetter(mutation, `Can't delete from ${table}`);
+    return "next";
+  }
+  if (isLocalId(data.id)) {
+    // Never reached the server, so there is nothing to delete there
+    await deletePendingMutation(mutation.id);
+    return "next";
+  }
+
+  inFlight.add(mutation.id);
+  const response = await request(endpoint(data.id), { method: "DELETE" }, [mutation]);
+  if (!(response instanceof Response)) return response;
+
+  await deletePendingMutation(mutation.id);
+  landed++;
+  return "next";
+}
+
+/**
+ * fetch() that sorts failures into what the queue should do next:
+ * "retry" (back off), "stop" (wait for the user) or "next" (items were
+ * dead-lettered, carry on). Returns the response when it is worth reading.
+ */
+async function request(url, options, mutations) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    console.warn("[sync] Server unreachable, will retry:", err);
+    return "retry";
+  }
+
+  // Deleting something that is already gone is a success
+  if (response.ok || (options.method === "DELETE" && response.status === 404)) return response;
+
+  if (response.status === 402) {
+    paused = true;
+    await handlePaymentRequired(response);
+    return "stop";
+  }
+  if (response.status === 401) return "stop";
+
+  if (response.status >= 500 || response.status === 408 || response.status === 429) {
+    for (const mutation of mutations) {
+      await countAttempt(mutation, `Server error ${response.status}`);
+    }
+    return "retry";
+  }
+
+  for (const mutation of mutations) {
+    await deadLetter(mutation, `Rejected by server (${response.status})`);
+  }
+  return "next";
+}
+
+async function applyResult(mutation, result) {
+  const { table, data } = mutation;
+
+  if (result?.status === "ok") {
+    await applyPushedRecord(table, data.id, result.record);
+    await deletePendingMutation(mutation.id);
+    landed++;
+    return;
+  }
+  if (result?.status === "not_found") {
+    // Deleted on another device; the delete wins
+    await deletePendingMutation(mutation.id);
+    return;
+  }
+  if (result?.status === "conflict") {
+    const resolved = resolveConflict(mutation, result.record);
+    if (!resolved) {
+      await applyPushedRecord(table, data.id, result.record);
+      await deletePendingMutation(mutation.id);
+      return;
+    }
+    // Pushed again on the next round, against the server copy we just saw
+    await updatePendingMutation(mutation.id, { data: { ...data, ...resolved }, base: result.record });
+    await countAttempt(mutation, "Kept conflicting with edits from another device");
+    return;
+  }
+
+  await deadLetter(mutation, result?.error || "Rejected by server");
+}
+
+// Returns fields to push again, or null to take the server copy
+function resolveConflict(mutation, server) {
+  if (mutation.table === "entries") {
+    return confirmEntryOverwrite(mutation.data)
+      ? { encrypted_content: mutation.data.encrypted_content }
+      : null;
+  }
+  return mergeFields(mutation.table, mutation, server);
+}
+
+async function countAttempt(mutation, error) {
+  const attempts = (mutation.attempts || 0) + 1;
+  if (attempts >= MAX_ATTEMPTS) {
+    await deadLetter(mutation, error);
+  } else {
+    await updatePendingMutation(mutation.id, { attempts, lastError: error });
+  }
+}
+
+async function deadLetter(mutation, error) {
+  console.error(`[sync] Giving up on ${mutation.table} ${mutation.operation}:`, error);
+  await updatePendingMutation(mutation.id, { status: "failed", lastError: error });
+}
+
+function scheduleRetry() {
+  failures++;
+  const delay = Math.min(BASE_RETRY_MS * 2 ** (failures - 1), MAX_RETRY_MS);
+  // Jitter so several tabs don't retry in lockstep
+  const jittered = delay * (0.8 + Math.random() * 0.4);
+
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    void flushQueue();
+  }, jittered);
+}
+
+// ============================================================
+// Status indicator
+// ============================================================
+
+function plural(count) {
+  return count === 1 ? "1 change" : `${count} changes`;
+}
+
+function renderStatus(pending, failed) {
+  if (pending + failed === 0) {
+    hide(el.syncStatus);
+    return;
+  }
+
+  let text = `${plural(pending)} waiting to sync`;
+  if (failed > 0) text = `${plural(failed)} failed to sync`;
+  else if (paused) text = `${plural(pending)} waiting for credits`;
+
+  setText(el.syncStatusText, text);
+  el.syncStatus?.classList.toggle("sync-status-failed", failed > 0);
+  show(el.syncStatus);
+}
+
+function renderBusy(busy) {
+  if (el.syncRetryBtn) el.syncRetryBtn.disabled = busy;
+}
+
+async function refreshStatus() {
+  const queue = await getPendingMutations();
+  const failed = queue.filter((m) => m.status === "failed").length;
+  const pending = queue.length - failed;
+
+  renderStatus(pending, failed);
+  window.dispatchEvent(new CustomEvent("sync-queue-changed", { detail: { pending, failed, paused } }));
+}
+
+/**
+ * Start replaying the queue. Call once Dexie is open for the logged-in user.
+ */
+export async function initSyncEngine() {
+  if (!initialized) {
+    window.addEventListener("online", () => {
+      failures = 0;
+      void flushQueue();
+    });
+    el.syncRetryBtn?.addEventListener("click", () => {
+      void retryFailed();
+    });
+    navigator.serviceWorker?.addEventListener("message", (event) => {
+      // A pending backoff timer already decides when to try next
+      if (event.data?.type === "flush" && !retryTimer) {
+        void flushQueue();
+      } else if (event.data?.type === "mutations-flushed") {
+        // The worker pushed while no page was open; Dexie already has the result
+        void refreshStatus();
+        notifyFlushed(event.data.pushed);
+      }
+    });
+  }
+  initialized = true;
+  active = true;
+
+  await refreshStatus();
+  void flushQueue();
+}
+
+export function stopSyncEngine() {
+  active = false;
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  paused = false;
+  failures = 0;
+  hide(el.syncStatus);
+}
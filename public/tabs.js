@@ -30,14 +30,6 @@ const tabToUrl = {
   results: "/results",
 };
 
-// Map server initial tab names to internal tab names
-const initialTabMap = {
-  daily: "track",
-  timers: "timers",
-  measures: "measures",
-  results: "results",
-};
-
 // Parse URL to extract tab and optional date
 function parseUrl(pathname) {
   // Check for /daily/YYYY-MM-DD pattern
@@ -73,11 +65,9 @@ export function initTabs() {
     switchTab(tab, false, date); // false = don't update URL (already changed)
   });
 
-  // Determine initial tab and date from server-provided values or URL
-  const serverInitialTab = window.__INITIAL_TAB__;
-  const serverInitialDate = window.__INITIAL_DATE__;
-  const initialTab = serverInitialTab ? initialTabMap[serverInitialTab] || "track" : "track";
-  currentDate = serverInitialDate || null;
+  // The shell is the same for every route, so the URL picks the tab and date
+  const { tab: initialTab, date } = parseUrl(window.location.pathname);
+  currentDate = date;
 
   switchTab(initialTab, false, currentDate); // Don't push state on initial load
 }
@@ -1,5 +1,6 @@
 // Timers panel for time-based tracking
 
+import { handlePaymentRequired } from "./credits.js";
 import { elements as el, show, hide } from "./dom.js";
 import { encryptEntry, decryptEntry } from "./entryCrypto.js";
 import { state } from "./state.js";
@@ -359,7 +360,10 @@ async function startTimer(measureId) {
       }),
     });
 
-    if (!response.ok) throw new Error("Failed to start timer");
+    if (!response.ok) {
+      await handlePaymentRequired(response);
+      throw new Error("Failed to start timer");
+    }
 
     const data = await response.json();
 
@@ -408,7 +412,10 @@ async function stopTimer(measureId) {
       }),
     });
 
-    if (!response.ok) throw new Error("Failed to stop timer");
+    if (!response.ok) {
+      await handlePaymentRequired(response);
+      throw new Error("Failed to stop timer");
+    }
 
     // Clear running timer immediately
     if (running.intervalId) {
@@ -633,7 +640,10 @@ async function saveSessionEdit() {
       }),
     });
 
-    if (!response.ok) throw new Error("Failed to update session");
+    if (!response.ok) {
+      if (await handlePaymentRequired(response)) return;
+      throw new Error("Failed to update session");
+    }
 
     // If editing a running timer, update local state
     if (editingIsRunning && runningTimers[editingMeasureId]) {
@@ -655,7 +665,10 @@ async function deleteSession(sessionId) {
       method: "DELETE",
     });
 
-    if (!response.ok) throw new Error("Failed to delete session");
+    if (!response.ok) {
+      if (await handlePaymentRequired(response)) return;
+      throw new Error("Failed to delete session");
+    }
 
     await loadTimerSessions();
     renderTimersPanel();
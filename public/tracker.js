@@ -1,21 +1,44 @@
 // Track panel for Daily Tracker
 // Now writes to Dexie IndexedDB for offline support and sync
 
+import { handlePaymentRequired } from "./credits.js";
 import { elements as el, show, hide, setText } from "./dom.js";
 import { encryptEntry, decryptEntry } from "./entryCrypto.js";
+import {
+  AGGREGATIONS,
+  aggregateValues,
+  describeGoal,
+  getAggregation,
+  formatNumber,
+  getMeasureGoal,
+  getNumberFormat,
+  getRatingScale,
+  goalProgress,
+  numberBoundsError,
+  numberUnit,
+  parseMeasureConfig,
+  ratingEmoji,
+  ratingValues,
+  stepNumber,
+  toDisplayNumber,
+  toStoredNumber,
+} from "./measureConfig.js";
 import { state } from "./state.js";
 import { updateDailyDate, getCurrentDate } from "./tabs.js";
+import { getUnitSystem } from "./units.js";
 import {
   getMeasures as dbGetMeasures,
   upsertMeasures as dbUpsertMeasures,
-  getTrackingDataForDate as dbGetTrackingDataForDate,
+  getTrackingDataBetween as dbGetTrackingDataBetween,
   upsertTrackingData as dbUpsertTrackingData,
+  deleteTrackingData as dbDeleteTrackingData,
   upsertTrackingDataBulk as dbUpsertTrackingDataBulk,
-  addPendingMutation,
 } from "./db.js";
+import { enqueueMutation } from "./syncEngine.js";
 
 let measures = [];
 let trackingData = {}; // Map of measureId -> tracking record
+let dayEntries = {}; // Map of measureId -> the day's records, for multi-entry measures
 let currentDate = null; // Will be initialized in initTracker
 let timerIntervals = {}; // Map of measureId -> interval ID
 let activeTimerInterval = null; // Interval for banner timer
@@ -42,9 +65,8 @@ function initializeDate(dateStr = null) {
 export async function initTracker() {
   if (!state.session) return;
 
-  // Initialize current date from server-provided value or today
-  const initialDate = window.__INITIAL_DATE__ || getCurrentDate();
-  currentDate = initializeDate(initialDate);
+  // Initialize current date from the URL (/daily/:date) or today
+  currentDate = initializeDate(getCurrentDate());
 
   // Wire up date navigation
   el.prevDayBtn?.addEventListener("click", () => navigateDate(-1));
@@ -87,6 +109,12 @@ export async function initTracker() {
     void loadActiveTimer();
   });
 
+  // Queued offline saves reached the server (ids may have changed)
+  window.addEventListener("mutations-flushed", () => {
+    if (isUserTyping()) return;
+    void loadMeasuresAndRender();
+  });
+
   // Initial load
   await loadMeasuresAndRender();
   await loadActiveTimer();
@@ -186,37 +214,15 @@ async function loadTrackingData() {
 
   updateDateDisplay();
 
-  const dateStr = getLocalDateString(currentDate);
+  const { start, end } = getDayBounds(currentDate);
   trackingData = {};
+  dayEntries = {};
 
   // First, try to load from Dexie for instant display
   try {
-    const cachedData = await dbGetTrackingDataForDate(state.session.npub, dateStr);
+    const cachedData = await dbGetTrackingDataBetween(state.session.npub, start, end);
     if (cachedData && cachedData.length > 0) {
-      for (const record of cachedData) {
-        const measure = measures.find((m) => m.id === record.measure_id);
-        if (!measure) continue;
-
-        let value = record.value;
-        if (measure.encrypted && value) {
-          try {
-            value = await decryptEntry(value);
-          } catch (_err) {
-            value = "[Unable to decrypt]";
-          }
-        }
-
-        try {
-          value = JSON.parse(value);
-        } catch (_err) {
-          // Keep as string
-        }
-
-        trackingData[record.measure_id] = {
-          ...record,
-          decryptedValue: value,
-        };
-      }
+      indexDayRecords(await decodeRecords(cachedData));
       renderTrackList();
     }
   } catch (err) {
@@ -225,41 +231,14 @@ async function loadTrackingData() {
 
   // Then fetch from server
   try {
-    const response = await fetch(`/tracking?date=${dateStr}`);
+    const response = await fetch(`/tracking?start=${encodeURIComponent(start)}&end=${encodeURIComponent(end)}`);
     if (!response.ok) throw new Error("Failed to fetch tracking data");
 
     const data = await response.json();
     const serverData = data.data || [];
 
     // Decrypt and organize by measure_id first (this is what we display)
-    trackingData = {};
-    for (const record of serverData) {
-      const measure = measures.find((m) => m.id === record.measure_id);
-      if (!measure) continue;
-
-      let value = record.value;
-      if (measure.encrypted && value) {
-        try {
-          value = await decryptEntry(value);
-        } catch (err) {
-          console.error("Failed to decrypt:", err);
-          value = "[Unable to decrypt]";
-        }
-      }
-
-      // Parse JSON value if applicable
-      try {
-        value = JSON.parse(value);
-      } catch (_err) {
-        // Keep as string if not JSON
-      }
-
-      trackingData[record.measure_id] = {
-        ...record,
-        decryptedValue: value,
-      };
-    }
-
+    indexDayRecords(await decodeRecords(serverData));
     renderTrackList();
 
     // Then try to write to Dexie for offline access (non-blocking)
@@ -281,6 +260,57 @@ async function loadTrackingData() {
   }
 }
 
+// The viewed local day as ISO instants, so an evening entry west of UTC
+// stays on its own day
+function getDayBounds(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+// Decrypts and parses each record's value; records of unknown measures are dropped
+async function decodeRecords(records) {
+  const decoded = [];
+  for (const record of records) {
+    const measure = measures.find((m) => m.id === record.measure_id);
+    if (!measure) continue;
+
+    let value = record.value;
+    if (measure.encrypted && value) {
+      try {
+        value = await decryptEntry(value);
+      } catch (err) {
+        console.error("Failed to decrypt:", err);
+        value = "[Unable to decrypt]";
+      }
+    }
+
+    // Parse JSON value if applicable
+    try {
+      value = JSON.parse(value);
+    } catch (_err) {
+      // Keep as string if not JSON
+    }
+
+    decoded.push({ ...record, decryptedValue: value });
+  }
+  return decoded;
+}
+
+// Single-value measures show the day's latest record; multi-entry measures
+// list all of them, oldest first
+function indexDayRecords(records) {
+  trackingData = {};
+  dayEntries = {};
+  const sorted = [...records].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+  for (const record of sorted) {
+    trackingData[record.measure_id] = record;
+    if (!dayEntries[record.measure_id]) dayEntries[record.measure_id] = [];
+    dayEntries[record.measure_id].push(record);
+  }
+}
+
 function renderTrackList() {
   if (!el.trackList) return;
 
@@ -305,7 +335,7 @@ function renderTrackList() {
 
 function renderMeasureCard(measure) {
   const data = trackingData[measure.id];
-  const value = data?.decryptedValue;
+  const aggregation = getAggregation(measure);
 
   return `
     <div class="measure-card" data-measure-card="${measure.id}">
@@ -313,11 +343,254 @@ function renderMeasureCard(measure) {
         <span class="measure-card-name">${escapeHtml(measure.name)}</span>
         ${measure.encrypted ? '<span class="measure-card-badge" title="Encrypted"><svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4z"/></svg></span>' : ""}
       </div>
-      ${renderMeasureInput(measure, value, data)}
+      ${aggregation ? renderEntryLog(measure, aggregation) : renderMeasureInput(measure, data?.decryptedValue, data)}
+      ${renderGoalProgress(measure, getDayValue(measure))}
     </div>
   `;
 }
 
+// The value the day counts as: the only record, or the multi-entry summary
+function getDayValue(measure) {
+  const aggregation = getAggregation(measure);
+  if (!aggregation) return trackingData[measure.id]?.decryptedValue;
+  return aggregateValues(aggregation, (dayEntries[measure.id] || []).map((entry) => entry.decryptedValue));
+}
+
+function renderGoalProgress(measure, value) {
+  const goal = getMeasureGoal(measure);
+  if (!goal) return "";
+
+  const { met, ratio } = goalProgress(measure, goal, value);
+  return `
+    <div class="measure-goal ${met ? "met" : ""}" data-measure-goal="${measure.id}">
+      <div class="measure-goal-track">
+        <div class="measure-goal-fill" style="width: ${Math.round(ratio * 100)}%"></div>
+      </div>
+      <span class="measure-goal-label">${met ? "Goal met" : "Goal"}: ${escapeHtml(describeGoal(measure, goal, getUnitSystem()))}</span>
+    </div>
+  `;
+}
+
+// Redraws a card's goal bar after its value changes
+function updateGoalProgress(measureId) {
+  const current = el.trackList?.querySelector(`[data-measure-goal="${measureId}"]`);
+  const measure = measures.find((m) => m.id === measureId);
+  if (!current || !measure) return;
+  current.outerHTML = renderGoalProgress(measure, getDayValue(measure));
+}
+
+// ============================================================
+// Multi-entry measures
+// ============================================================
+
+function renderEntryLog(measure, aggregation) {
+  const entries = dayEntries[measure.id] || [];
+  const summary = getDayValue(measure);
+
+  const items = entries
+    .map(
+      (entry) => `
+        <li class="entry-log-item">
+          <span class="entry-log-time">${formatEntryTime(entry.recorded_at)}</span>
+          <span class="entry-log-value">${escapeHtml(formatEntryValue(measure, aggregation, entry.decryptedValue))}</span>
+          <button class="entry-log-delete" data-entry-delete="${entry.id}" data-measure="${measure.id}" title="Remove entry">&times;</button>
+        </li>
+      `
+    )
+    .join("");
+
+  return `
+    <div class="entry-log" data-entry-log="${measure.id}">
+      <div class="entry-log-summary">
+        <span>${AGGREGATIONS[aggregation]}: <strong>${summary === null ? "–" : escapeHtml(formatEntryValue(measure, aggregation, summary))}</strong></span>
+        <span class="entry-log-count">${entries.length} ${entries.length === 1 ? "entry" : "entries"}</span>
+      </div>
+      ${items ? `<ul class="entry-log-list">${items}</ul>` : ""}
+      ${renderEntryAdd(measure, aggregation)}
+    </div>
+  `;
+}
+
+// Numbers show in the user's units; counts and ratings as they are
+function formatEntryValue(measure, aggregation, value) {
+  if (measure.type !== "number" || aggregation === "count") return String(value);
+  return formatNumber(getNumberFormat(measure), value, getUnitSystem());
+}
+
+// Each tap adds an entry: a rating button, "+ Add one" for counts, or a number
+function renderEntryAdd(measure, aggregation) {
+  if (measure.type === "rating") {
+    const scale = getRatingScale(measure);
+    const buttons = ratingValues(scale).map(
+      (v) => `<button class="rating-btn" data-entry-add="${measure.id}" data-value="${v}">${ratingButtonLabel(scale, v)}</button>`
+    );
+    return `<div class="rating-scale">${buttons.join("")}</div>${renderRatingLabels(scale)}`;
+  }
+  if (aggregation === "count") {
+    return `<button class="entry-log-add" data-entry-add="${measure.id}" data-value="1">+ Add one</button>`;
+  }
+  return `
+    <div class="number-input-wrapper">
+      <input type="number" class="number-input"
+             data-entry-input="${measure.id}"
+             ${renderNumberBounds(measure)}
+             step="any"
+             placeholder="0" />
+      ${renderNumberUnit(measure)}
+      <button class="number-btn" data-entry-add="${measure.id}" title="Add entry">+</button>
+    </div>
+  `;
+}
+
+function formatEntryTime(isoString) {
+  return new Date(isoString).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+}
+
+// Redraws a multi-entry card after an entry is added or removed
+function refreshEntryLog(measureId) {
+  const card = el.trackList?.querySelector(`[data-measure-card="${measureId}"]`);
+  const measure = measures.find((m) => m.id === measureId);
+  if (!card || !measure) return;
+  card.outerHTML = renderMeasureCard(measure);
+  wireUpEntryHandlers(el.trackList?.querySelector(`[data-measure-card="${measureId}"]`));
+}
+
+function wireUpEntryHandlers(container) {
+  container?.querySelectorAll("[data-entry-add]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const measureId = parseInt(btn.dataset.entryAdd, 10);
+      if (btn.dataset.value) {
+        void addTrackingEntry(measureId, parseFloat(btn.dataset.value));
+        return;
+      }
+      const input = container.querySelector(`[data-entry-input="${measureId}"]`);
+      const value = input ? readNumberInput(measureId, input, true) : null;
+      if (value === null) {
+        input?.focus();
+        return;
+      }
+      void addTrackingEntry(measureId, value);
+    });
+  });
+
+  container?.querySelectorAll("[data-entry-input]").forEach((input) => {
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      container.querySelector(`[data-entry-add="${input.dataset.entryInput}"]`)?.click();
+    });
+  });
+
+  container?.querySelectorAll("[data-entry-delete]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const measureId = parseInt(btn.dataset.measure, 10);
+      // Entries saved offline still have their local id
+      const id = /^\d+$/.test(btn.dataset.entryDelete) ? Number(btn.dataset.entryDelete) : btn.dataset.entryDelete;
+      void deleteTrackingEntry(measureId, id);
+    });
+  });
+}
+
+function setDayEntries(measureId, entries) {
+  dayEntries[measureId] = [...entries].sort((a, b) => a.recorded_at.localeCompare(b.recorded_at));
+  trackingData[measureId] = dayEntries[measureId][dayEntries[measureId].length - 1];
+  if (!trackingData[measureId]) delete trackingData[measureId];
+}
+
+// Every add is its own record, stamped with the current time on the viewed day
+async function addTrackingEntry(measureId, value) {
+  if (!state.session) return;
+
+  const measure = measures.find((m) => m.id === measureId);
+  if (!measure) return;
+
+  let valueStr = String(value);
+  if (measure.encrypted) {
+    try {
+      valueStr = await encryptEntry(valueStr);
+    } catch (err) {
+      console.error("Failed to encrypt:", err);
+      return;
+    }
+  }
+
+  const now = new Date();
+  const recordedAt = new Date(
+    currentDate.getFullYear(),
+    currentDate.getMonth(),
+    currentDate.getDate(),
+    now.getHours(),
+    now.getMinutes(),
+    now.getSeconds()
+  ).toISOString();
+
+  const trackingRecord = {
+    owner: state.session.npub,
+    measure_id: measureId,
+    recorded_at: recordedAt,
+    value: valueStr,
+  };
+
+  // Save to Dexie first (for offline support)
+  const savedRecord = await dbUpsertTrackingData(trackingRecord);
+  const localId = savedRecord?.id;
+  setDayEntries(measureId, [...(dayEntries[measureId] || []), { ...trackingRecord, id: localId, decryptedValue: value }]);
+  refreshEntryLog(measureId);
+
+  // Then sync to server
+  try {
+    const response = await fetch("/tracking", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ measure_id: measureId, recorded_at: recordedAt, value: valueStr }),
+    });
+
+    if (!response.ok) {
+      await handlePaymentRequired(response);
+      throw new Error("Server returned error");
+    }
+
+    // Swap the local record for the server's so the cache doesn't keep both
+    const data = await response.json();
+    if (data.data?.id) {
+      await dbDeleteTrackingData(localId);
+      await dbUpsertTrackingData({ ...data.data, owner: state.session.npub });
+      setDayEntries(
+        measureId,
+        (dayEntries[measureId] || []).map((entry) => (entry.id === localId ? { ...data.data, decryptedValue: value } : entry))
+      );
+      refreshEntryLog(measureId);
+    }
+  } catch (err) {
+    console.error("[tracker] Server sync failed, queued for later:", err);
+    await enqueueMutation("trackingData", "upsert", { ...trackingRecord, id: localId }, null);
+  }
+}
+
+async function deleteTrackingEntry(measureId, id) {
+  if (!state.session) return;
+
+  const entry = (dayEntries[measureId] || []).find((e) => e.id === id);
+  if (!entry) return;
+
+  await dbDeleteTrackingData(id);
+  setDayEntries(measureId, (dayEntries[measureId] || []).filter((e) => e.id !== id));
+  refreshEntryLog(measureId);
+
+  try {
+    if (typeof id === "string") throw new Error("Entry not on the server yet");
+    const response = await fetch(`/tracking/${id}`, { method: "DELETE" });
+    if (!response.ok) {
+      await handlePaymentRequired(response);
+      throw new Error("Server returned error");
+    }
+  } catch (err) {
+    console.error("[tracker] Server delete failed, queued for later:", err);
+    const { decryptedValue: _decrypted, ...base } = entry;
+    await enqueueMutation("trackingData", "delete", { id }, base);
+  }
+}
+
 function renderMeasureInput(measure, value, data) {
   switch (measure.type) {
     case "number":
@@ -328,6 +601,8 @@ function renderMeasureInput(measure, value, data) {
       return renderGoodBadInput(measure, value);
     case "options":
       return renderOptionsInput(measure, value);
+    case "checklist":
+      return renderChecklistInput(measure, value);
     case "rating":
       return renderRatingInput(measure, value);
     case "time":
@@ -338,20 +613,66 @@ function renderMeasureInput(measure, value, data) {
 }
 
 function renderNumberInput(measure, value) {
-  const numValue = value ?? "";
+  const numValue = toDisplayNumber(getNumberFormat(measure), value, getUnitSystem()) ?? "";
   return `
     <div class="number-input-wrapper">
       <button class="number-btn" data-number-dec="${measure.id}">-</button>
       <input type="number" class="number-input"
              data-number-input="${measure.id}"
              value="${numValue}"
+             ${renderNumberBounds(measure)}
              step="any"
              placeholder="0" />
+      ${renderNumberUnit(measure)}
       <button class="number-btn" data-number-inc="${measure.id}">+</button>
     </div>
   `;
 }
 
+// min/max attributes in the user's units, so the keyboard and browser know them
+function renderNumberBounds(measure) {
+  const format = getNumberFormat(measure);
+  const system = getUnitSystem();
+  const attrs = [];
+  if (format.min !== null) attrs.push(`min="${toDisplayNumber(format, format.min, system)}"`);
+  if (format.max !== null) attrs.push(`max="${toDisplayNumber(format, format.max, system)}"`);
+  return attrs.join(" ");
+}
+
+function renderNumberUnit(measure) {
+  const unit = numberUnit(getNumberFormat(measure), getUnitSystem());
+  return unit ? `<span class="number-unit">${escapeHtml(unit)}</span>` : "";
+}
+
+/**
+ * The value to store for what's typed in a number input: converted to the
+ * stored unit and checked against the measure's bounds. Null when the input
+ * is empty or out of bounds; an out-of-bounds input is marked invalid, and
+ * the reason pops up when `report` is set (taps, not typing).
+ */
+function readNumberInput(measureId, input, report) {
+  const measure = measures.find((m) => m.id === measureId);
+  if (!measure) return null;
+  const format = getNumberFormat(measure);
+  const system = getUnitSystem();
+  const value = toStoredNumber(format, input.value, system);
+  const error = value === null ? null : numberBoundsError(format, value, system);
+  input.setCustomValidity(error ?? "");
+  input.title = error ?? "";
+  if (error && report) input.reportValidity();
+  return error ? null : value;
+}
+
+// The ± buttons move by the measure's step, then save like typing does
+function stepNumberInput(measureId, direction) {
+  const input = el.trackList?.querySelector(`[data-number-input="${measureId}"]`);
+  const measure = measures.find((m) => m.id === measureId);
+  if (!input || !measure) return;
+  input.value = stepNumber(getNumberFormat(measure), parseFloat(input.value) || 0, direction);
+  const value = readNumberInput(measureId, input, true);
+  if (value !== null) void saveTrackingValue(measureId, value);
+}
+
 function renderTextInput(measure, value) {
   const textValue = value ?? "";
   return `
@@ -377,12 +698,7 @@ function renderGoodBadInput(measure, value) {
 }
 
 function renderOptionsInput(measure, value) {
-  let options = [];
-  try {
-    options = measure.config ? JSON.parse(measure.config) : [];
-  } catch (_err) {
-    options = [];
-  }
+  const { options } = parseMeasureConfig(measure.config);
 
   if (options.length === 0) {
     return '<p class="muted">No options configured</p>';
@@ -397,18 +713,59 @@ function renderOptionsInput(measure, value) {
   return `<div class="options-toggle" data-count="${options.length}">${buttons}</div>`;
 }
 
-function renderRatingInput(measure, value) {
-  const currentRating = parseInt(value, 10) || 0;
-  const buttons = [];
-
-  for (let i = 1; i <= 10; i++) {
-    const isSelected = i === currentRating;
-    const isFilled = i <= currentRating;
-    buttons.push(`<button class="rating-btn ${isSelected ? "selected" : ""} ${isFilled ? "filled" : ""}"
-                          data-rating="${measure.id}" data-value="${i}">${i}</button>`);
+function renderChecklistInput(measure, value) {
+  const { options: items } = parseMeasureConfig(measure.config);
+  if (items.length === 0) {
+    return '<p class="muted">No items configured</p>';
   }
 
-  return `<div class="rating-scale">${buttons.join("")}</div>`;
+  const ticked = new Set(Array.isArray(value) ? value : []);
+  const buttons = items.map((item) => {
+    const isTicked = ticked.has(item);
+    return `<button class="checklist-item ${isTicked ? "selected" : ""}" aria-pressed="${isTicked}"
+                    data-checklist="${measure.id}" data-value="${escapeHtml(item)}">
+              <span class="checklist-box">${isTicked ? "✓" : ""}</span>${escapeHtml(item)}
+            </button>`;
+  }).join("");
+
+  return `<div class="checklist">${buttons}</div>`;
+}
+
+function renderRatingInput(measure, value) {
+  const scale = getRatingScale(measure);
+  const currentRating = parseRating(value);
+
+  const buttons = ratingValues(scale).map((v) => {
+    const isSelected = v === currentRating;
+    const isFilled = currentRating !== null && v <= currentRating;
+    return `<button class="rating-btn ${isSelected ? "selected" : ""} ${isFilled ? "filled" : ""}"
+                    data-rating="${measure.id}" data-value="${v}">${ratingButtonLabel(scale, v)}</button>`;
+  });
+
+  return `<div class="rating-scale">${buttons.join("")}</div>${renderRatingLabels(scale)}`;
+}
+
+// A stored rating as a number, or null when none is logged (0 is a rating)
+function parseRating(value) {
+  const rating = parseFloat(value);
+  return Number.isNaN(rating) ? null : rating;
+}
+
+// The scale's emoji for a value, or the number with a sign on scales around zero
+function ratingButtonLabel(scale, value) {
+  const emoji = ratingEmoji(scale, value);
+  if (emoji) return escapeHtml(emoji);
+  return scale.min < 0 && value > 0 ? `+${value}` : String(value);
+}
+
+function renderRatingLabels(scale) {
+  if (!scale.labels) return "";
+  return `
+    <div class="rating-labels">
+      <span>${escapeHtml(scale.labels[0])}</span>
+      <span>${escapeHtml(scale.labels[1])}</span>
+    </div>
+  `;
 }
 
 function renderTimeInput(measure, value, data) {
@@ -468,6 +825,8 @@ function formatStartTime(isoString) {
 }
 
 function wireUpInputHandlers() {
+  wireUpEntryHandlers(el.trackList);
+
   // Number inputs
   el.trackList?.querySelectorAll("[data-number-input]").forEach((input) => {
     const measureId = parseInt(input.dataset.numberInput, 10);
@@ -476,38 +835,24 @@ function wireUpInputHandlers() {
     input.addEventListener("input", () => {
       clearTimeout(debounceTimer);
       debounceTimer = setTimeout(() => {
-        void saveTrackingValue(measureId, input.value);
+        const value = readNumberInput(measureId, input, false);
+        if (value !== null) void saveTrackingValue(measureId, value);
       }, 500);
     });
 
     input.addEventListener("blur", () => {
       clearTimeout(debounceTimer);
-      void saveTrackingValue(measureId, input.value);
+      const value = readNumberInput(measureId, input, false);
+      if (value !== null) void saveTrackingValue(measureId, value);
     });
   });
 
   el.trackList?.querySelectorAll("[data-number-dec]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const measureId = parseInt(btn.dataset.numberDec, 10);
-      const input = el.trackList?.querySelector(`[data-number-input="${measureId}"]`);
-      if (input) {
-        const current = parseFloat(input.value) || 0;
-        input.value = current - 1;
-        void saveTrackingValue(measureId, input.value);
-      }
-    });
+    btn.addEventListener("click", () => stepNumberInput(parseInt(btn.dataset.numberDec, 10), -1));
   });
 
   el.trackList?.querySelectorAll("[data-number-inc]").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const measureId = parseInt(btn.dataset.numberInc, 10);
-      const input = el.trackList?.querySelector(`[data-number-input="${measureId}"]`);
-      if (input) {
-        const current = parseFloat(input.value) || 0;
-        input.value = current + 1;
-        void saveTrackingValue(measureId, input.value);
-      }
-    });
+    btn.addEventListener("click", () => stepNumberInput(parseInt(btn.dataset.numberInc, 10), 1));
   });
 
   // Text inputs
@@ -570,15 +915,35 @@ function wireUpInputHandlers() {
     });
   });
 
+  // Checklist items: the value is the set of ticked items, in list order
+  el.trackList?.querySelectorAll("[data-checklist]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const measureId = parseInt(btn.dataset.checklist, 10);
+      const container = btn.closest(".checklist");
+      btn.classList.toggle("selected");
+
+      const items = Array.from(container?.querySelectorAll(".checklist-item") || []);
+      items.forEach((b) => {
+        const isTicked = b.classList.contains("selected");
+        b.setAttribute("aria-pressed", String(isTicked));
+        b.querySelector(".checklist-box").textContent = isTicked ? "✓" : "";
+      });
+      void saveTrackingValue(
+        measureId,
+        items.filter((b) => b.classList.contains("selected")).map((b) => b.dataset.value)
+      );
+    });
+  });
+
   // Rating buttons
   el.trackList?.querySelectorAll("[data-rating]").forEach((btn) => {
     btn.addEventListener("click", () => {
       const measureId = parseInt(btn.dataset.rating, 10);
-      const value = parseInt(btn.dataset.value, 10);
+      const value = parseFloat(btn.dataset.value);
 
       // Toggle: if already selected, deselect
       const currentData = trackingData[measureId];
-      const currentValue = parseInt(currentData?.decryptedValue, 10) || 0;
+      const currentValue = parseRating(currentData?.decryptedValue);
       const newValue = currentValue === value ? null : value;
 
       void saveTrackingValue(measureId, newValue);
@@ -586,9 +951,9 @@ function wireUpInputHandlers() {
       // Update UI immediately
       const container = btn.closest(".rating-scale");
       container?.querySelectorAll(".rating-btn").forEach((b) => {
-        const btnValue = parseInt(b.dataset.value, 10);
+        const btnValue = parseFloat(b.dataset.value);
         b.classList.toggle("selected", btnValue === newValue);
-        b.classList.toggle("filled", newValue && btnValue <= newValue);
+        b.classList.toggle("filled", newValue !== null && btnValue <= newValue);
       });
     });
   });
@@ -704,6 +1069,7 @@ async function saveTrackingValue(measureId, value) {
     id: savedRecord?.id || existingRecord?.id,
     decryptedValue: value,
   };
+  updateGoalProgress(measureId);
 
   // Then sync to server
   try {
@@ -730,11 +1096,19 @@ async function saveTrackingValue(measureId, value) {
         decryptedValue: value,
       };
     } else {
+      await handlePaymentRequired(response);
       throw new Error("Server returned error");
     }
   } catch (err) {
     console.error("[tracker] Server sync failed, queued for later:", err);
-    await addPendingMutation("trackingData", "upsert", trackingRecord);
+    // The stored row this edit replaced, without the decrypted value
+    const { decryptedValue: _decrypted, ...base } = existingRecord ?? {};
+    await enqueueMutation(
+      "trackingData",
+      "upsert",
+      { ...trackingRecord, id: savedRecord?.id ?? trackingRecord.id },
+      existingRecord ? base : null
+    );
   }
 }
 
@@ -0,0 +1,28 @@
+// Which unit system the signed-in user reads numbers in (see UNIT_FAMILIES
+// in measureConfig.js). Values are always stored metric; this only changes
+// what's shown and typed. Kept per user on this device.
+
+import { UNIT_SYSTEM_KEY } from "./constants.js";
+import { UNIT_SYSTEMS } from "./measureConfig.js";
+import { state } from "./state.js";
+
+// Regions that still measure in imperial, for users who haven't picked
+const IMPERIAL_REGIONS = ["US", "LR", "MM"];
+
+function storageKey() {
+  return `${UNIT_SYSTEM_KEY}:${state.session?.npub ?? ""}`;
+}
+
+export function getUnitSystem() {
+  const stored = localStorage.getItem(storageKey());
+  if (UNIT_SYSTEMS.includes(stored)) return stored;
+  const region = (navigator.language || "").split("-")[1]?.toUpperCase();
+  return IMPERIAL_REGIONS.includes(region) ? "imperial" : "metric";
+}
+
+// Saves the choice and redraws everything that shows a number
+export function setUnitSystem(system) {
+  if (!UNIT_SYSTEMS.includes(system)) return;
+  localStorage.setItem(storageKey(), system);
+  window.dispatchEvent(new CustomEvent("measures-changed"));
+}
@@ -0,0 +1,9 @@
+// Prints a VAPID key pair for Web Push reminders (see docs/reminders.md)
+
+import { createECDH } from "crypto";
+
+const ecdh = createECDH("prime256v1");
+ecdh.generateKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${ecdh.getPublicKey().toString("base64url")}`);
+console.log(`VAPID_PRIVATE_KEY=${ecdh.getPrivateKey().toString("base64url")}`);
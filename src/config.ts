@@ -98,3 +98,27 @@ export function getKeyTeleportWelcomePubkey(): string | null {
     return null;
   }
 }
+
+// Web Push configuration (reminders). Without a key pair the reminder
+// routes answer 503. Generate one with `bun scripts/vapid-keys.js`.
+export const VAPID_SUBJECT = Bun.env.VAPID_SUBJECT ?? "mailto:admin@localhost";
+
+export type VapidKeys = {
+  publicKey: string; // Uncompressed P-256 point, base64url
+  privateKey: string; // 32-byte scalar, base64url
+  subject: string;
+};
+
+export function getVapidKeys(): VapidKeys | null {
+  const publicKey = Bun.env.VAPID_PUBLIC_KEY;
+  const privateKey = Bun.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: VAPID_SUBJECT };
+}
+
+// Webhooks and push subscriptions only reach public https hosts. A server
+// whose receivers sit on its own private network can allow private hosts
+// (and plain http) with ALLOW_PRIVATE_OUTBOUND=true. Read per call.
+export function allowPrivateOutbound() {
+  return Bun.env.ALLOW_PRIVATE_OUTBOUND === "true";
+}
@@ -1,6 +1,9 @@
 import { Database } from "bun:sqlite";
 
+import { runMigrations } from "./migrations";
+
 import type {
+  LoginMethod,
   TodoPriority,
   TodoState,
   CreditTransactionType,
@@ -41,9 +44,17 @@ export type Entry = {
   encrypted_content: string;
   created_at: string;
   updated_at: string;
+  sync_version: number;
+  client_id: string | null;
 };
 
-export type MeasureType = "number" | "text" | "goodbad" | "time" | "options" | "rating";
+export const MEASURE_TYPES = ["number", "text", "goodbad", "time", "options", "rating", "checklist"] as const;
+
+export type MeasureType = (typeof MEASURE_TYPES)[number];
+
+export function isMeasureType(value: unknown): value is MeasureType {
+  return MEASURE_TYPES.includes(value as MeasureType);
+}
 
 export type Measure = {
   id: number;
@@ -52,8 +63,11 @@ export type Measure = {
   type: MeasureType;
   encrypted: number; // 0 or 1
   sort_order: number;
-  config: string | null; // JSON config for options type (e.g., ["Option1", "Option2"])
+  config: string | null; // JSON config for options and checklist types (e.g., ["Option1", "Option2"])
   created_at: string;
+  updated_at: string;
+  sync_version: number;
+  client_id: string | null;
 };
 
 export type TrackingData = {
@@ -64,6 +78,8 @@ export type TrackingData = {
   value: string;
   created_at: string;
   updated_at: string;
+  sync_version: number;
+  client_id: string | null;
 };
 
 // Credit system types
@@ -101,6 +117,97 @@ export type CreditOrder = {
   paid_at: string | null;
 };
 
+// Tombstones record hard-deleted rows so other devices learn about the delete
+export type TombstoneTable = "measures" | "tracking_data";
+
+export type Tombstone = {
+  id: number;
+  owner: string;
+  table_name: TombstoneTable;
+  record_id: number;
+  sync_version: number;
+  deleted_at: string;
+};
+
+export type SessionRecord = {
+  id: number;
+  token_hash: string;
+  pubkey: string;
+  npub: string;
+  method: LoginMethod;
+  user_agent: string | null;
+  sync_cursor: number | null;
+  created_at: string;
+  last_seen_at: string;
+  expires_at: string;
+};
+
+// `scopes` is space-separated, like OAuth scopes; `measure_ids` is
+// comma-separated, or null for every measure
+export type ApiTokenRecord = {
+  id: number;
+  owner: string;
+  name: string;
+  token_hash: string;
+  scopes: string;
+  measure_ids: string | null;
+  created_at: string;
+  last_used_at: string | null;
+};
+
+// `events` is space-separated, e.g. `tracking.created timers.updated`
+export type WebhookRecord = {
+  id: number;
+  owner: string;
+  url: string;
+  secret: string;
+  events: string;
+  created_at: string;
+};
+
+export type WebhookDeliveryStatus = "pending" | "delivered" | "failed";
+
+export type WebhookDeliveryRecord = {
+  id: number;
+  webhook_id: number;
+  owner: string;
+  event: string;
+  payload: string;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  next_attempt_at: string;
+  response_status: number | null;
+  last_error: string | null;
+  created_at: string;
+  delivered_at: string | null;
+};
+
+// A due delivery with what's needed to send it
+export type DueWebhookDelivery = WebhookDeliveryRecord & { url: string; secret: string };
+
+export type PushSubscriptionRecord = {
+  id: number;
+  owner: string;
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+  user_agent: string | null;
+  created_at: string;
+};
+
+// `time` is HH:MM and `weekdays` comma-separated 0 (Sunday) to 6, both in
+// `timezone`; `measure_id` null is the journal reminder
+export type Reminder = {
+  id: number;
+  owner: string;
+  measure_id: number | null;
+  time: string;
+  weekdays: string;
+  timezone: string;
+  last_sent_date: string | null;
+  created_at: string;
+};
+
 export type CreditAuditLog = {
   id: number;
   npub: string;
@@ -112,176 +219,28 @@ export type CreditAuditLog = {
 
 const db = new Database(Bun.env.DB_PATH || "do-the-other-stuff.sqlite");
 
-db.run(`
-  CREATE TABLE IF NOT EXISTS todos (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT NOT NULL,
-    done INTEGER NOT NULL DEFAULT 0,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )
-`);
+// Schema changes live in src/migrations.ts
+for (const migration of runMigrations(db)) {
+  console.log(`[db] Applied migration ${migration.version} ${migration.name}`);
+}
 
-const addColumn = (sql: string) => {
-  try {
-    db.run(sql);
-  } catch (error) {
-    if (!(error instanceof Error) || !error.message.includes("duplicate column")) {
-      throw error;
-    }
-  }
-};
+// Sync versions: every write to a synced table takes the next value from a
+// single global counter, so "everything with sync_version > cursor" is a
+// stable delta no matter how clocks or same-second writes line up.
+const nextSyncVersionStmt = db.query<{ version: number }>(
+  `UPDATE sync_clock SET version = version + 1 WHERE id = 1 RETURNING version`
+);
 
-addColumn("ALTER TABLE todos ADD COLUMN description TEXT DEFAULT ''");
-addColumn("ALTER TABLE todos ADD COLUMN priority TEXT NOT NULL DEFAULT 'sand'");
-addColumn("ALTER TABLE todos ADD COLUMN state TEXT NOT NULL DEFAULT 'new'");
-addColumn("ALTER TABLE todos ADD COLUMN deleted INTEGER NOT NULL DEFAULT 0");
-addColumn("ALTER TABLE todos ADD COLUMN owner TEXT NOT NULL DEFAULT ''");
-addColumn("ALTER TABLE todos ADD COLUMN scheduled_for TEXT DEFAULT NULL");
-addColumn("ALTER TABLE todos ADD COLUMN tags TEXT DEFAULT ''");
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS ai_summaries (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner TEXT NOT NULL,
-    summary_date TEXT NOT NULL,
-    day_ahead TEXT NULL,
-    week_ahead TEXT NULL,
-    suggestions TEXT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(owner, summary_date)
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS entries (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner TEXT NOT NULL,
-    entry_date TEXT NOT NULL,
-    slot INTEGER NOT NULL,
-    encrypted_content TEXT NOT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(owner, entry_date, slot)
-  )
-`);
-
-// Measure definitions (user-configurable tracking metrics)
-// Note: name and config fields store NIP-44 encrypted ciphertext
-db.run(`
-  CREATE TABLE IF NOT EXISTS measures (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner TEXT NOT NULL,
-    name TEXT NOT NULL,
-    type TEXT NOT NULL,
-    encrypted INTEGER NOT NULL DEFAULT 1,
-    sort_order INTEGER NOT NULL DEFAULT 0,
-    config TEXT DEFAULT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-// Migration for existing tables
-addColumn("ALTER TABLE measures ADD COLUMN config TEXT DEFAULT NULL");
-
-// Migration: Remove UNIQUE(owner, name) constraint for encrypted names
-// SQLite requires table recreation to drop constraints
-try {
-  const hasConstraint = db.query("SELECT sql FROM sqlite_master WHERE type='table' AND name='measures'").get() as { sql: string } | null;
-  if (hasConstraint?.sql?.includes("UNIQUE(owner, name)")) {
-    db.run("BEGIN TRANSACTION");
-    db.run(`CREATE TABLE measures_new (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      owner TEXT NOT NULL,
-      name TEXT NOT NULL,
-      type TEXT NOT NULL,
-      encrypted INTEGER NOT NULL DEFAULT 1,
-      sort_order INTEGER NOT NULL DEFAULT 0,
-      config TEXT DEFAULT NULL,
-      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-    )`);
-    db.run(`INSERT INTO measures_new (id, owner, name, type, encrypted, sort_order, config, created_at)
-      SELECT id, owner, name, type, encrypted, sort_order, config, COALESCE(created_at, CURRENT_TIMESTAMP)
-      FROM measures`);
-    db.run("DROP TABLE measures");
-    db.run("ALTER TABLE measures_new RENAME TO measures");
-    db.run("COMMIT");
-    console.log("Migrated measures table: removed UNIQUE constraint");
-  }
-} catch (err) {
-  console.error("Migration error (measures UNIQUE constraint):", err);
-  try { db.run("ROLLBACK"); } catch { /* ignore */ }
-}
-
-// Tracked data points
-db.run(`
-  CREATE TABLE IF NOT EXISTS tracking_data (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner TEXT NOT NULL,
-    measure_id INTEGER NOT NULL,
-    recorded_at TEXT NOT NULL,
-    value TEXT NOT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (measure_id) REFERENCES measures(id)
-  )
-`);
-db.run(`CREATE INDEX IF NOT EXISTS idx_tracking_owner_date ON tracking_data(owner, recorded_at)`);
-
-// Credit system tables
-db.run(`
-  CREATE TABLE IF NOT EXISTS user_credits (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    npub TEXT NOT NULL UNIQUE,
-    balance INTEGER NOT NULL DEFAULT 0,
-    first_login_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS credit_transactions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    npub TEXT NOT NULL,
-    type TEXT NOT NULL,
-    amount INTEGER NOT NULL,
-    balance_before INTEGER NOT NULL,
-    balance_after INTEGER NOT NULL,
-    reference_id TEXT DEFAULT NULL,
-    notes TEXT DEFAULT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-db.run(`CREATE INDEX IF NOT EXISTS idx_credit_tx_npub ON credit_transactions(npub)`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS credit_orders (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    npub TEXT NOT NULL,
-    mginx_order_id TEXT NOT NULL,
-    quantity INTEGER NOT NULL,
-    amount_sats INTEGER NOT NULL,
-    bolt11 TEXT NOT NULL,
-    status TEXT NOT NULL DEFAULT 'pending',
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    paid_at TEXT DEFAULT NULL
-  )
-`);
-db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_npub ON credit_orders(npub)`);
-db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_mginx_id ON credit_orders(mginx_order_id)`);
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS credit_audit_log (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    npub TEXT NOT NULL,
-    event_type TEXT NOT NULL,
-    credits_at_event INTEGER NOT NULL,
-    details TEXT DEFAULT NULL,
-    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
-  )
-`);
-db.run(`CREATE INDEX IF NOT EXISTS idx_credit_audit_npub ON credit_audit_log(npub)`);
+function nextSyncVersion(): number {
+  return (nextSyncVersionStmt.get() as { version: number }).version;
+}
+
+// Runs a write with a fresh sync version. The transaction holds the write
+// lock from taking the version until the row is written, so versions become
+// visible in order even with several server processes.
+function withSyncVersion<T>(fn: (version: number) => T): T {
+  return db.transaction(() => fn(nextSyncVersion()))();
+}
 
 const listByOwnerStmt = db.query<Todo>(
   "SELECT * FROM todos WHERE deleted = 0 AND owner = ? ORDER BY created_at DESC"
@@ -484,7 +443,16 @@ export function resetDatabase() {
   db.run("DELETE FROM credit_transactions");
   db.run("DELETE FROM credit_orders");
   db.run("DELETE FROM credit_audit_log");
-  db.run("DELETE FROM sqlite_sequence WHERE name IN ('todos', 'ai_summaries', 'entries', 'measures', 'tracking_data', 'user_credits', 'credit_transactions', 'credit_orders', 'credit_audit_log')");
+  db.run("DELETE FROM sessions");
+  db.run("DELETE FROM api_tokens");
+  db.run("DELETE FROM webhooks");
+  db.run("DELETE FROM webhook_deliveries");
+  db.run("DELETE FROM push_subscriptions");
+  db.run("DELETE FROM reminders");
+  db.run("DELETE FROM tombstones");
+  db.run("DELETE FROM sync_horizons");
+  db.run("UPDATE sync_clock SET version = 0");
+  db.run("DELETE FROM sqlite_sequence WHERE name IN ('todos', 'ai_summaries', 'entries', 'measures', 'tracking_data', 'user_credits', 'credit_transactions', 'credit_orders', 'credit_audit_log', 'sessions', 'api_tokens', 'webhooks', 'webhook_deliveries', 'push_subscriptions', 'reminders', 'tombstones')");
 }
 
 // Entry prepared statements
@@ -510,14 +478,26 @@ const getEntryDatesStmt = db.query<{ entry_date: string; count: number }>(
 );
 
 const upsertEntryStmt = db.query<Entry>(
-  `INSERT INTO entries (owner, entry_date, slot, encrypted_content)
-   VALUES (?, ?, ?, ?)
+  `INSERT INTO entries (owner, entry_date, slot, encrypted_content, sync_version, client_id)
+   VALUES (?, ?, ?, ?, ?, ?)
    ON CONFLICT(owner, entry_date, slot) DO UPDATE SET
      encrypted_content = excluded.encrypted_content,
+     sync_version = excluded.sync_version,
      updated_at = CURRENT_TIMESTAMP
    RETURNING *`
 );
 
+const getEntryStmt = db.query<Entry>(
+  `SELECT * FROM entries WHERE owner = ? AND entry_date = ? AND slot = ?`
+);
+
+const getEntriesChangedSinceStmt = db.query<Entry>(
+  `SELECT * FROM entries
+   WHERE owner = ? AND sync_version > ?
+   ORDER BY sync_version ASC
+   LIMIT ?`
+);
+
 // Entry functions
 export function getEntriesForDate(owner: string, date: string): Entry[] {
   if (!owner || !date) return [];
@@ -538,13 +518,27 @@ export function upsertEntry(
   owner: string,
   entryDate: string,
   slot: number,
-  encryptedContent: string
+  encryptedContent: string,
+  clientId: string | null = null
 ): Entry | null {
   if (!owner || !entryDate || slot < 1 || slot > 3 || !encryptedContent) return null;
-  const entry = upsertEntryStmt.get(owner, entryDate, slot, encryptedContent) as Entry | undefined;
+  const entry = withSyncVersion(
+    (version) => upsertEntryStmt.get(owner, entryDate, slot, encryptedContent, version, clientId) as Entry | undefined
+  );
   return entry ?? null;
 }
 
+export function getEntry(owner: string, entryDate: string, slot: number): Entry | null {
+  if (!owner || !entryDate) return null;
+  const entry = getEntryStmt.get(owner, entryDate, slot) as Entry | undefined;
+  return entry ?? null;
+}
+
+export function getEntriesChangedSince(owner: string, version: number, limit: number): Entry[] {
+  if (!owner) return [];
+  return getEntriesChangedSinceStmt.all(owner, version, limit);
+}
+
 // ============================================================
 // Measure prepared statements and functions
 // ============================================================
@@ -559,21 +553,37 @@ const getMeasureByIdStmt = db.query<Measure>(
 
 // Simple INSERT since names are now encrypted (no UNIQUE constraint)
 const insertMeasureStmt = db.query<Measure>(
-  `INSERT INTO measures (owner, name, type, encrypted, sort_order, config)
-   VALUES (?, ?, ?, ?, ?, ?)
+  `INSERT INTO measures (owner, name, type, encrypted, sort_order, config, updated_at, sync_version, client_id)
+   VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)
    RETURNING *`
 );
 
+const getMeasureByClientIdStmt = db.query<Measure>(
+  `SELECT * FROM measures WHERE owner = ? AND client_id = ?`
+);
+
 const updateMeasureStmt = db.query<Measure>(
-  `UPDATE measures SET name = ?, type = ?, encrypted = ?, sort_order = ?, config = ?
+  `UPDATE measures SET name = ?, type = ?, encrypted = ?, sort_order = ?, config = ?,
+     updated_at = CURRENT_TIMESTAMP, sync_version = ?
    WHERE id = ? AND owner = ?
    RETURNING *`
 );
 
+const getMeasuresChangedSinceStmt = db.query<Measure>(
+  `SELECT * FROM measures
+   WHERE owner = ? AND sync_version > ?
+   ORDER BY sync_version ASC
+   LIMIT ?`
+);
+
 const deleteMeasureStmt = db.query(
   `DELETE FROM measures WHERE id = ? AND owner = ?`
 );
 
+const insertTombstoneStmt = db.query(
+  `INSERT INTO tombstones (owner, table_name, record_id, sync_version) VALUES (?, ?, ?, ?)`
+);
+
 const deleteTrackingForMeasureStmt = db.query(
   `DELETE FROM tracking_data WHERE measure_id = ? AND owner = ?`
 );
@@ -595,17 +605,26 @@ export function createMeasure(
   type: MeasureType,
   encrypted: boolean,
   sortOrder: number = 0,
-  config: string | null = null
+  config: string | null = null,
+  clientId: string | null = null
 ): Measure | null {
   if (!owner || !name || !type) return null;
-  const measure = insertMeasureStmt.get(
+  const measure = withSyncVersion((version) => insertMeasureStmt.get(
     owner,
     name,
     type,
     encrypted ? 1 : 0,
     sortOrder,
-    config
-  ) as Measure | undefined;
+    config,
+    version,
+    clientId
+  ) as Measure | undefined);
+  return measure ?? null;
+}
+
+export function getMeasureByClientId(owner: string, clientId: string): Measure | null {
+  if (!owner || !clientId) return null;
+  const measure = getMeasureByClientIdStmt.get(owner, clientId) as Measure | undefined;
   return measure ?? null;
 }
 
@@ -619,26 +638,38 @@ export function updateMeasure(
   config: string | null = null
 ): Measure | null {
   if (!owner || !name || !type) return null;
-  const measure = updateMeasureStmt.get(
+  const measure = withSyncVersion((version) => updateMeasureStmt.get(
     name.trim(),
     type,
     encrypted ? 1 : 0,
     sortOrder,
     config,
+    version,
     id,
     owner
-  ) as Measure | undefined;
+  ) as Measure | undefined);
   return measure ?? null;
 }
 
+export function getMeasuresChangedSince(owner: string, version: number, limit: number): Measure[] {
+  if (!owner) return [];
+  return getMeasuresChangedSinceStmt.all(owner, version, limit);
+}
+
 export function deleteMeasure(id: number, owner: string): void {
-  // Delete associated tracking data first
-  deleteTrackingForMeasureStmt.run(id, owner);
-  deleteMeasureStmt.run(id, owner);
+  withSyncVersion((version) => {
+    // Delete associated tracking data first. Only the measure gets a
+    // tombstone; clients drop a measure's tracking rows along with it.
+    deleteTrackingForMeasureStmt.run(id, owner);
+    if (deleteMeasureStmt.run(id, owner).changes > 0) {
+      insertTombstoneStmt.run(owner, "measures", id, version);
+    }
+  });
 }
 
 const updateMeasureSortOrderStmt = db.query(
-  `UPDATE measures SET sort_order = ? WHERE id = ? AND owner = ?`
+  `UPDATE measures SET sort_order = ?, updated_at = CURRENT_TIMESTAMP, sync_version = ?
+   WHERE id = ? AND owner = ?`
 );
 
 export function updateMeasureSortOrders(owner: string, orders: Array<{ id: number; sort_order: number }>): void {
@@ -647,7 +678,7 @@ export function updateMeasureSortOrders(owner: string, orders: Array<{ id: numbe
   // Update each measure's sort_order in a transaction
   db.transaction(() => {
     for (const { id, sort_order } of orders) {
-      updateMeasureSortOrderStmt.run(sort_order, id, owner);
+      withSyncVersion((version) => updateMeasureSortOrderStmt.run(sort_order, version, id, owner));
     }
   })();
 }
@@ -663,6 +694,14 @@ const getTrackingDataStmt = db.query<TrackingData>(
    LIMIT ?`
 );
 
+// The measure ids are a JSON array, so one statement fits any number of them
+const getTrackingDataForMeasuresStmt = db.query<TrackingData>(
+  `SELECT * FROM tracking_data
+   WHERE owner = ? AND measure_id IN (SELECT value FROM json_each(?))
+   ORDER BY recorded_at DESC
+   LIMIT ?`
+);
+
 const getTrackingDataByDateRangeStmt = db.query<TrackingData>(
   `SELECT * FROM tracking_data
    WHERE owner = ? AND recorded_at >= ? AND recorded_at < ?
@@ -682,18 +721,33 @@ const getTrackingDataForDateStmt = db.query<TrackingData>(
    ORDER BY measure_id ASC, recorded_at DESC`
 );
 
+const getTrackingDataByIdStmt = db.query<TrackingData>(
+  `SELECT * FROM tracking_data WHERE id = ? AND owner = ?`
+);
+
 const upsertTrackingDataStmt = db.query<TrackingData>(
-  `INSERT INTO tracking_data (owner, measure_id, recorded_at, value)
-   VALUES (?, ?, ?, ?)
+  `INSERT INTO tracking_data (owner, measure_id, recorded_at, value, sync_version, client_id)
+   VALUES (?, ?, ?, ?, ?, ?)
    RETURNING *`
 );
 
+const getTrackingDataByClientIdStmt = db.query<TrackingData>(
+  `SELECT * FROM tracking_data WHERE owner = ? AND client_id = ?`
+);
+
 const updateTrackingDataStmt = db.query<TrackingData>(
-  `UPDATE tracking_data SET value = ?, updated_at = CURRENT_TIMESTAMP
+  `UPDATE tracking_data SET value = ?, updated_at = CURRENT_TIMESTAMP, sync_version = ?
    WHERE id = ? AND owner = ?
    RETURNING *`
 );
 
+const getTrackingDataChangedSinceStmt = db.query<TrackingData>(
+  `SELECT * FROM tracking_data
+   WHERE owner = ? AND sync_version > ?
+   ORDER BY sync_version ASC
+   LIMIT ?`
+);
+
 const deleteTrackingDataStmt = db.query(
   `DELETE FROM tracking_data WHERE id = ? AND owner = ?`
 );
@@ -716,8 +770,10 @@ const getTimerSessionsStmt = db.query<TrackingData>(
    LIMIT ?`
 );
 
-export function getTrackingData(owner: string, limit: number = 100): TrackingData[] {
+// `measureIds` limits the rows before the limit applies; null means all measures
+export function getTrackingData(owner: string, limit: number = 100, measureIds: number[] | null = null): TrackingData[] {
   if (!owner) return [];
+  if (measureIds) return getTrackingDataForMeasuresStmt.all(owner, JSON.stringify(measureIds), limit);
   return getTrackingDataStmt.all(owner, limit);
 }
 
@@ -744,14 +800,29 @@ export function getTrackingDataForDate(owner: string, date: string): TrackingDat
   return getTrackingDataForDateStmt.all(owner, date);
 }
 
+export function getTrackingDataById(id: number, owner: string): TrackingData | null {
+  if (!owner) return null;
+  const data = getTrackingDataByIdStmt.get(id, owner) as TrackingData | undefined;
+  return data ?? null;
+}
+
 export function saveTrackingData(
   owner: string,
   measureId: number,
   recordedAt: string,
-  value: string
+  value: string,
+  clientId: string | null = null
 ): TrackingData | null {
   if (!owner || !measureId || !recordedAt || value === undefined) return null;
-  const data = upsertTrackingDataStmt.get(owner, measureId, recordedAt, value) as TrackingData | undefined;
+  const data = withSyncVersion(
+    (version) => upsertTrackingDataStmt.get(owner, measureId, recordedAt, value, version, clientId) as TrackingData | undefined
+  );
+  return data ?? null;
+}
+
+export function getTrackingDataByClientId(owner: string, clientId: string): TrackingData | null {
+  if (!owner || !clientId) return null;
+  const data = getTrackingDataByClientIdStmt.get(owner, clientId) as TrackingData | undefined;
   return data ?? null;
 }
 
@@ -761,12 +832,86 @@ export function updateTrackingData(
   value: string
 ): TrackingData | null {
   if (!owner || value === undefined) return null;
-  const data = updateTrackingDataStmt.get(value, id, owner) as TrackingData | undefined;
+  const data = withSyncVersion(
+    (version) => updateTrackingDataStmt.get(value, version, id, owner) as TrackingData | undefined
+  );
   return data ?? null;
 }
 
+export function getTrackingDataChangedSince(owner: string, version: number, limit: number): TrackingData[] {
+  if (!owner) return [];
+  return getTrackingDataChangedSinceStmt.all(owner, version, limit);
+}
+
 export function deleteTrackingData(id: number, owner: string): void {
-  deleteTrackingDataStmt.run(id, owner);
+  withSyncVersion((version) => {
+    if (deleteTrackingDataStmt.run(id, owner).changes > 0) {
+      insertTombstoneStmt.run(owner, "tracking_data", id, version);
+    }
+  });
+}
+
+// ============================================================
+// Tombstone prepared statements and functions
+// ============================================================
+
+const getTombstonesChangedSinceStmt = db.query<Tombstone>(
+  `SELECT * FROM tombstones
+   WHERE owner = ? AND sync_version > ?
+   ORDER BY sync_version ASC
+   LIMIT ?`
+);
+
+const getSyncHorizonStmt = db.query<{ purged_through: number }>(
+  `SELECT purged_through FROM sync_horizons WHERE owner = ?`
+);
+
+const getTombstoneOwnersStmt = db.query<{ owner: string; max_version: number }>(
+  `SELECT owner, MAX(sync_version) AS max_version FROM tombstones GROUP BY owner`
+);
+
+const getOldestSessionCursorStmt = db.query<{ cursor: number | null }>(
+  `SELECT MIN(sync_cursor) AS cursor FROM sessions
+   WHERE npub = ? AND sync_cursor IS NOT NULL AND expires_at > CURRENT_TIMESTAMP`
+);
+
+const deleteTombstonesThroughStmt = db.query<{ sync_version: number }>(
+  `DELETE FROM tombstones WHERE owner = ? AND sync_version <= ? RETURNING sync_version`
+);
+
+const raiseSyncHorizonStmt = db.query(
+  `INSERT INTO sync_horizons (owner, purged_through) VALUES (?, ?)
+   ON CONFLICT(owner) DO UPDATE SET purged_through = MAX(purged_through, excluded.purged_through)`
+);
+
+export function getTombstonesChangedSince(owner: string, version: number, limit: number): Tombstone[] {
+  if (!owner) return [];
+  return getTombstonesChangedSinceStmt.all(owner, version, limit);
+}
+
+export function getSyncHorizon(owner: string): number {
+  const row = getSyncHorizonStmt.get(owner) as { purged_through: number } | undefined;
+  return row?.purged_through ?? 0;
+}
+
+/**
+ * Drops tombstones every syncing device of their owner has already pulled.
+ * Sessions that never pulled don't hold GC back; if such a device shows up
+ * later with an old cursor it is told to resync (see getSyncHorizon).
+ */
+export function purgeSyncedTombstones(): number {
+  let purged = 0;
+  db.transaction(() => {
+    for (const { owner, max_version } of getTombstoneOwnersStmt.all()) {
+      const oldest = (getOldestSessionCursorStmt.get(owner) as { cursor: number | null } | undefined)?.cursor;
+      const through = oldest ?? max_version;
+      const deleted = deleteTombstonesThroughStmt.all(owner, through);
+      if (deleted.length === 0) continue;
+      raiseSyncHorizonStmt.run(owner, deleted.reduce((max, row) => Math.max(max, row.sync_version), 0));
+      purged += deleted.length;
+    }
+  })();
+  return purged;
 }
 
 export function getActiveTimer(owner: string): TrackingData | null {
@@ -958,3 +1103,474 @@ export function getCreditAuditLogs(npub: string, limit: number = 50): CreditAudi
 export function withCreditTransaction<T>(fn: () => T): T {
   return db.transaction(fn)();
 }
+
+// ============================================================
+// Session prepared statements and functions
+// ============================================================
+
+const insertSessionStmt = db.query<SessionRecord>(
+  `INSERT INTO sessions (token_hash, pubkey, npub, method, user_agent, expires_at)
+   VALUES (?, ?, ?, ?, ?, datetime('now', '+' || ? || ' seconds'))
+   RETURNING *`
+);
+
+const getSessionByTokenHashStmt = db.query<SessionRecord>(
+  `SELECT * FROM sessions WHERE token_hash = ? AND expires_at > CURRENT_TIMESTAMP`
+);
+
+// Only write last_seen_at once a minute so every request isn't a write
+const touchSessionStmt = db.query(
+  `UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP
+   WHERE id = ? AND last_seen_at < datetime('now', '-60 seconds')`
+);
+
+const listSessionsStmt = db.query<SessionRecord>(
+  `SELECT * FROM sessions
+   WHERE npub = ? AND expires_at > CURRENT_TIMESTAMP
+   ORDER BY last_seen_at DESC`
+);
+
+const deleteSessionStmt = db.query<SessionRecord>(
+  `DELETE FROM sessions WHERE id = ? AND npub = ? RETURNING *`
+);
+
+const deleteSessionsForNpubStmt = db.query<SessionRecord>(
+  `DELETE FROM sessions WHERE npub = ? RETURNING *`
+);
+
+const deleteSessionByTokenHashStmt = db.query(
+  `DELETE FROM sessions WHERE token_hash = ?`
+);
+
+const setSessionSyncCursorStmt = db.query(
+  `UPDATE sessions SET sync_cursor = MAX(COALESCE(sync_cursor, 0), ?) WHERE id = ?`
+);
+
+const deleteExpiredSessionsStmt = db.query(
+  `DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP`
+);
+
+export function createSessionRecord(
+  tokenHash: string,
+  pubkey: string,
+  npub: string,
+  method: LoginMethod,
+  userAgent: string | null,
+  maxAgeSeconds: number
+): SessionRecord | null {
+  if (!tokenHash || !npub) return null;
+  const record = insertSessionStmt.get(tokenHash, pubkey, npub, method, userAgent, maxAgeSeconds) as SessionRecord | undefined;
+  return record ?? null;
+}
+
+export function getSessionRecordByTokenHash(tokenHash: string): SessionRecord | null {
+  if (!tokenHash) return null;
+  const record = getSessionByTokenHashStmt.get(tokenHash) as SessionRecord | undefined;
+  return record ?? null;
+}
+
+export function listSessionRecords(npub: string): SessionRecord[] {
+  if (!npub) return [];
+  return listSessionsStmt.all(npub);
+}
+
+export function deleteSessionRecord(id: number, npub: string): SessionRecord | null {
+  if (!npub) return null;
+  const record = deleteSessionStmt.get(id, npub) as SessionRecord | undefined;
+  return record ?? null;
+}
+
+export function deleteSessionRecordsForNpub(npub: string): SessionRecord[] {
+  if (!npub) return [];
+  return deleteSessionsForNpubStmt.all(npub);
+}
+
+export function setSessionSyncCursor(id: number, cursor: number): void {
+  setSessionSyncCursorStmt.run(cursor, id);
+}
+
+export function touchSessionRecord(id: number): void {
+  touchSessionStmt.run(id);
+}
+
+export function deleteSessionRecordByTokenHash(tokenHash: string): void {
+  deleteSessionByTokenHashStmt.run(tokenHash);
+}
+
+export function purgeExpiredSessions(): number {
+  return deleteExpiredSessionsStmt.run().changes;
+}
+
+// ============================================================
+// API token prepared statements and functions
+// ============================================================
+
+const insertApiTokenStmt = db.query<ApiTokenRecord>(
+  `INSERT INTO api_tokens (owner, name, token_hash, scopes, measure_ids) VALUES (?, ?, ?, ?, ?) RETURNING *`
+);
+
+const getApiTokenByHashStmt = db.query<ApiTokenRecord>(
+  `SELECT * FROM api_tokens WHERE token_hash = ?`
+);
+
+const listApiTokensStmt = db.query<ApiTokenRecord>(
+  `SELECT * FROM api_tokens WHERE owner = ? ORDER BY created_at DESC, id DESC`
+);
+
+const deleteApiTokenStmt = db.query<ApiTokenRecord>(
+  `DELETE FROM api_tokens WHERE id = ? AND owner = ? RETURNING *`
+);
+
+// Like sessions, only written once a minute
+const touchApiTokenStmt = db.query(
+  `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+   WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-60 seconds'))`
+);
+
+export function createApiTokenRecord(
+  owner: string,
+  name: string,
+  tokenHash: string,
+  scopes: string,
+  measureIds: string | null = null
+): ApiTokenRecord | null {
+  if (!owner || !tokenHash) return null;
+  const record = insertApiTokenStmt.get(owner, name, tokenHash, scopes, measureIds) as ApiTokenRecord | undefined;
+  return record ?? null;
+}
+
+export function getApiTokenRecordByHash(tokenHash: string): ApiTokenRecord | null {
+  if (!tokenHash) return null;
+  const record = getApiTokenByHashStmt.get(tokenHash) as ApiTokenRecord | undefined;
+  return record ?? null;
+}
+
+export function listApiTokenRecords(owner: string): ApiTokenRecord[] {
+  if (!owner) return [];
+  return listApiTokensStmt.all(owner);
+}
+
+export function deleteApiTokenRecord(id: number, owner: string): ApiTokenRecord | null {
+  if (!owner) return null;
+  const record = deleteApiTokenStmt.get(id, owner) as ApiTokenRecord | undefined;
+  return record ?? null;
+}
+
+export function touchApiTokenRecord(id: number): void {
+  touchApiTokenStmt.run(id);
+}
+
+// ============================================================
+// Webhook prepared statements and functions
+// ============================================================
+
+const insertWebhookStmt = db.query<WebhookRecord>(
+  `INSERT INTO webhooks (owner, url, secret, events) VALUES (?, ?, ?, ?) RETURNING *`
+);
+
+const listWebhooksStmt = db.query<WebhookRecord>(
+  `SELECT * FROM webhooks WHERE owner = ? ORDER BY created_at DESC, id DESC`
+);
+
+const getWebhookStmt = db.query<WebhookRecord>(
+  `SELECT * FROM webhooks WHERE id = ? AND owner = ?`
+);
+
+const deleteWebhookStmt = db.query<WebhookRecord>(
+  `DELETE FROM webhooks WHERE id = ? AND owner = ? RETURNING *`
+);
+
+const deleteWebhookDeliveriesStmt = db.query(
+  `DELETE FROM webhook_deliveries WHERE webhook_id = ?`
+);
+
+const insertWebhookDeliveryStmt = db.query(
+  `INSERT INTO webhook_deliveries (webhook_id, owner, event, payload) VALUES (?, ?, ?, ?)`
+);
+
+const listWebhookDeliveriesStmt = db.query<WebhookDeliveryRecord>(
+  `SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND owner = ? ORDER BY id DESC LIMIT ?`
+);
+
+const getDueWebhookDeliveriesStmt = db.query<DueWebhookDelivery>(
+  `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+   JOIN webhooks w ON w.id = d.webhook_id
+   WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+   ORDER BY d.id ASC
+   LIMIT ?`
+);
+
+const markWebhookDeliveredStmt = db.query(
+  `UPDATE webhook_deliveries
+   SET status = 'delivered', attempts = attempts + 1, response_status = ?, last_error = NULL,
+       delivered_at = CURRENT_TIMESTAMP
+   WHERE id = ?`
+);
+
+// `status` is 'pending' with a later next_attempt_at, or 'failed' when out of retries
+const markWebhookAttemptFailedStmt = db.query(
+  `UPDATE webhook_deliveries
+   SET status = ?, attempts = attempts + 1, response_status = ?, last_error = ?,
+       next_attempt_at = datetime('now', '+' || ? || ' seconds')
+   WHERE id = ?`
+);
+
+const purgeWebhookDeliveriesStmt = db.query(
+  `DELETE FROM webhook_deliveries
+   WHERE status != 'pending' AND created_at < datetime('now', '-' || ? || ' days')`
+);
+
+export function createWebhookRecord(owner: string, url: string, secret: string, events: string): WebhookRecord | null {
+  if (!owner || !url || !secret) return null;
+  const record = insertWebhookStmt.get(owner, url, secret, events) as WebhookRecord | undefined;
+  return record ?? null;
+}
+
+export function listWebhookRecords(owner: string): WebhookRecord[] {
+  if (!owner) return [];
+  return listWebhooksStmt.all(owner);
+}
+
+export function getWebhookRecord(id: number, owner: string): WebhookRecord | null {
+  if (!owner) return null;
+  const record = getWebhookStmt.get(id, owner) as WebhookRecord | undefined;
+  return record ?? null;
+}
+
+// Deliveries go with their webhook, including ones still waiting to be sent
+export function deleteWebhookRecord(id: number, owner: string): WebhookRecord | null {
+  if (!owner) return null;
+  return db.transaction(() => {
+    const record = deleteWebhookStmt.get(id, owner) as WebhookRecord | undefined;
+    if (record) deleteWebhookDeliveriesStmt.run(record.id);
+    return record ?? null;
+  })();
+}
+
+export function createWebhookDelivery(webhookId: number, owner: string, event: string, payload: string): void {
+  insertWebhookDeliveryStmt.run(webhookId, owner, event, payload);
+}
+
+export function listWebhookDeliveryRecords(webhookId: number, owner: string, limit: number): WebhookDeliveryRecord[] {
+  if (!owner) return [];
+  return listWebhookDeliveriesStmt.all(webhookId, owner, limit);
+}
+
+export function getDueWebhookDeliveries(limit: number): DueWebhookDelivery[] {
+  return getDueWebhookDeliveriesStmt.all(limit);
+}
+
+export function markWebhookDelivered(id: number, responseStatus: number): void {
+  markWebhookDeliveredStmt.run(responseStatus, id);
+}
+
+export function markWebhookAttemptFailed(
+  id: number,
+  giveUp: boolean,
+  responseStatus: number | null,
+  error: string,
+  retryInSeconds: number
+): void {
+  markWebhookAttemptFailedStmt.run(giveUp ? "failed" : "pending", responseStatus, error, retryInSeconds, id);
+}
+
+export function purgeWebhookDeliveries(olderThanDays: number): number {
+  return purgeWebhookDeliveriesStmt.run(olderThanDays).changes;
+}
+
+// ============================================================
+// Push subscription and reminder prepared statements and functions
+// ============================================================
+
+// A browser keeps its endpoint across logins, so it moves to the new owner
+const upsertPushSubscriptionStmt = db.query<PushSubscriptionRecord>(
+  `INSERT INTO push_subscriptions (owner, endpoint, p256dh, auth, user_agent) VALUES (?, ?, ?, ?, ?)
+   ON CONFLICT(endpoint) DO UPDATE SET
+     owner = excluded.owner, p256dh = excluded.p256dh, auth = excluded.auth, user_agent = excluded.user_agent
+   RETURNING *`
+);
+
+const listPushSubscriptionsStmt = db.query<PushSubscriptionRecord>(
+  `SELECT * FROM push_subscriptions WHERE owner = ? ORDER BY id ASC`
+);
+
+const deletePushSubscriptionStmt = db.query(
+  `DELETE FROM push_subscriptions WHERE endpoint = ? AND owner = ?`
+);
+
+const deletePushSubscriptionByIdStmt = db.query(
+  `DELETE FROM push_subscriptions WHERE id = ?`
+);
+
+const listRemindersStmt = db.query<Reminder>(
+  `SELECT * FROM reminders WHERE owner = ? ORDER BY measure_id IS NOT NULL, measure_id ASC`
+);
+
+const listAllRemindersStmt = db.query<Reminder>(
+  `SELECT * FROM reminders ORDER BY id ASC`
+);
+
+const insertReminderStmt = db.query(
+  `INSERT INTO reminders (owner, measure_id, time, weekdays, timezone) VALUES (?, ?, ?, ?, ?)`
+);
+
+const updateReminderStmt = db.query(
+  `UPDATE reminders SET time = ?, weekdays = ?, timezone = ? WHERE id = ?`
+);
+
+const deleteReminderStmt = db.query(
+  `DELETE FROM reminders WHERE id = ?`
+);
+
+const markReminderSentStmt = db.query(
+  `UPDATE reminders SET last_sent_date = ? WHERE id = ?`
+);
+
+// Rows within a day either side, for the caller to match in a time zone
+const getTrackingDataNearDateStmt = db.query<TrackingData>(
+  `SELECT * FROM tracking_data
+   WHERE owner = ? AND measure_id = ? AND date(recorded_at) BETWEEN date(?, '-1 day') AND date(?, '+1 day')`
+);
+
+export function savePushSubscription(
+  owner: string,
+  endpoint: string,
+  p256dh: string,
+  auth: string,
+  userAgent: string | null = null
+): PushSubscriptionRecord | null {
+  if (!owner || !endpoint) return null;
+  const record = upsertPushSubscriptionStmt.get(owner, endpoint, p256dh, auth, userAgent) as PushSubscriptionRecord | undefined;
+  return record ?? null;
+}
+
+export function listPushSubscriptions(owner: string): PushSubscriptionRecord[] {
+  if (!owner) return [];
+  return listPushSubscriptionsStmt.all(owner);
+}
+
+export function deletePushSubscription(owner: string, endpoint: string): boolean {
+  if (!owner) return false;
+  return deletePushSubscriptionStmt.run(endpoint, owner).changes > 0;
+}
+
+export function deletePushSubscriptionById(id: number): void {
+  deletePushSubscriptionByIdStmt.run(id);
+}
+
+export function listReminders(owner: string): Reminder[] {
+  if (!owner) return [];
+  return listRemindersStmt.all(owner);
+}
+
+export function listAllReminders(): Reminder[] {
+  return listAllRemindersStmt.all();
+}
+
+export type ReminderSchedule = { measure_id: number | null; time: string; weekdays: string };
+
+/**
+ * Makes the owner's reminders exactly `schedules`, one per measure (or the
+ * journal). Reminders that stay keep their last_sent_date, so saving the
+ * list again doesn't send today's reminder twice.
+ */
+export function replaceReminders(owner: string, schedules: ReminderSchedule[], timezone: string): Reminder[] {
+  if (!owner) return [];
+  return db.transaction(() => {
+    const existing = new Map(listRemindersStmt.all(owner).map((r) => [r.measure_id, r]));
+    for (const schedule of schedules) {
+      const current = existing.get(schedule.measure_id);
+      if (current) {
+        updateReminderStmt.run(schedule.time, schedule.weekdays, timezone, current.id);
+        existing.delete(schedule.measure_id);
+      } else {
+        insertReminderStmt.run(owner, schedule.measure_id, schedule.time, schedule.weekdays, timezone);
+      }
+    }
+    for (const removed of existing.values()) deleteReminderStmt.run(removed.id);
+    return listRemindersStmt.all(owner);
+  })();
+}
+
+export function markReminderSent(id: number, date: string): void {
+  markReminderSentStmt.run(date, id);
+}
+
+export function getTrackingDataNearDate(owner: string, measureId: number, date: string): TrackingData[] {
+  if (!owner || !date) return [];
+  return getTrackingDataNearDateStmt.all(owner, measureId, date, date);
+}
+
+// ============================================================
+// Export and import
+// ============================================================
+
+// An export stream reads each table lazily across many pulls, so it gets its
+// own statements: iterating a shared cached one would be reset by the next
+// request that uses it. The statement is finalized once the rows run out or
+// the stream is cancelled.
+function* iterateRows<T>(sql: string, owner: string): Generator<T> {
+  const statement = db.prepare<T, [string]>(sql);
+  try {
+    yield* statement.iterate(owner);
+  } finally {
+    statement.finalize();
+  }
+}
+
+export function iterateMeasuresForExport(owner: string) {
+  return iterateRows<Measure>(`SELECT * FROM measures WHERE owner = ? ORDER BY id ASC`, owner);
+}
+
+export function iterateTrackingDataForExport(owner: string) {
+  return iterateRows<TrackingData>(`SELECT * FROM tracking_data WHERE owner = ? ORDER BY id ASC`, owner);
+}
+
+export function iterateTimerSessionsForExport(owner: string) {
+  return iterateRows<TrackingData>(
+    `SELECT td.* FROM tracking_data td
+     JOIN measures m ON td.measure_id = m.id
+     WHERE td.owner = ? AND m.type = 'time'
+     ORDER BY td.id ASC`,
+    owner
+  );
+}
+
+export function iterateEntriesForExport(owner: string) {
+  return iterateRows<Entry>(`SELECT * FROM entries WHERE owner = ? ORDER BY entry_date ASC, slot ASC`, owner);
+}
+
+export function iterateCreditTransactionsForExport(npub: string) {
+  return iterateRows<CreditTransaction>(`SELECT * FROM credit_transactions WHERE npub = ? ORDER BY id ASC`, npub);
+}
+
+const clearOwnerStmts = ["tracking_data", "measures", "entries", "tombstones"].map((table) =>
+  db.query(`DELETE FROM ${table} WHERE owner = ?`)
+);
+
+const currentSyncVersionStmt = db.query<{ version: number }>(
+  `SELECT version FROM sync_clock WHERE id = 1`
+);
+
+// Runs a whole import atomically; the per-row writes nest as savepoints
+export function withImportTransaction<T>(fn: () => T): T {
+  return db.transaction(fn)();
+}
+
+/**
+ * Hard-deletes an owner's measures, tracking data and entries without
+ * tombstones. Follow it with forceResync() so other devices drop their copies.
+ */
+export function clearOwnerData(owner: string): void {
+  if (!owner) return;
+  for (const stmt of clearOwnerStmts) stmt.run(owner);
+}
+
+/**
+ * Moves the owner's sync horizon up to the current version, so every device
+ * that has pulled before is told to reset and pull again from zero.
+ */
+export function forceResync(owner: string): void {
+  const { version } = currentSyncVersionStmt.get() as { version: number };
+  raiseSyncHorizonStmt.run(owner, version);
+}
@@ -8,6 +8,18 @@ export function unauthorized() {
   return new Response("Unauthorized", { status: 401 });
 }
 
+export function paymentRequired(balance: number) {
+  return jsonResponse(
+    {
+      error: "Payment required",
+      code: "payment_required",
+      message: "You have no credits left. Top up to keep recording data.",
+      balance,
+    },
+    402
+  );
+}
+
 export function jsonResponse(body: unknown, status = 200, cookie?: string) {
   const headers: Record<string, string> = { "Content-Type": "application/json" };
   if (cookie) headers["Set-Cookie"] = cookie;
@@ -0,0 +1,419 @@
+import type { Database } from "bun:sqlite";
+
+// Numbered schema changes, applied in order and each exactly once. A
+// migration and its row in `schema_migrations` commit together, so a failed
+// migration leaves nothing behind and is retried on the next start.
+//
+// Migrations 1-6 are the schema as it stood before this table existed. They
+// check what is already there, because a database from that time may be at
+// any point of that history. Later migrations run against a known schema and
+// can be plain SQL.
+//
+// Never edit or renumber a migration that has shipped; add a new one.
+
+export type Migration = {
+  version: number;
+  name: string;
+  up: (db: Database) => void;
+};
+
+export type AppliedMigration = {
+  version: number;
+  name: string;
+  applied_at: string;
+};
+
+function hasColumn(db: Database, table: string, column: string) {
+  const columns = db.query(`PRAGMA table_info(${table})`).all() as { name: string }[];
+  return columns.some((c) => c.name === column);
+}
+
+function ensureColumn(db: Database, table: string, column: string, definition: string) {
+  if (!hasColumn(db, table, column)) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+const SYNCED_TABLES = ["measures", "tracking_data", "entries"] as const;
+
+export const MIGRATIONS: Migration[] = [
+  {
+    version: 1,
+    name: "initial_schema",
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS todos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          done INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      ensureColumn(db, "todos", "description", "TEXT DEFAULT ''");
+      ensureColumn(db, "todos", "priority", "TEXT NOT NULL DEFAULT 'sand'");
+      ensureColumn(db, "todos", "state", "TEXT NOT NULL DEFAULT 'new'");
+      ensureColumn(db, "todos", "deleted", "INTEGER NOT NULL DEFAULT 0");
+      ensureColumn(db, "todos", "owner", "TEXT NOT NULL DEFAULT ''");
+      ensureColumn(db, "todos", "scheduled_for", "TEXT DEFAULT NULL");
+      ensureColumn(db, "todos", "tags", "TEXT DEFAULT ''");
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS ai_summaries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          summary_date TEXT NOT NULL,
+          day_ahead TEXT NULL,
+          week_ahead TEXT NULL,
+          suggestions TEXT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(owner, summary_date)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          entry_date TEXT NOT NULL,
+          slot INTEGER NOT NULL,
+          encrypted_content TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(owner, entry_date, slot)
+        )
+      `);
+
+      // Measure definitions (user-configurable tracking metrics)
+      // Note: name and config fields store NIP-44 encrypted ciphertext
+      db.run(`
+        CREATE TABLE IF NOT EXISTS measures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          encrypted INTEGER NOT NULL DEFAULT 1,
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tracking_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          measure_id INTEGER NOT NULL,
+          recorded_at TEXT NOT NULL,
+          value TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (measure_id) REFERENCES measures(id)
+        )
+      `);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_tracking_owner_date ON tracking_data(owner, recorded_at)`);
+    },
+  },
+  {
+    version: 2,
+    name: "measures_config",
+    up(db) {
+      ensureColumn(db, "measures", "config", "TEXT DEFAULT NULL");
+    },
+  },
+  {
+    version: 3,
+    name: "measures_drop_unique_name",
+    // Names are encrypted, so equal names no longer look equal. SQLite can
+    // only drop a constraint by rebuilding the table.
+    up(db) {
+      const table = db.query("SELECT sql FROM sqlite_master WHERE type='table' AND name='measures'").get() as
+        | { sql: string }
+        | null;
+      if (!table?.sql.includes("UNIQUE(owner, name)")) return;
+
+      db.run(`CREATE TABLE measures_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner TEXT NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL,
+        encrypted INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        config TEXT DEFAULT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`);
+      db.run(`INSERT INTO measures_new (id, owner, name, type, encrypted, sort_order, config, created_at)
+        SELECT id, owner, name, type, encrypted, sort_order, config, COALESCE(created_at, CURRENT_TIMESTAMP)
+        FROM measures`);
+      db.run("DROP TABLE measures");
+      db.run("ALTER TABLE measures_new RENAME TO measures");
+    },
+  },
+  {
+    version: 4,
+    name: "sync_versions",
+    // See docs/sync.md
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sync_clock (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          version INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+      db.run(`INSERT OR IGNORE INTO sync_clock (id, version) VALUES (1, 0)`);
+
+      ensureColumn(db, "measures", "updated_at", "TEXT DEFAULT NULL");
+      db.run("UPDATE measures SET updated_at = created_at WHERE updated_at IS NULL");
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS tombstones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          table_name TEXT NOT NULL,
+          record_id INTEGER NOT NULL,
+          sync_version INTEGER NOT NULL,
+          deleted_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_tombstones_owner_version ON tombstones(owner, sync_version)`);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sync_horizons (
+          owner TEXT PRIMARY KEY,
+          purged_through INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+
+      const nextVersion = db.query(`UPDATE sync_clock SET version = version + 1 WHERE id = 1 RETURNING version`);
+      for (const table of SYNCED_TABLES) {
+        ensureColumn(db, table, "sync_version", "INTEGER NOT NULL DEFAULT 0");
+        db.run(`CREATE INDEX IF NOT EXISTS idx_${table}_owner_version ON ${table}(owner, sync_version)`);
+
+        ensureColumn(db, table, "client_id", "TEXT DEFAULT NULL");
+        db.run(
+          `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_owner_client_id ON ${table}(owner, client_id) WHERE client_id IS NOT NULL`
+        );
+
+        // Rows written before sync versions existed each get a unique version
+        const unversioned = db.query(`SELECT id FROM ${table} WHERE sync_version = 0 ORDER BY id`).all() as { id: number }[];
+        const assign = db.query(`UPDATE ${table} SET sync_version = ? WHERE id = ?`);
+        for (const row of unversioned) {
+          assign.run((nextVersion.get() as { version: number }).version, row.id);
+        }
+      }
+    },
+  },
+  {
+    version: 5,
+    name: "credits",
+    // See docs/credits_system.md
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS user_credits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          npub TEXT NOT NULL UNIQUE,
+          balance INTEGER NOT NULL DEFAULT 0,
+          first_login_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS credit_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          npub TEXT NOT NULL,
+          type TEXT NOT NULL,
+          amount INTEGER NOT NULL,
+          balance_before INTEGER NOT NULL,
+          balance_after INTEGER NOT NULL,
+          reference_id TEXT DEFAULT NULL,
+          notes TEXT DEFAULT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_credit_tx_npub ON credit_transactions(npub)`);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS credit_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          npub TEXT NOT NULL,
+          mginx_order_id TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          amount_sats INTEGER NOT NULL,
+          bolt11 TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          paid_at TEXT DEFAULT NULL
+        )
+      `);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_npub ON credit_orders(npub)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_credit_orders_mginx_id ON credit_orders(mginx_order_id)`);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS credit_audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          npub TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          credits_at_event INTEGER NOT NULL,
+          details TEXT DEFAULT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_credit_audit_npub ON credit_audit_log(npub)`);
+    },
+  },
+  {
+    version: 6,
+    name: "sessions",
+    // Only a SHA-256 hash of the cookie token is stored, so a leaked database
+    // can't be replayed as a cookie
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token_hash TEXT NOT NULL UNIQUE,
+          pubkey TEXT NOT NULL,
+          npub TEXT NOT NULL,
+          method TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          expires_at TEXT NOT NULL
+        )
+      `);
+      ensureColumn(db, "sessions", "user_agent", "TEXT DEFAULT NULL");
+      // Last /sync cursor this session pulled from; used to garbage-collect tombstones
+      ensureColumn(db, "sessions", "sync_cursor", "INTEGER DEFAULT NULL");
+      db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_npub ON sessions(npub)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)`);
+    },
+  },
+  {
+    version: 7,
+    name: "api_tokens",
+    // Credentials for scripts and agents; see docs/api_tokens.md
+    up(db) {
+      db.run(`
+        CREATE TABLE api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          scopes TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TEXT DEFAULT NULL
+        )
+      `);
+      db.run(`CREATE INDEX idx_api_tokens_owner ON api_tokens(owner)`);
+    },
+  },
+  {
+    version: 8,
+    name: "api_token_measures",
+    // Comma-separated measure ids a token is limited to; NULL for all
+    up(db) {
+      db.run(`ALTER TABLE api_tokens ADD COLUMN measure_ids TEXT DEFAULT NULL`);
+    },
+  },
+  {
+    version: 9,
+    name: "webhooks",
+    up(db) {
+      db.run(`
+        CREATE TABLE webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          events TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX idx_webhooks_owner ON webhooks(owner)`);
+      db.run(`
+        CREATE TABLE webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL,
+          owner TEXT NOT NULL,
+          event TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          response_status INTEGER DEFAULT NULL,
+          last_error TEXT DEFAULT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TEXT DEFAULT NULL
+        )
+      `);
+      db.run(`CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)`);
+      db.run(`CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)`);
+    },
+  },
+  {
+    version: 10,
+    name: "reminders",
+    up(db) {
+      db.run(`
+        CREATE TABLE push_subscriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          endpoint TEXT NOT NULL UNIQUE,
+          p256dh TEXT NOT NULL,
+          auth TEXT NOT NULL,
+          user_agent TEXT DEFAULT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX idx_push_subscriptions_owner ON push_subscriptions(owner)`);
+      // measure_id NULL is the journal reminder; last_sent_date is the local
+      // date of the last send (or skip), so each day fires at most once
+      db.run(`
+        CREATE TABLE reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner TEXT NOT NULL,
+          measure_id INTEGER DEFAULT NULL,
+          time TEXT NOT NULL,
+          weekdays TEXT NOT NULL,
+          timezone TEXT NOT NULL,
+          last_sent_date TEXT DEFAULT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      db.run(`CREATE INDEX idx_reminders_owner ON reminders(owner)`);
+    },
+  },
+];
+
+export function getAppliedMigrations(db: Database): AppliedMigration[] {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  return db.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version").all() as AppliedMigration[];
+}
+
+/**
+ * Applies every migration the database doesn't have yet, in version order,
+ * each in its own transaction. Returns the ones applied by this call.
+ * Throws (after rolling back the failing migration) if one fails.
+ */
+export function runMigrations(db: Database, migrations: Migration[] = MIGRATIONS): Migration[] {
+  const applied = new Set(getAppliedMigrations(db).map((m) => m.version));
+  const record = db.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+  const pending = [...migrations].sort((a, b) => a.version - b.version).filter((m) => !applied.has(m.version));
+
+  for (const migration of pending) {
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (err) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err instanceof Error ? err.message : err}`);
+    }
+  }
+
+  return pending;
+}
@@ -1,32 +1,33 @@
 import { APP_NAME, NOSTR_RELAYS } from "../config";
 
-import type { Session } from "../types";
-
-type TabName = "daily" | "timers" | "measures" | "results";
-
-type RenderArgs = {
-  session: Session | null;
-  initialTab?: TabName;
-  initialDate?: string; // YYYY-MM-DD format
-};
-
-export function renderHomePage({ session, initialTab = "daily", initialDate }: RenderArgs) {
+// The page is a static app shell: identical for every tab route and every
+// user, so the service worker can cache it. Everything session-specific starts
+// hidden and is filled in on the client from /api/bootstrap (public/bootstrap.js).
+export function renderHomePage() {
   return `<!doctype html>
 <html lang="en">
 ${renderHead()}
 <body>
   <main class="app-shell">
-    ${renderHeader(session)}
-    ${renderAuth(session)}
-    ${renderTabNav(session)}
-    ${renderTrackPanel(session)}
-    ${renderTimersPanel(session)}
-    ${renderMeasuresPanel(session)}
-    ${renderResultsPanel(session)}
+    ${renderHeader()}
+    ${renderAuth()}
+    ${renderTabNav()}
+    ${renderSyncStatus()}
+    ${renderTrackPanel()}
+    ${renderTimersPanel()}
+    ${renderMeasuresPanel()}
+    ${renderResultsPanel()}
     ${renderQrModal()}
     ${renderNostrConnectModal()}
     ${renderPinModal()}
     ${renderProfileModal()}
+    ${renderDevicesModal()}
+    ${renderRemindersModal()}
+    ${renderApiTokensModal()}
+    ${renderExportModal()}
+    ${renderImportModal()}
+    ${renderCsvExportModal()}
+    ${renderHistoryImportModal()}
     ${renderMeasureModal()}
     ${renderTimerEditModal()}
     ${renderCreditsModal()}
@@ -34,7 +35,7 @@ ${renderHead()}
     ${renderKeyTeleportOverlay()}
     ${renderKeyTeleportSetupModal()}
   </main>
-  ${renderSessionSeed(session, initialTab, initialDate)}
+  ${renderShellSeed()}
   <script type="module" src="/app.js"></script>
 </body>
 </html>`;
@@ -59,34 +60,40 @@ function renderHead() {
 </head>`;
 }
 
-function renderHeader(session: Session | null) {
+function renderHeader() {
   return `<header class="page-header">
     <h1>${APP_NAME}</h1>
-    <div class="session-controls" data-session-controls ${session ? "" : "hidden"}>
-      <button class="avatar-chip" type="button" data-avatar ${session ? "" : "hidden"} title="Account menu">
-        <span class="avatar-fallback" data-avatar-fallback>${session ? formatAvatarFallback(session.npub) : "•••"}</span>
-        <img data-avatar-img alt="Profile photo" loading="lazy" ${session ? "" : "hidden"} />
+    <div class="session-controls" data-session-controls hidden>
+      <button class="avatar-chip" type="button" data-avatar hidden title="Account menu">
+        <span class="avatar-fallback" data-avatar-fallback>•••</span>
+        <img data-avatar-img alt="Profile photo" loading="lazy" hidden />
       </button>
       <div class="avatar-menu" data-avatar-menu hidden>
-        <button type="button" data-view-profile ${session ? "" : "hidden"}>View Profile</button>
-        <div class="avatar-menu-credits" data-avatar-credits ${session ? "" : "hidden"}>
+        <button type="button" data-view-profile hidden>View Profile</button>
+        <div class="avatar-menu-credits" data-avatar-credits hidden>
           <span class="credits-label">Credits:</span>
           <span class="credits-value" data-credits-display>...</span>
           <span class="credits-unit">hours</span>
         </div>
-        <button type="button" class="buy-credits-btn" data-buy-credits ${session ? "" : "hidden"}>Buy Credits</button>
+        <button type="button" class="buy-credits-btn" data-buy-credits hidden>Buy Credits</button>
         <div class="avatar-menu-divider"></div>
-        <button type="button" data-export-secret ${session?.method === "ephemeral" ? "" : "hidden"}>Export Secret</button>
-        <button type="button" data-show-login-qr ${session?.method === "ephemeral" ? "" : "hidden"}>Show Login QR</button>
-        <button type="button" data-copy-id ${session ? "" : "hidden"}>Copy ID</button>
+        <button type="button" data-export-secret hidden>Export Secret</button>
+        <button type="button" data-show-login-qr hidden>Show Login QR</button>
+        <button type="button" data-copy-id hidden>Copy ID</button>
+        <button type="button" data-devices-btn hidden>Devices</button>
+        <button type="button" data-reminders-btn hidden>Reminders</button>
+        <button type="button" data-units-btn hidden>Units: metric</button>
+        <button type="button" data-api-tokens-btn hidden>API tokens</button>
+        <button type="button" data-export-data hidden>Download my data</button>
+        <button type="button" data-import-data hidden>Import archive</button>
         <button type="button" data-logout>Log out</button>
       </div>
     </div>
   </header>`;
 }
 
-function renderAuth(session: Session | null) {
-  return `<section class="auth-panel" data-login-panel ${session ? "hidden" : ""}>
+function renderAuth() {
+  return `<section class="auth-panel" data-login-panel hidden>
     <h2>Welcome to Ambulando</h2>
     <p class="auth-description">Track your daily habits, metrics, and progress. Private and encrypted.</p>
     <div class="auth-actions">
@@ -111,8 +118,8 @@ function renderAuth(session: Session | null) {
   </section>`;
 }
 
-function renderTabNav(session: Session | null) {
-  return `<nav class="tab-nav" data-tab-nav ${session ? "" : "hidden"}>
+function renderTabNav() {
+  return `<nav class="tab-nav" data-tab-nav hidden>
     <button class="tab-btn active" data-tab="track">Daily</button>
     <button class="tab-btn" data-tab="timers">Timers</button>
     <button class="tab-btn" data-tab="measures">Measures</button>
@@ -120,8 +127,15 @@ function renderTabNav(session: Session | null) {
   </nav>`;
 }
 
-function renderTrackPanel(session: Session | null) {
-  return `<section class="track-panel" data-track-panel ${session ? "" : "hidden"}>
+function renderSyncStatus() {
+  return `<div class="sync-status" data-sync-status role="status" hidden>
+    <span class="sync-status-text" data-sync-status-text></span>
+    <button type="button" class="sync-status-retry" data-sync-retry>Retry</button>
+  </div>`;
+}
+
+function renderTrackPanel() {
+  return `<section class="track-panel" data-track-panel hidden>
     <div class="track-date-header">
       <button class="track-nav-btn" data-prev-day aria-label="Previous day">&lt;</button>
       <span class="track-date" data-track-date>Today</span>
@@ -133,8 +147,8 @@ function renderTrackPanel(session: Session | null) {
   </section>`;
 }
 
-function renderTimersPanel(session: Session | null) {
-  return `<section class="timers-panel" data-timers-panel ${session ? "" : "hidden"} hidden>
+function renderTimersPanel() {
+  return `<section class="timers-panel" data-timers-panel hidden>
     <div class="timers-active" data-timers-active>
       <p class="timers-empty" data-timers-empty>No time-based measures set up yet.</p>
     </div>
@@ -145,22 +159,26 @@ function renderTimersPanel(session: Session | null) {
   </section>`;
 }
 
-function renderMeasuresPanel(_session: Session | null) {
+function renderMeasuresPanel() {
   return `<section class="measures-panel" data-measures-panel hidden>
     <h2>My Measures</h2>
     <p class="measures-description">Define what you want to track daily.</p>
     <div class="measures-list" data-measures-list></div>
     <button class="add-measure-btn" data-add-measure>+ Add Measure</button>
+    <button type="button" class="history-import-btn" data-history-import>Import history from another app</button>
   </section>`;
 }
 
-function renderResultsPanel(_session: Session | null) {
+function renderResultsPanel() {
   return `<section class="results-panel" data-results-panel hidden>
     <div class="results-header">
       <h2>Results</h2>
-      <div class="results-view-toggle" data-results-view-toggle>
-        <button class="results-view-btn" data-results-view="history">History</button>
-        <button class="results-view-btn active" data-results-view="charts">Charts</button>
+      <div class="results-header-actions">
+        <button type="button" class="results-export-btn" data-results-export>Export CSV</button>
+        <div class="results-view-toggle" data-results-view-toggle>
+          <button class="results-view-btn" data-results-view="history">History</button>
+          <button class="results-view-btn active" data-results-view="charts">Charts</button>
+        </div>
       </div>
     </div>
     <div class="results-history-view" data-results-history-view hidden>
@@ -197,15 +215,87 @@ function renderMeasureModal() {
             <option value="text">Text (notes)</option>
             <option value="goodbad">Good/Bad (+/-)</option>
             <option value="options">Multiple choice (2-5 options)</option>
-            <option value="rating">Rating (1-10)</option>
+            <option value="checklist">Checklist (tick several)</option>
+            <option value="rating">Rating (1-10 or your own scale)</option>
             <option value="time">Time tracker (start/stop)</option>
           </select>
         </label>
         <div class="options-config" data-options-config hidden>
-          <label>Options (comma separated, 2-5)
+          <label><span data-measure-options-label>Options (comma separated, 2-5)</span>
             <input type="text" name="options" data-measure-options placeholder="e.g. Positive, Negative, Flat" />
           </label>
         </div>
+        <div class="rating-config" data-rating-config hidden>
+          <div class="rating-config-row">
+            <label>From
+              <input type="number" name="rating_min" data-rating-min step="any" value="1" />
+            </label>
+            <label>To
+              <input type="number" name="rating_max" data-rating-max step="any" value="10" />
+            </label>
+            <label>Step
+              <input type="number" name="rating_step" data-rating-step step="any" min="0" value="1" />
+            </label>
+          </div>
+          <div class="rating-config-row">
+            <label>Low end label
+              <input type="text" name="rating_min_label" data-rating-min-label placeholder="e.g. awful" />
+            </label>
+            <label>High end label
+              <input type="text" name="rating_max_label" data-rating-max-label placeholder="e.g. great" />
+            </label>
+          </div>
+          <label>Emoji, low to high (optional)
+            <input type="text" name="rating_emoji" data-rating-emoji placeholder="e.g. 😞 🙁 😐 🙂 😄" />
+          </label>
+        </div>
+        <div class="number-config" data-number-config hidden>
+          <div class="number-config-row">
+            <label>Unit
+              <select name="number_unit" data-number-unit>
+                <option value="">None</option>
+                <option value="kg">Weight (kg / lb)</option>
+                <option value="km">Distance (km / mi)</option>
+                <option value="°C">Temperature (°C / °F)</option>
+                <option value="ml">Volume (ml / oz)</option>
+                <option value="custom">Other</option>
+              </select>
+            </label>
+            <label data-number-custom-unit-label hidden>Unit name
+              <input type="text" name="number_custom_unit" data-number-custom-unit placeholder="e.g. steps" />
+            </label>
+          </div>
+          <div class="number-config-row">
+            <label>Min
+              <input type="number" name="number_min" data-number-min step="any" placeholder="None" />
+            </label>
+            <label>Max
+              <input type="number" name="number_max" data-number-max step="any" placeholder="None" />
+            </label>
+          </div>
+          <div class="number-config-row">
+            <label>Step for +/-
+              <input type="number" name="number_step" data-number-step step="any" min="0" value="1" />
+            </label>
+            <label>Decimals
+              <input type="number" name="number_precision" data-number-precision step="1" min="0" max="6" placeholder="Any" />
+            </label>
+          </div>
+          <p class="number-config-hint" data-number-hint hidden></p>
+        </div>
+        <label data-aggregation-config hidden>
+          Entries per day
+          <select name="aggregation" data-measure-aggregation></select>
+        </label>
+        <div class="goal-config" data-goal-config hidden>
+          <label>Daily goal
+            <div class="goal-fields">
+              <select name="goal_direction" data-measure-goal-direction></select>
+              <input type="number" name="goal_target" data-measure-goal-target step="any" placeholder="e.g. 8" hidden />
+              <select name="goal_option" data-measure-goal-option hidden></select>
+            </div>
+          </label>
+        </div>
         <label class="checkbox-label">
           <input type="checkbox" name="encrypted" data-measure-encrypted checked />
           Encrypt data
@@ -347,22 +437,190 @@ function renderProfileModal() {
   </div>`;
 }
 
-function renderSessionSeed(session: Session | null, initialTab: TabName, initialDate?: string) {
+function renderDevicesModal() {
+  return `<div class="profile-modal-overlay" data-devices-modal hidden>
+    <div class="profile-modal devices-modal">
+      <button class="profile-modal-close" type="button" data-devices-close aria-label="Close">&times;</button>
+      <h2>Devices</h2>
+      <p class="devices-description">Browsers and apps currently logged in to your account.</p>
+      <p class="devices-status" data-devices-status hidden></p>
+      <ul class="devices-list" data-devices-list></ul>
+      <button type="button" class="devices-logout-all" data-devices-logout-all>Log out everywhere</button>
+    </div>
+  </div>`;
+}
+
+function renderRemindersModal() {
+  return `<div class="profile-modal-overlay" data-reminders-modal hidden>
+    <div class="profile-modal devices-modal">
+      <button class="profile-modal-close" type="button" data-reminders-close aria-label="Close">&times;</button>
+      <h2>Reminders</h2>
+      <p class="devices-description">Get a notification when it's time to log. A reminder is skipped on days you've already logged.</p>
+      <div class="reminders-push">
+        <p data-reminders-push-state></p>
+        <button type="button" class="devices-revoke" data-reminders-push hidden>Turn on for this device</button>
+      </div>
+      <ul class="devices-list" data-reminders-list></ul>
+      <p class="export-status" data-reminders-status hidden></p>
+      <button type="button" class="export-download" data-reminders-save>Save reminders</button>
+    </div>
+  </div>`;
+}
+
+function renderApiTokensModal() {
+  return `<div class="profile-modal-overlay" data-tokens-modal hidden>
+    <div class="profile-modal devices-modal">
+      <button class="profile-modal-close" type="button" data-tokens-close aria-label="Close">&times;</button>
+      <h2>API tokens</h2>
+      <p class="devices-description">Let scripts and other apps read or record your measures without logging in. Values stay encrypted; a script needs your key to read or write them in plain text.</p>
+      <ul class="devices-list" data-tokens-list></ul>
+      <div class="tokens-new" data-tokens-new hidden>
+        <p>Copy this token now. It won't be shown again.</p>
+        <div class="tokens-new-row">
+          <input type="text" readonly data-tokens-new-value />
+          <button type="button" class="devices-revoke" data-tokens-copy>Copy</button>
+        </div>
+      </div>
+      <fieldset class="tokens-form">
+        <legend>New token</legend>
+        <input type="text" maxlength="80" placeholder="Name, e.g. Bathroom scale" data-tokens-name />
+        <label class="export-option">
+          <input type="radio" name="token-access" value="read" checked />
+          <span>Read only</span>
+        </label>
+        <label class="export-option">
+          <input type="radio" name="token-access" value="write" />
+          <span>Read and write</span>
+        </label>
+        <label class="export-option">
+          <input type="checkbox" data-tokens-limit />
+          <span>Only these measures</span>
+        </label>
+        <div class="csv-measure-list" data-tokens-measures hidden></div>
+      </fieldset>
+      <p class="export-status" data-tokens-status hidden></p>
+      <button type="button" class="export-download" data-tokens-create>Create token</button>
+    </div>
+  </div>`;
+}
+
+function renderExportModal() {
+  return `<div class="profile-modal-overlay" data-export-modal hidden>
+    <div class="profile-modal export-modal">
+      <button class="profile-modal-close" type="button" data-export-close aria-label="Close">&times;</button>
+      <h2>Download my data</h2>
+      <p class="export-description">Every measure, tracking record, timer session, journal entry and credit transaction, saved as one JSON file.</p>
+      <label class="export-option">
+        <input type="checkbox" data-export-decrypt />
+        <span>Decrypt on this device before saving</span>
+      </label>
+      <p class="export-hint">Without this the file keeps your data encrypted. A decrypted file can be read by anyone who gets hold of it.</p>
+      <p class="export-status" data-export-status hidden></p>
+      <button type="button" class="export-download" data-export-download>Download</button>
+    </div>
+  </div>`;
+}
+
+function renderImportModal() {
+  return `<div class="profile-modal-overlay" data-import-modal hidden>
+    <div class="profile-modal export-modal">
+      <button class="profile-modal-close" type="button" data-import-close aria-label="Close">&times;</button>
+      <h2>Import archive</h2>
+      <p class="export-description">Restore a file saved with "Download my data", from this account or another one.</p>
+      <input type="file" class="import-file" accept="application/json,.json" data-import-file />
+      <fieldset class="import-modes">
+        <label class="export-option">
+          <input type="radio" name="import-mode" value="merge" checked />
+          <span>Merge: add what this account doesn't have yet</span>
+        </label>
+        <label class="export-option">
+          <input type="radio" name="import-mode" value="replace" />
+          <span>Replace: delete this account's data first</span>
+        </label>
+      </fieldset>
+      <label class="import-secret" data-import-secret-field hidden>
+        <span>This archive belongs to another account. Enter that account's secret key (nsec) so it can be re-encrypted for this one. The key is only used on this device.</span>
+        <input type="password" autocomplete="off" placeholder="nsec1..." data-import-secret />
+      </label>
+      <p class="export-status" data-import-status hidden></p>
+      <button type="button" class="export-download" data-import-submit disabled>Import</button>
+    </div>
+  </div>`;
+}
+
+function renderCsvExportModal() {
+  return `<div class="profile-modal-overlay" data-csv-modal hidden>
+    <div class="profile-modal export-modal">
+      <button class="profile-modal-close" type="button" data-csv-close aria-label="Close">&times;</button>
+      <h2>Export CSV</h2>
+      <p class="export-description">Decrypted on this device and saved as a spreadsheet.</p>
+      <div class="csv-range">
+        <label>From <input type="date" data-csv-from /></label>
+        <label>To <input type="date" data-csv-to /></label>
+      </div>
+      <fieldset class="csv-measures">
+        <legend>Measures</legend>
+        <div class="csv-measure-list" data-csv-measures></div>
+      </fieldset>
+      <fieldset class="import-modes">
+        <label class="export-option">
+          <input type="radio" name="csv-layout" value="long" checked />
+          <span>One row per record</span>
+        </label>
+        <label class="export-option">
+          <input type="radio" name="csv-layout" value="wide" />
+          <span>One row per day, one column per measure</span>
+        </label>
+      </fieldset>
+      <p class="export-status" data-csv-status hidden></p>
+      <button type="button" class="export-download" data-csv-download>Download CSV</button>
+    </div>
+  </div>`;
+}
+
+function renderHistoryImportModal() {
+  return `<div class="profile-modal-overlay" data-history-modal hidden>
+    <div class="profile-modal export-modal">
+      <button class="profile-modal-close" type="button" data-history-close aria-label="Close">&times;</button>
+      <h2>Import history</h2>
+      <p class="export-description">Bring in what you tracked elsewhere. The file is read and encrypted on this device.</p>
+      <fieldset class="import-modes">
+        <label class="export-option">
+          <input type="radio" name="history-source" value="loop" checked />
+          <span>Loop Habit Tracker (.zip or Checkmarks.csv)</span>
+        </label>
+        <label class="export-option">
+          <input type="radio" name="history-source" value="daylio" />
+          <span>Daylio (CSV backup)</span>
+        </label>
+        <label class="export-option">
+          <input type="radio" name="history-source" value="csv" />
+          <span>Other CSV: one row per day, one column per measure</span>
+        </label>
+      </fieldset>
+      <input type="file" class="import-file" accept=".csv,.zip,text/csv,application/zip" data-history-file />
+      <div class="history-csv-options" data-history-csv-options hidden>
+        <label>Date column <select data-history-date-column></select></label>
+        <label>Date format <select data-history-date-format></select></label>
+        <label>Time column <select data-history-time-column></select></label>
+      </div>
+      <div class="history-columns" data-history-columns></div>
+      <div class="history-preview" data-history-preview></div>
+      <p class="export-status" data-history-status hidden></p>
+      <button type="button" class="export-download" data-history-submit disabled>Import</button>
+    </div>
+  </div>`;
+}
+
+// App-wide constants only; the session comes from /api/bootstrap
+function renderShellSeed() {
   return `<script>
-    window.__NOSTR_SESSION__ = ${JSON.stringify(session ?? null)};
     window.__NOSTR_RELAYS__ = ${JSON.stringify(NOSTR_RELAYS)};
     window.__APP_NAME__ = ${JSON.stringify(APP_NAME)};
     window.__APP_FAVICON__ = "/favicon.png";
-    window.__INITIAL_TAB__ = ${JSON.stringify(initialTab)};
-    window.__INITIAL_DATE__ = ${JSON.stringify(initialDate ?? null)};
   </script>`;
 }
 
-function formatAvatarFallback(npub: string) {
-  if (!npub) return "•••";
-  return npub.replace(/^npub1/, "").slice(0, 2).toUpperCase();
-}
-
 function renderCreditsModal() {
   return `<div class="credits-modal-overlay" data-credits-modal hidden>
     <div class="credits-modal">
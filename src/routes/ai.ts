@@ -1,4 +1,5 @@
 import { jsonResponse, safeJson } from "../http";
+import { requireApiScope } from "../services/apiTokens";
 import {
   createTodosFromTasks,
   latestSummaries,
@@ -31,9 +32,14 @@ type SummaryPayload = Partial<{
   suggestions: string | null;
 }>;
 
-export function handleAiTasks(url: URL, match: RegExpMatchArray) {
+// These routes are for agents, not the browser: every request carries an API
+// token (src/services/apiTokens.ts) that must belong to `owner`.
+
+export function handleAiTasks(req: Request, url: URL, match: RegExpMatchArray) {
   const owner = url.searchParams.get("owner");
   if (!owner) return jsonResponse({ message: "Missing owner." }, 400);
+  const denied = requireApiScope(req, "todos:read", owner);
+  if (denied) return denied;
 
   const days = Number(match[1]);
   if (!Number.isFinite(days) || days <= 0) return jsonResponse({ message: "Invalid day range." }, 400);
@@ -59,6 +65,8 @@ export async function handleAiTasksPost(req: Request) {
   if (!body?.owner) {
     return jsonResponse({ message: "Missing owner." }, 400);
   }
+  const denied = requireApiScope(req, "todos:write", body.owner);
+  if (denied) return denied;
 
   if (!Array.isArray(body.tasks) || body.tasks.length === 0) {
     return jsonResponse({ message: "Missing or empty tasks array." }, 400);
@@ -83,6 +91,8 @@ export async function handleSummaryPost(req: Request) {
   if (!body?.owner || !body.summary_date) {
     return jsonResponse({ message: "Missing owner or summary_date." }, 400);
   }
+  const denied = requireApiScope(req, "summaries:write", body.owner);
+  if (denied) return denied;
 
   if (!isValidDateString(body.summary_date)) {
     return jsonResponse({ message: "Invalid summary_date format. Use YYYY-MM-DD." }, 422);
@@ -111,9 +121,11 @@ export async function handleSummaryPost(req: Request) {
   });
 }
 
-export function handleLatestSummary(url: URL) {
+export function handleLatestSummary(req: Request, url: URL) {
   const owner = url.searchParams.get("owner");
   if (!owner) return jsonResponse({ message: "Missing owner." }, 400);
+  const denied = requireApiScope(req, "summaries:read", owner);
+  if (denied) return denied;
   const { day, week } = latestSummaries(owner, new Date());
   return jsonResponse({
     owner,
@@ -0,0 +1,54 @@
+// API token management (see docs/api_tokens.md). Only a logged-in session
+// can create, list or revoke tokens; a token can't manage tokens.
+
+import { getMeasureById } from "../db";
+import { jsonResponse, safeJson, unauthorized } from "../http";
+import { API_SCOPES, MAX_TOKEN_NAME_LENGTH, isApiScope, issueApiToken, listApiTokens, revokeApiToken } from "../services/apiTokens";
+
+import type { Session } from "../types";
+
+export function handleListApiTokens(session: Session | null) {
+  if (!session) return unauthorized();
+  return jsonResponse({ tokens: listApiTokens(session.npub), scopes: API_SCOPES });
+}
+
+/**
+ * POST /api/tokens
+ * Body: { name, scopes: ["data:read", ...], measure_ids?: [1, 2] }
+ * The response is the only time the token is shown.
+ */
+export async function handleCreateApiToken(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+
+  const body = await safeJson(req) as { name?: unknown; scopes?: unknown; measure_ids?: unknown } | null;
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+    return jsonResponse({ error: `name is required (at most ${MAX_TOKEN_NAME_LENGTH} characters)` }, 400);
+  }
+
+  const scopes = body?.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isApiScope)) {
+    return jsonResponse({ error: `scopes must be a non-empty list of: ${API_SCOPES.join(", ")}` }, 400);
+  }
+
+  // Omitted or null: every measure, including ones created later
+  const measureIds = body?.measure_ids ?? null;
+  if (measureIds !== null) {
+    const valid = Array.isArray(measureIds) && measureIds.length > 0
+      && measureIds.every((id) => Number.isInteger(id) && getMeasureById(id, session.npub));
+    if (!valid) {
+      return jsonResponse({ error: "measure_ids must be a non-empty list of your measure ids" }, 400);
+    }
+  }
+
+  const { token, summary } = issueApiToken(session.npub, name, scopes, measureIds as number[] | null);
+  return jsonResponse({ token, ...summary }, 201);
+}
+
+export function handleRevokeApiToken(session: Session | null, id: number) {
+  if (!session) return unauthorized();
+  if (!revokeApiToken(session.npub, id)) {
+    return jsonResponse({ error: "Token not found" }, 404);
+  }
+  return jsonResponse({ ok: true });
+}
@@ -24,7 +24,7 @@ export function createAuthHandlers(authService: AuthService, cookieName: string)
     if (!body?.method || !body.event || !validateLoginMethod(body.method)) {
       return jsonResponse({ message: "Invalid payload." }, 400);
     }
-    return authService.login(body.method, body.event);
+    return authService.login(body.method, body.event, req.headers.get("user-agent"));
   };
 
   const logout = (req: Request) => {
@@ -37,5 +37,8 @@ export function createAuthHandlers(authService: AuthService, cookieName: string)
     return authService.getSession(token);
   };
 
-  return { login, logout, sessionFromRequest };
+  // Per-request NIP-98 auth for clients without a cookie
+  const sessionFromHttpAuth = (req: Request) => authService.sessionFromHttpAuth(req);
+
+  return { login, logout, sessionFromRequest, sessionFromHttpAuth };
 }
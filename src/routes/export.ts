@@ -0,0 +1,26 @@
+// Account export (see docs/export.md)
+
+import { unauthorized } from "../http";
+import { streamArchive } from "../services/export";
+
+import type { Session } from "../types";
+
+/**
+ * GET /api/export
+ * Streams every record the session owner has as a versioned JSON archive.
+ * Not metered: users without credits must still be able to take their data.
+ */
+export function handleExport(session: Session | null) {
+  if (!session) return unauthorized();
+
+  const exportedAt = new Date().toISOString();
+  const filename = `ambulando-export-${exportedAt.slice(0, 10)}.json`;
+
+  return new Response(streamArchive(session.npub, exportedAt), {
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
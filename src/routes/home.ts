@@ -1,10 +1,28 @@
+import { jsonResponse } from "../http";
 import { renderHomePage } from "../render/home";
 
 import type { Session } from "../types";
 
-export type TabName = "daily" | "timers" | "measures" | "results";
+const APP_SHELL_ROUTES = new Set(["/", "/daily", "/timers", "/measures", "/results"]);
 
-export function handleHome(_url: URL, session: Session | null, initialTab: TabName = "daily", initialDate?: string) {
-  const page = renderHomePage({ session, initialTab, initialDate });
-  return new Response(page, { headers: { "Content-Type": "text/html; charset=utf-8" } });
+// Every tab route (and /daily/:date) serves the same shell; the client reads
+// the tab and date from the URL
+export function isAppShellRoute(pathname: string) {
+  return APP_SHELL_ROUTES.has(pathname) || /^\/daily\/\d{4}-\d{2}-\d{2}$/.test(pathname);
+}
+
+export function handleHome() {
+  return new Response(renderHomePage(), { headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
+
+/**
+ * GET /api/bootstrap
+ * The per-session data the shell used to embed. The token stays in the
+ * HttpOnly cookie; clients cache this response to boot offline.
+ */
+export function handleBootstrap(session: Session | null) {
+  if (!session) return jsonResponse({ session: null });
+
+  const { id, pubkey, npub, method, createdAt } = session;
+  return jsonResponse({ session: { id, pubkey, npub, method, createdAt } });
 }
@@ -0,0 +1,33 @@
+// Account import (see docs/export.md)
+
+import { jsonResponse, safeJson, unauthorized } from "../http";
+import { importArchive, validateArchive } from "../services/import";
+
+import type { ImportArchive, ImportMode } from "../services/import";
+import type { Session } from "../types";
+
+/**
+ * POST /api/import
+ * Body: { mode: "merge" | "replace", archive }
+ * The archive must already be encrypted to the session's key.
+ */
+export async function handleImport(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+
+  const body = await safeJson(req) as { mode?: ImportMode; archive?: ImportArchive } | null;
+  if (!body || typeof body !== "object") {
+    return jsonResponse({ error: "Invalid body" }, 400);
+  }
+
+  if (body.mode !== "merge" && body.mode !== "replace") {
+    return jsonResponse({ error: "mode must be merge or replace" }, 400);
+  }
+
+  const invalid = validateArchive(body.archive ?? null);
+  if (invalid) {
+    return jsonResponse({ error: invalid }, 400);
+  }
+
+  const summary = importArchive(session.npub, body.archive!, body.mode);
+  return jsonResponse({ success: true, mode: body.mode, summary });
+}
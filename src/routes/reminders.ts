@@ -0,0 +1,112 @@
+// Reminder schedules and Web Push subscriptions (see docs/reminders.md)
+
+import { getVapidKeys } from "../config";
+import { deletePushSubscription, getMeasureById, listReminders, replaceReminders, savePushSubscription } from "../db";
+import { jsonResponse, safeJson, unauthorized } from "../http";
+import { isReminderTime, isTimeZone, isWeekdayList } from "../services/reminders";
+import { isValidPushKeys } from "../services/webPush";
+import { isPublicHttpsUrl } from "../utils/publicUrl";
+
+import type { Reminder, ReminderSchedule } from "../db";
+import type { Session } from "../types";
+
+function toSummary(reminder: Reminder) {
+  return {
+    measure_id: reminder.measure_id,
+    time: reminder.time,
+    weekdays: reminder.weekdays.split(",").map(Number),
+    timezone: reminder.timezone,
+  };
+}
+
+function pushUnavailable() {
+  return jsonResponse({ error: "Push notifications are not configured on this server" }, 503);
+}
+
+// GET /api/reminders - the schedules plus the key browsers subscribe with
+export function handleGetReminders(session: Session | null) {
+  if (!session) return unauthorized();
+  return jsonResponse({
+    reminders: listReminders(session.npub).map(toSummary),
+    vapid_public_key: getVapidKeys()?.publicKey ?? null,
+  });
+}
+
+/**
+ * POST /api/reminders
+ * Body: { timezone: "Europe/Berlin", reminders: [{ measure_id: 3 | null, time: "20:30", weekdays: [1, 2, 3] }] }
+ * Replaces every reminder; measure_id null is the journal.
+ */
+export async function handleSaveReminders(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+
+  const body = await safeJson(req) as { timezone?: unknown; reminders?: unknown } | null;
+  if (!isTimeZone(body?.timezone)) {
+    return jsonResponse({ error: "timezone must be an IANA time zone" }, 400);
+  }
+  if (!Array.isArray(body.reminders)) {
+    return jsonResponse({ error: "reminders must be an array" }, 400);
+  }
+
+  const schedules: ReminderSchedule[] = [];
+  const seen = new Set<number | null>();
+  for (const item of body.reminders as { measure_id?: unknown; time?: unknown; weekdays?: unknown }[]) {
+    const measureId = item?.measure_id ?? null;
+    if (measureId !== null && !(Number.isInteger(measureId) && getMeasureById(measureId as number, session.npub))) {
+      return jsonResponse({ error: "measure_id must be one of your measures, or null for the journal" }, 400);
+    }
+    if (seen.has(measureId as number | null)) {
+      return jsonResponse({ error: "Only one reminder per measure" }, 400);
+    }
+    if (!isReminderTime(item.time)) {
+      return jsonResponse({ error: "time must be HH:MM" }, 400);
+    }
+    if (!isWeekdayList(item.weekdays)) {
+      return jsonResponse({ error: "weekdays must be a non-empty list of 0 (Sunday) to 6" }, 400);
+    }
+    seen.add(measureId as number | null);
+    schedules.push({
+      measure_id: measureId as number | null,
+      time: item.time,
+      weekdays: [...new Set(item.weekdays)].sort().join(","),
+    });
+  }
+
+  const reminders = replaceReminders(session.npub, schedules, body.timezone);
+  return jsonResponse({ reminders: reminders.map(toSummary) });
+}
+
+/**
+ * POST /api/push/subscriptions
+ * Body: the browser's PushSubscription as JSON ({ endpoint, keys: { p256dh, auth } })
+ */
+export async function handleSavePushSubscription(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+  if (!getVapidKeys()) return pushUnavailable();
+
+  const body = await safeJson(req) as { endpoint?: unknown; keys?: { p256dh?: unknown; auth?: unknown } } | null;
+  const endpoint = body?.endpoint;
+  const keys = body?.keys;
+  // Push services are public; the server must not be pointed at its own network
+  if (!isPublicHttpsUrl(endpoint) || !isValidPushKeys(keys)) {
+    return jsonResponse({ error: "Invalid push subscription" }, 400);
+  }
+
+  const saved = savePushSubscription(session.npub, endpoint, keys.p256dh, keys.auth, req.headers.get("user-agent"));
+  if (!saved) {
+    return jsonResponse({ error: "Failed to save push subscription" }, 500);
+  }
+  return jsonResponse({ ok: true }, 201);
+}
+
+// DELETE /api/push/subscriptions with body { endpoint }
+export async function handleDeletePushSubscription(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+
+  const body = await safeJson(req) as { endpoint?: unknown } | null;
+  if (typeof body?.endpoint !== "string") {
+    return jsonResponse({ error: "endpoint required" }, 400);
+  }
+  deletePushSubscription(session.npub, body.endpoint);
+  return jsonResponse({ ok: true });
+}
@@ -0,0 +1,51 @@
+import { deleteSessionRecord, deleteSessionRecordsForNpub, listSessionRecords } from "../db";
+import { jsonResponse, unauthorized } from "../http";
+import { closeSessionConnections } from "../sse";
+
+import type { AuthService } from "../services/auth";
+import type { Session } from "../types";
+
+export function createSessionHandlers(authService: AuthService) {
+  const listSessions = (session: Session | null) => {
+    if (!session) return unauthorized();
+
+    const sessions = listSessionRecords(session.npub).map((record) => ({
+      id: record.id,
+      method: record.method,
+      user_agent: record.user_agent,
+      created_at: record.created_at,
+      last_seen_at: record.last_seen_at,
+      expires_at: record.expires_at,
+      current: record.id === session.id,
+    }));
+
+    return jsonResponse({ sessions });
+  };
+
+  const revokeSession = (session: Session | null, id: number) => {
+    if (!session) return unauthorized();
+
+    const revoked = deleteSessionRecord(id, session.npub);
+    if (!revoked) {
+      return jsonResponse({ error: "Session not found" }, 404);
+    }
+
+    closeSessionConnections(session.npub, [revoked.id]);
+
+    // Revoking the session making the request is a logout
+    const current = revoked.id === session.id;
+    return jsonResponse({ ok: true, current }, 200, current ? authService.clearedCookie() : undefined);
+  };
+
+  // "Log out everywhere" - includes the session making the request
+  const revokeAllSessions = (session: Session | null) => {
+    if (!session) return unauthorized();
+
+    const revoked = deleteSessionRecordsForNpub(session.npub);
+    closeSessionConnections(session.npub, revoked.map((record) => record.id));
+
+    return jsonResponse({ ok: true, revoked: revoked.length }, 200, authService.clearedCookie());
+  };
+
+  return { listSessions, revokeSession, revokeAllSessions };
+}
@@ -1,153 +1,58 @@
 // Sync endpoints for Dexie client synchronization
 
-import {
-  getMeasures,
-  getTrackingDataByDateRange,
-  getRecentEntries,
-} from "../db";
-import { jsonResponse, unauthorized } from "../http";
+import { setSessionSyncCursor } from "../db";
+import { jsonResponse, safeJson, unauthorized } from "../http";
+import { SYNC_MAX_PAGE_SIZE, SYNC_PAGE_SIZE, pullChanges, pushChanges } from "../services/sync";
 
+import type { SyncPush } from "../services/sync";
 import type { Session } from "../types";
 
 /**
- * GET /sync?since={timestamp}
- * Pull changes since the given timestamp
+ * GET /sync?cursor={version}&limit={n}
+ * Pull changes made after the given cursor. Start with cursor=0 and keep
+ * requesting with the returned cursor while hasMore is true.
  */
 export function handleSyncPull(url: URL, session: Session | null) {
   if (!session) return unauthorized();
 
-  const since = url.searchParams.get("since") || "1970-01-01T00:00:00Z";
-  const serverTime = new Date().toISOString();
-
-  // For now, we return all data for the user
-  // In a full implementation, we'd filter by updated_at > since
-  const measures = getMeasures(session.npub);
-
-  // Get tracking data for the last 90 days
-  const today = new Date();
-  const ninetyDaysAgo = new Date(today);
-  ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+  const cursor = Number(url.searchParams.get("cursor") ?? 0);
+  if (!Number.isInteger(cursor) || cursor < 0) {
+    return jsonResponse({ error: "cursor must be a non-negative integer" }, 400);
+  }
 
-  const trackingData = getTrackingDataByDateRange(
-    session.npub,
-    ninetyDaysAgo.toISOString(),
-    today.toISOString()
-  );
+  const requestedLimit = Number(url.searchParams.get("limit") ?? SYNC_PAGE_SIZE);
+  const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+    ? Math.min(requestedLimit, SYNC_MAX_PAGE_SIZE)
+    : SYNC_PAGE_SIZE;
 
-  // Get recent entries
-  const entries = getRecentEntries(session.npub, today.toISOString().slice(0, 10), 100);
+  // The cursor a device sends is what it has applied; tombstones below the
+  // oldest device cursor can be garbage-collected. API tokens and NIP-98
+  // requests have no sessions row and aren't devices.
+  if (session.id) setSessionSyncCursor(session.id, cursor);
 
-  return jsonResponse({
-    measures,
-    trackingData,
-    entries,
-    serverTime,
-    since,
-  });
+  return jsonResponse(pullChanges(session.npub, cursor, limit));
 }
 
 /**
  * POST /sync
  * Push local changes to server
  * Body: { measures?: [], trackingData?: [], entries?: [] }
+ * Each item may carry base_version; see docs/sync.md for conflict handling.
  */
 export async function handleSyncPush(req: Request, session: Session | null) {
   if (!session) return unauthorized();
 
-  const body = await req.json() as {
-    measures?: Array<{ id?: number; name: string; type: string; encrypted: boolean; sort_order: number; config?: string | null }>;
-    trackingData?: Array<{ id?: number; measure_id: number; recorded_at: string; value: string }>;
-    entries?: Array<{ id?: number; entry_date: string; slot: number; encrypted_content: string }>;
-  };
-
-  const results = {
-    measures: [] as number[],
-    trackingData: [] as number[],
-    entries: [] as number[],
-  };
-
-  // Process measures
-  if (body.measures?.length) {
-    // Import dynamically to avoid circular deps
-    const { createMeasure, updateMeasure } = await import("../db");
-    for (const m of body.measures) {
-      try {
-        if (m.id && m.id > 0) {
-          // Update existing
-          updateMeasure(
-            m.id,
-            session.npub,
-            m.name,
-            m.type as "number" | "text" | "goodbad" | "time" | "options" | "rating",
-            m.encrypted,
-            m.sort_order,
-            m.config || null
-          );
-          results.measures.push(m.id);
-        } else {
-          // Create new
-          const created = createMeasure(
-            session.npub,
-            m.name,
-            m.type as "number" | "text" | "goodbad" | "time" | "options" | "rating",
-            m.encrypted,
-            m.sort_order,
-            m.config || null
-          );
-          if (created) results.measures.push(created.id);
-        }
-      } catch (err) {
-        console.error("[sync] Failed to process measure:", err);
-      }
-    }
+  const body = await safeJson(req) as SyncPush | null;
+  if (!body || typeof body !== "object") {
+    return jsonResponse({ error: "Invalid body" }, 400);
   }
 
-  // Process tracking data
-  if (body.trackingData?.length) {
-    const { saveTrackingData, updateTrackingData } = await import("../db");
-    for (const td of body.trackingData) {
-      try {
-        if (td.id && td.id > 0 && !String(td.id).startsWith("local_")) {
-          // Update existing
-          updateTrackingData(td.id, session.npub, td.value);
-          results.trackingData.push(td.id);
-        } else {
-          // Create new
-          const created = saveTrackingData(
-            session.npub,
-            td.measure_id,
-            td.recorded_at,
-            td.value
-          );
-          if (created) results.trackingData.push(created.id);
-        }
-      } catch (err) {
-        console.error("[sync] Failed to process tracking data:", err);
-      }
-    }
-  }
-
-  // Process entries
-  if (body.entries?.length) {
-    const { upsertEntry } = await import("../db");
-    for (const e of body.entries) {
-      try {
-        const entry = upsertEntry(
-          session.npub,
-          e.entry_date,
-          e.slot,
-          e.encrypted_content
-        );
-        if (entry) results.entries.push(entry.id);
-      } catch (err) {
-        console.error("[sync] Failed to process entry:", err);
-      }
-    }
-  }
+  const { idMap, ...results } = pushChanges(session.npub, body);
 
   return jsonResponse({
     success: true,
     results,
+    idMap,
     serverTime: new Date().toISOString(),
   });
 }
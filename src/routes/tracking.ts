@@ -8,30 +8,39 @@ import {
   getTrackingData,
   getTrackingDataForDate,
   getTrackingDataByDateRange,
+  getTrackingDataById,
   saveTrackingData,
   updateTrackingData,
   deleteTrackingData,
   getActiveTimer,
   getTimerSessions,
+  isMeasureType,
+  MEASURE_TYPES,
 } from "../db";
 import { jsonResponse, safeJson, unauthorized } from "../http";
+import { canManageMeasures, canUseMeasure } from "../services/apiTokens";
+import { queueWebhookEvent } from "../services/webhooks";
 import { broadcast } from "../sse";
 
-import type { MeasureType } from "../db";
 import type { Session } from "../types";
 
 // ============================================================
 // Measure endpoints
 // ============================================================
 
+function measureForbidden() {
+  return jsonResponse({ error: "This token can't access that measure" }, 403);
+}
+
 export function handleGetMeasures(session: Session | null) {
   if (!session) return unauthorized();
-  const measures = getMeasures(session.npub);
+  const measures = getMeasures(session.npub).filter((m) => canUseMeasure(session, m.id));
   return jsonResponse({ measures });
 }
 
 export async function handleSaveMeasure(req: Request, session: Session | null) {
   if (!session) return unauthorized();
+  if (!canManageMeasures(session)) return measureForbidden();
 
   const body = await safeJson(req);
   if (!body) {
@@ -69,9 +78,8 @@ export async function handleSaveMeasure(req: Request, session: Session | null) {
     return jsonResponse({ error: "name required" }, 400);
   }
 
-  const validTypes: MeasureType[] = ["number", "text", "goodbad", "time", "options", "rating"];
-  if (!type || !validTypes.includes(type)) {
-    return jsonResponse({ error: "type must be one of: number, text, goodbad, time, options, rating" }, 400);
+  if (!isMeasureType(type)) {
+    return jsonResponse({ error: `type must be one of: ${MEASURE_TYPES.join(", ")}` }, 400);
   }
 
   // Config is now encrypted ciphertext, so we don't validate structure
@@ -100,12 +108,14 @@ export async function handleSaveMeasure(req: Request, session: Session | null) {
     action: id ? "updated" : "created",
     id: measure.id,
   });
+  queueWebhookEvent(session.npub, id ? "measures.updated" : "measures.created", measure);
 
   return jsonResponse({ measure });
 }
 
 export function handleDeleteMeasure(session: Session | null, id: number) {
   if (!session) return unauthorized();
+  if (!canManageMeasures(session)) return measureForbidden();
 
   const existing = getMeasureById(id, session.npub);
   if (!existing) {
@@ -120,12 +130,14 @@ export function handleDeleteMeasure(session: Session | null, id: number) {
     action: "deleted",
     id,
   });
+  queueWebhookEvent(session.npub, "measures.deleted", { id });
 
   return jsonResponse({ success: true });
 }
 
 export async function handleReorderMeasures(req: Request, session: Session | null) {
   if (!session) return unauthorized();
+  if (!canManageMeasures(session)) return measureForbidden();
 
   const body = await safeJson(req);
   if (!body) {
@@ -152,6 +164,7 @@ export async function handleReorderMeasures(req: Request, session: Session | nul
     type: "measures",
     action: "updated",
   });
+  queueWebhookEvent(session.npub, "measures.updated", { orders });
 
   return jsonResponse({ success: true });
 }
@@ -177,11 +190,11 @@ export function handleGetTracking(url: URL, session: Session | null) {
     // Get data for date range
     data = getTrackingDataByDateRange(session.npub, startDate, endDate);
   } else {
-    // Get recent data
-    data = getTrackingData(session.npub, limit);
+    // Get recent data, only counting rows the token may read toward the limit
+    data = getTrackingData(session.npub, limit, session.apiToken?.measureIds ?? null);
   }
 
-  return jsonResponse({ data });
+  return jsonResponse({ data: data.filter((td) => canUseMeasure(session, td.measure_id)) });
 }
 
 export async function handleSaveTracking(req: Request, session: Session | null) {
@@ -199,6 +212,8 @@ export async function handleSaveTracking(req: Request, session: Session | null)
     if (value === undefined) {
       return jsonResponse({ error: "value required for update" }, 400);
     }
+    const existing = getTrackingDataById(id, session.npub);
+    if (existing && !canUseMeasure(session, existing.measure_id)) return measureForbidden();
     const data = updateTrackingData(id, session.npub, value);
     if (!data) {
       return jsonResponse({ error: "Failed to update tracking data" }, 500);
@@ -210,6 +225,7 @@ export async function handleSaveTracking(req: Request, session: Session | null)
       action: "updated",
       id: data.id,
     });
+    queueWebhookEvent(session.npub, "tracking.updated", data);
 
     return jsonResponse({ data });
   }
@@ -232,6 +248,7 @@ export async function handleSaveTracking(req: Request, session: Session | null)
   if (!measure) {
     return jsonResponse({ error: "Measure not found" }, 404);
   }
+  if (!canUseMeasure(session, measure.id)) return measureForbidden();
 
   const data = saveTrackingData(session.npub, measure_id, recorded_at, value);
   if (!data) {
@@ -244,12 +261,15 @@ export async function handleSaveTracking(req: Request, session: Session | null)
     action: "created",
     id: data.id,
   });
+  queueWebhookEvent(session.npub, "tracking.created", data);
 
   return jsonResponse({ data });
 }
 
 export function handleDeleteTracking(session: Session | null, id: number) {
   if (!session) return unauthorized();
+  const existing = getTrackingDataById(id, session.npub);
+  if (existing && !canUseMeasure(session, existing.measure_id)) return measureForbidden();
   deleteTrackingData(id, session.npub);
 
   // Broadcast deletion
@@ -258,6 +278,7 @@ export function handleDeleteTracking(session: Session | null, id: number) {
     action: "deleted",
     id,
   });
+  if (existing) queueWebhookEvent(session.npub, "tracking.deleted", { id });
 
   return jsonResponse({ success: true });
 }
@@ -323,6 +344,7 @@ export async function handleStartTimer(req: Request, session: Session | null) {
     action: "created",
     id: data.id,
   });
+  queueWebhookEvent(session.npub, "timers.created", data);
 
   return jsonResponse({ session: data });
 }
@@ -358,6 +380,7 @@ export async function handleStopTimer(req: Request, session: Session | null) {
     action: "updated",
     id: data.id,
   });
+  queueWebhookEvent(session.npub, "timers.updated", data);
 
   return jsonResponse({ session: data });
 }
@@ -0,0 +1,65 @@
+// Webhook subscriptions and their delivery log (see docs/webhooks.md)
+
+import { jsonResponse, safeJson, unauthorized } from "../http";
+import {
+  MAX_WEBHOOKS,
+  WEBHOOK_EVENTS,
+  createWebhook,
+  deleteWebhook,
+  isWebhookEvent,
+  isWebhookUrl,
+  listWebhookDeliveries,
+  listWebhooks,
+} from "../services/webhooks";
+
+import type { Session } from "../types";
+
+export function handleListWebhooks(session: Session | null) {
+  if (!session) return unauthorized();
+  return jsonResponse({ webhooks: listWebhooks(session.npub), events: WEBHOOK_EVENTS });
+}
+
+/**
+ * POST /api/webhooks
+ * Body: { url, events?: ["tracking.created", ...] }
+ * Omitting events subscribes to all of them. The response is the only time
+ * the signing secret is shown.
+ */
+export async function handleCreateWebhook(req: Request, session: Session | null) {
+  if (!session) return unauthorized();
+
+  const body = await safeJson(req) as { url?: unknown; events?: unknown } | null;
+  if (!isWebhookUrl(body?.url)) {
+    return jsonResponse({ error: "url must be an https URL on a public host" }, 400);
+  }
+
+  const events = body?.events ?? [...WEBHOOK_EVENTS];
+  if (!Array.isArray(events) || events.length === 0 || !events.every(isWebhookEvent)) {
+    return jsonResponse({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}` }, 400);
+  }
+
+  if (listWebhooks(session.npub).length >= MAX_WEBHOOKS) {
+    return jsonResponse({ error: `At most ${MAX_WEBHOOKS} webhooks per account` }, 400);
+  }
+
+  const { secret, summary } = createWebhook(session.npub, body.url, events);
+  return jsonResponse({ secret, ...summary }, 201);
+}
+
+export function handleDeleteWebhook(session: Session | null, id: number) {
+  if (!session) return unauthorized();
+  if (!deleteWebhook(session.npub, id)) {
+    return jsonResponse({ error: "Webhook not found" }, 404);
+  }
+  return jsonResponse({ ok: true });
+}
+
+// GET /api/webhooks/:id/deliveries - the latest deliveries, newest first
+export function handleListWebhookDeliveries(session: Session | null, id: number) {
+  if (!session) return unauthorized();
+  const deliveries = listWebhookDeliveries(session.npub, id);
+  if (!deliveries) {
+    return jsonResponse({ error: "Webhook not found" }, 404);
+  }
+  return jsonResponse({ deliveries });
+}
@@ -9,9 +9,11 @@ import {
   SESSION_COOKIE,
   SESSION_MAX_AGE_SECONDS,
 } from "./config";
+import { purgeSyncedTombstones, purgeWebhookDeliveries } from "./db";
 import { withErrorHandling } from "./http";
 import { initLogs, logDebug, logError } from "./logger";
 import { handleAiTasks, handleAiTasksPost, handleLatestSummary, handleSummaryPost } from "./routes/ai";
+import { handleCreateApiToken, handleListApiTokens, handleRevokeApiToken } from "./routes/apiTokens";
 import { createAuthHandlers } from "./routes/auth";
 import {
   handleGetCredits,
@@ -22,8 +24,17 @@ import {
   handleGetTransactionHistory,
 } from "./routes/credits";
 import { handleGetEntries, handleGetRecentEntries, handleSaveEntry } from "./routes/entries";
-import { handleHome, type TabName } from "./routes/home";
+import { handleExport } from "./routes/export";
+import { handleBootstrap, handleHome, isAppShellRoute } from "./routes/home";
+import { handleImport } from "./routes/import";
 import { handleKeyTeleport, handleKeyTeleportRegister } from "./routes/keyteleport";
+import {
+  handleDeletePushSubscription,
+  handleGetReminders,
+  handleSavePushSubscription,
+  handleSaveReminders,
+} from "./routes/reminders";
+import { createSessionHandlers } from "./routes/sessions";
 import { handleSyncPull, handleSyncPush } from "./routes/sync";
 import { handleTodoCreate, handleTodoDelete, handleTodoState, handleTodoUpdate } from "./routes/todos";
 import {
@@ -39,8 +50,18 @@ import {
   handleStartTimer,
   handleStopTimer,
 } from "./routes/tracking";
-import { AuthService } from "./services/auth";
+import {
+  handleCreateWebhook,
+  handleDeleteWebhook,
+  handleListWebhookDeliveries,
+  handleListWebhooks,
+} from "./routes/webhooks";
+import { isMeteredRoute, requireWriteAccess } from "./services/access";
+import { hasBearerToken, isApiDataRoute, sessionFromApiToken } from "./services/apiTokens";
+import { AuthService, hasNostrAuthorization } from "./services/auth";
 import { runHourlyDeduction } from "./services/credits";
+import { runDueReminders } from "./services/reminders";
+import { deliverDueWebhooks } from "./services/webhooks";
 import { addConnection, removeConnection } from "./sse";
 import { serveStatic } from "./static";
 
@@ -56,7 +77,8 @@ const authService = new AuthService(
   SESSION_MAX_AGE_SECONDS
 );
 
-const { login, logout, sessionFromRequest } = createAuthHandlers(authService, SESSION_COOKIE);
+const { login, logout, sessionFromRequest, sessionFromHttpAuth } = createAuthHandlers(authService, SESSION_COOKIE);
+const { listSessions, revokeSession, revokeAllSessions } = createSessionHandlers(authService);
 
 const server = Bun.serve({
   port: PORT,
@@ -64,15 +86,32 @@ const server = Bun.serve({
     async (req) => {
       const url = new URL(req.url);
       const { pathname } = url;
-      const session = sessionFromRequest(req);
+      let session = sessionFromRequest(req);
+
+      // Scripts call the data routes with an API token instead of a cookie
+      if (!session && hasBearerToken(req) && isApiDataRoute(pathname)) {
+        const tokenSession = sessionFromApiToken(req, pathname);
+        if (tokenSession instanceof Response) return tokenSession;
+        session = tokenSession;
+      } else if (!session && hasNostrAuthorization(req)) {
+        // Nostr clients sign each request instead (NIP-98)
+        const httpAuthSession = await sessionFromHttpAuth(req);
+        if (httpAuthSession instanceof Response) return httpAuthSession;
+        session = httpAuthSession;
+      }
+
+      if (isMeteredRoute(req.method, pathname)) {
+        const denied = requireWriteAccess(session);
+        if (denied) return denied;
+      }
 
       if (req.method === "GET") {
         const staticResponse = await serveStatic(pathname);
         if (staticResponse) return staticResponse;
 
         const aiTasksMatch = pathname.match(/^\/ai\/tasks\/(\d+)(?:\/(yes|no))?$/);
-        if (aiTasksMatch) return handleAiTasks(url, aiTasksMatch);
-        if (pathname === "/ai/summary/latest") return handleLatestSummary(url);
+        if (aiTasksMatch) return handleAiTasks(req, url, aiTasksMatch);
+        if (pathname === "/ai/summary/latest") return handleLatestSummary(req, url);
         if (pathname === "/entries") return handleGetEntries(url, session);
         if (pathname === "/entries/recent") return handleGetRecentEntries(url, session);
         if (pathname === "/api/measures") return handleGetMeasures(session);
@@ -83,6 +122,26 @@ const server = Bun.serve({
         // Sync endpoint for Dexie client
         if (pathname === "/sync") return handleSyncPull(url, session);
 
+        // Per-session data for the cached app shell
+        if (pathname === "/api/bootstrap") return handleBootstrap(session);
+
+        // Device/session management
+        if (pathname === "/api/sessions") return listSessions(session);
+
+        // API tokens for scripts and agents
+        if (pathname === "/api/tokens") return handleListApiTokens(session);
+
+        // Webhook subscriptions and their delivery log
+        if (pathname === "/api/webhooks") return handleListWebhooks(session);
+        const deliveriesMatch = pathname.match(/^\/api\/webhooks\/(\d+)\/deliveries$/);
+        if (deliveriesMatch) return handleListWebhookDeliveries(session, Number(deliveriesMatch[1]));
+
+        // Reminder schedules
+        if (pathname === "/api/reminders") return handleGetReminders(session);
+
+        // Full account export
+        if (pathname === "/api/export") return handleExport(session);
+
         // Credit endpoints
         if (pathname === "/api/credits") return handleGetCredits(session);
         if (pathname === "/api/credits/orders") return handleGetPendingOrders(session);
@@ -104,7 +163,7 @@ const server = Bun.serve({
           const stream = new ReadableStream<Uint8Array>({
             start(controller) {
               // Register this connection
-              const conn = addConnection(session.npub, controller);
+              const conn = addConnection(session.npub, session.id, controller);
 
               // Send initial connection confirmation
               const encoder = new TextEncoder();
@@ -136,22 +195,8 @@ const server = Bun.serve({
           });
         }
 
-        // Tab routes - all serve the same page with different initial tab
-        // Handle /daily/:date pattern (e.g., /daily/2024-01-10)
-        const dailyDateMatch = pathname.match(/^\/daily\/(\d{4}-\d{2}-\d{2})$/);
-        if (dailyDateMatch) {
-          return handleHome(url, session, "daily", dailyDateMatch[1]);
-        }
-
-        const tabRoutes: Record<string, TabName> = {
-          "/": "daily",
-          "/daily": "daily",
-          "/timers": "timers",
-          "/measures": "measures",
-          "/results": "results",
-        };
-        const tabName = tabRoutes[pathname];
-        if (tabName !== undefined) return handleHome(url, session, tabName);
+        // Tab routes (including /daily/:date) all serve the same app shell
+        if (isAppShellRoute(pathname)) return handleHome();
       }
 
       if (req.method === "POST") {
@@ -166,6 +211,11 @@ const server = Bun.serve({
         if (pathname === "/tracking/timers/start") return handleStartTimer(req, session);
         if (pathname === "/tracking/timers/stop") return handleStopTimer(req, session);
         if (pathname === "/sync") return handleSyncPush(req, session);
+        if (pathname === "/api/import") return handleImport(req, session);
+        if (pathname === "/api/tokens") return handleCreateApiToken(req, session);
+        if (pathname === "/api/webhooks") return handleCreateWebhook(req, session);
+        if (pathname === "/api/reminders") return handleSaveReminders(req, session);
+        if (pathname === "/api/push/subscriptions") return handleSavePushSubscription(req, session);
         if (pathname === "/api/credits/initialize") return handleInitializeCredits(session);
         if (pathname === "/api/credits/purchase") return handlePurchaseCredits(req, session);
         if (pathname === "/todos") return handleTodoCreate(req, session);
@@ -200,6 +250,18 @@ const server = Bun.serve({
 
         const trackingMatch = pathname.match(/^\/tracking\/(\d+)$/);
         if (trackingMatch) return handleDeleteTracking(session, Number(trackingMatch[1]));
+
+        if (pathname === "/api/sessions") return revokeAllSessions(session);
+        const sessionMatch = pathname.match(/^\/api\/sessions\/(\d+)$/);
+        if (sessionMatch) return revokeSession(session, Number(sessionMatch[1]));
+
+        const tokenMatch = pathname.match(/^\/api\/tokens\/(\d+)$/);
+        if (tokenMatch) return handleRevokeApiToken(session, Number(tokenMatch[1]));
+
+        if (pathname === "/api/push/subscriptions") return handleDeletePushSubscription(req, session);
+
+        const webhookMatch = pathname.match(/^\/api\/webhooks\/(\d+)$/);
+        if (webhookMatch) return handleDeleteWebhook(session, Number(webhookMatch[1]));
       }
 
       return new Response("Not found", { status: 404 });
@@ -249,3 +311,70 @@ function runDeductionAndScheduleNext() {
 
 // Start the cron scheduler
 scheduleHourlyDeduction();
+
+// Reminders are checked at the start of every minute
+function scheduleReminders() {
+  const msUntilNextMinute = 60 * 1000 - (Date.now() % (60 * 1000));
+  setTimeout(() => {
+    runDueReminders().catch((error) => console.error("Reminder run failed:", error));
+    scheduleReminders();
+  }, msUntilNextMinute);
+}
+
+scheduleReminders();
+
+// Expired sessions are already rejected on lookup; purging just keeps the
+// sessions table from growing forever. Runs once at startup, then hourly.
+function purgeSessions() {
+  try {
+    const purged = authService.purgeExpiredSessions();
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired sessions`);
+    }
+  } catch (error) {
+    console.error("Session purge failed:", error);
+  }
+}
+
+// Tombstones only need to live until every syncing device has pulled them.
+// Runs after the session purge so expired devices no longer hold GC back.
+function purgeTombstones() {
+  try {
+    const purged = purgeSyncedTombstones();
+    if (purged > 0) {
+      console.log(`Purged ${purged} synced tombstones`);
+    }
+  } catch (error) {
+    console.error("Tombstone purge failed:", error);
+  }
+}
+
+// Delivery logs are kept for a month; pending deliveries are never purged
+function purgeDeliveries() {
+  try {
+    const purged = purgeWebhookDeliveries(30);
+    if (purged > 0) {
+      console.log(`Purged ${purged} webhook deliveries`);
+    }
+  } catch (error) {
+    console.error("Webhook delivery purge failed:", error);
+  }
+}
+
+purgeSessions();
+purgeTombstones();
+purgeDeliveries();
+setInterval(() => {
+  purgeSessions();
+  purgeTombstones();
+  purgeDeliveries();
+}, 60 * 60 * 1000);
+
+// New events are sent right away; this picks up retries as they fall due,
+// and anything left pending by a restart
+function deliverWebhooks() {
+  deliverDueWebhooks().catch((error) => console.error("Webhook delivery failed:", error));
+}
+
+deliverWebhooks();
+setInterval(deliverWebhooks, 30 * 1000);
@@ -0,0 +1,40 @@
+import { getUserCredits } from "../db";
+import { paymentRequired } from "../http";
+
+import type { Session } from "../types";
+
+// Routes that record or change user data. Reads, exports, auth and the
+// credits routes themselves stay open so an expired user can still log in,
+// top up and get their data out.
+const METERED_ROUTES: Array<{ method: string; pattern: RegExp }> = [
+  { method: "POST", pattern: /^\/entries$/ },
+  { method: "POST", pattern: /^\/api\/measures$/ },
+  { method: "POST", pattern: /^\/api\/measures\/reorder$/ },
+  { method: "POST", pattern: /^\/tracking$/ },
+  { method: "POST", pattern: /^\/tracking\/timers\/(start|stop)$/ },
+  { method: "POST", pattern: /^\/sync$/ },
+  { method: "POST", pattern: /^\/api\/import$/ },
+  { method: "POST", pattern: /^\/todos(\/\d+\/(update|state|delete))?$/ },
+  { method: "DELETE", pattern: /^\/api\/measures\/\d+$/ },
+  { method: "DELETE", pattern: /^\/tracking\/\d+$/ },
+];
+
+export function isMeteredRoute(method: string, pathname: string) {
+  return METERED_ROUTES.some((route) => route.method === method && route.pattern.test(pathname));
+}
+
+export function hasWriteAccess(npub: string) {
+  const credits = getUserCredits(npub);
+  return !!credits && credits.balance > 0;
+}
+
+/**
+ * Returns a 402 response when the session has no credits left, or null when
+ * the request may proceed. Anonymous requests fall through so the route can
+ * answer with its usual 401.
+ */
+export function requireWriteAccess(session: Session | null) {
+  if (!session) return null;
+  if (hasWriteAccess(session.npub)) return null;
+  return paymentRequired(getUserCredits(session.npub)?.balance ?? 0);
+}
@@ -0,0 +1,210 @@
+import { createHash, randomBytes } from "crypto";
+
+import { nip19 } from "nostr-tools";
+
+import {
+  createApiTokenRecord,
+  deleteApiTokenRecord,
+  getApiTokenRecordByHash,
+  listApiTokenRecords,
+  touchApiTokenRecord,
+} from "../db";
+import { jsonResponse } from "../http";
+
+import type { ApiTokenRecord } from "../db";
+import type { Session } from "../types";
+
+// What a token may do. A request needs the scope its route names; nothing
+// is implied by any other scope.
+export const API_SCOPES = [
+  "data:read",
+  "data:write",
+  "todos:read",
+  "todos:write",
+  "summaries:read",
+  "summaries:write",
+] as const;
+
+export type ApiScope = (typeof API_SCOPES)[number];
+
+// Recognisable in logs and secret scanners
+const TOKEN_PREFIX = "amb_";
+
+export const MAX_TOKEN_NAME_LENGTH = 80;
+
+export type ApiCredential = {
+  id: number;
+  owner: string;
+  scopes: ApiScope[];
+  measureIds: number[] | null;
+  createdAt: string;
+};
+
+// The token itself is never stored or returned again after creation
+export type ApiTokenSummary = {
+  id: number;
+  name: string;
+  scopes: ApiScope[];
+  measure_ids: number[] | null;
+  created_at: string;
+  last_used_at: string | null;
+};
+
+function hashApiToken(token: string) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function parseScopes(scopes: string): ApiScope[] {
+  return scopes.split(" ").filter((scope): scope is ApiScope => API_SCOPES.includes(scope as ApiScope));
+}
+
+function parseMeasureIds(measureIds: string | null): number[] | null {
+  if (measureIds === null) return null;
+  return measureIds.split(",").map(Number).filter(Number.isInteger);
+}
+
+function toSummary(record: ApiTokenRecord): ApiTokenSummary {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: parseScopes(record.scopes),
+    measure_ids: parseMeasureIds(record.measure_ids),
+    created_at: record.created_at,
+    last_used_at: record.last_used_at,
+  };
+}
+
+export function isApiScope(value: unknown): value is ApiScope {
+  return typeof value === "string" && API_SCOPES.includes(value as ApiScope);
+}
+
+/**
+ * Creates a token for `owner`. The plaintext token is only in the return
+ * value; the database keeps a SHA-256 hash, like session cookies.
+ * `measureIds` limits the data scopes to those measures.
+ */
+export function issueApiToken(owner: string, name: string, scopes: ApiScope[], measureIds: number[] | null = null) {
+  const token = `${TOKEN_PREFIX}${randomBytes(32).toString("base64url")}`;
+  const record = createApiTokenRecord(
+    owner,
+    name,
+    hashApiToken(token),
+    [...new Set(scopes)].join(" "),
+    measureIds ? [...new Set(measureIds)].join(",") : null
+  );
+  if (!record) throw new Error("Failed to persist API token");
+  return { token, summary: toSummary(record) };
+}
+
+export function listApiTokens(owner: string): ApiTokenSummary[] {
+  return listApiTokenRecords(owner).map(toSummary);
+}
+
+export function revokeApiToken(owner: string, id: number): boolean {
+  return !!deleteApiTokenRecord(id, owner);
+}
+
+// Reads `Authorization: Bearer <token>`
+export function apiCredentialFromRequest(req: Request): ApiCredential | null {
+  const match = req.headers.get("authorization")?.match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+  const record = getApiTokenRecordByHash(hashApiToken(match[1]));
+  if (!record) return null;
+  touchApiTokenRecord(record.id);
+  return {
+    id: record.id,
+    owner: record.owner,
+    scopes: parseScopes(record.scopes),
+    measureIds: parseMeasureIds(record.measure_ids),
+    createdAt: record.created_at,
+  };
+}
+
+function pubkeyOf(npub: string) {
+  try {
+    const decoded = nip19.decode(npub);
+    return decoded.type === "npub" ? decoded.data : "";
+  } catch (_err) {
+    return "";
+  }
+}
+
+function unauthorizedBearer() {
+  return new Response("Unauthorized", { status: 401, headers: { "WWW-Authenticate": "Bearer" } });
+}
+
+/**
+ * Returns a 401 when the request carries no valid token, a 403 when the
+ * token lacks `scope` or belongs to someone other than `owner`, or null when
+ * the request may proceed. Errors are `{ message }`, like the rest of /ai.
+ */
+export function requireApiScope(req: Request, scope: ApiScope, owner: string) {
+  const credential = apiCredentialFromRequest(req);
+  if (!credential) return unauthorizedBearer();
+  if (!credential.scopes.includes(scope)) {
+    return jsonResponse({ message: `Token is missing the ${scope} scope.` }, 403);
+  }
+  if (credential.owner !== owner) {
+    return jsonResponse({ message: "Token does not belong to this owner." }, 403);
+  }
+  return null;
+}
+
+// ============================================================
+// Data routes
+// ============================================================
+
+// Routes that take a token in place of the session cookie, with the data
+// scopes. Everything else (timers, journal, credits, account) stays
+// cookie-only.
+const DATA_ROUTES = [/^\/api\/measures(\/reorder|\/\d+)?$/, /^\/tracking(\/\d+)?$/, /^\/sync$/];
+
+export function isApiDataRoute(pathname: string) {
+  return DATA_ROUTES.some((pattern) => pattern.test(pathname));
+}
+
+export function hasBearerToken(req: Request) {
+  return /^Bearer\s/i.test(req.headers.get("authorization") ?? "");
+}
+
+/**
+ * Turns a bearer token on a data route into a session for the token's owner.
+ * Reads need `data:read` and writes `data:write`. /sync replicates the whole
+ * account, so a token limited to some measures can't use it. Returns the
+ * response to send instead when the token isn't good for this request.
+ * Errors are `{ error }`, like the rest of the data routes.
+ */
+export function sessionFromApiToken(req: Request, pathname: string): Session | Response {
+  const credential = apiCredentialFromRequest(req);
+  if (!credential) return unauthorizedBearer();
+
+  const scope: ApiScope = req.method === "GET" ? "data:read" : "data:write";
+  if (!credential.scopes.includes(scope)) {
+    return jsonResponse({ error: `Token is missing the ${scope} scope` }, 403);
+  }
+  if (credential.measureIds && pathname === "/sync") {
+    return jsonResponse({ error: "Tokens limited to some measures can't use /sync" }, 403);
+  }
+
+  return {
+    id: 0, // No sessions row, so nothing is recorded against a login
+    token: "",
+    pubkey: pubkeyOf(credential.owner),
+    npub: credential.owner,
+    method: "api_token",
+    createdAt: Date.parse(`${credential.createdAt.replace(" ", "T")}Z`),
+    apiToken: { id: credential.id, measureIds: credential.measureIds },
+  };
+}
+
+// Whether the request may read or write data of this measure
+export function canUseMeasure(session: Session, measureId: number) {
+  const measureIds = session.apiToken?.measureIds;
+  return !measureIds || measureIds.includes(measureId);
+}
+
+// Creating, editing, reordering and deleting measures touches the whole
+// list, so tokens limited to some measures can't
+export function canManageMeasures(session: Session) {
+  return !session.apiToken?.measureIds;
+}
@@ -1,8 +1,18 @@
+import { createHash } from "crypto";
+
 import { nip19 } from "nostr-tools";
 import { verifyEvent } from "nostr-tools/pure";
 
+import {
+  createSessionRecord,
+  deleteSessionRecordByTokenHash,
+  getSessionRecordByTokenHash,
+  purgeExpiredSessions,
+  touchSessionRecord,
+} from "../db";
 import { jsonResponse, serializeSessionCookie } from "../http";
 
+import type { SessionRecord } from "../db";
 import type { LoginMethod, Session } from "../types";
 
 type LoginEvent = {
@@ -17,9 +27,10 @@ type LoginEvent = {
 
 type ValidateResult = { ok: true } | { ok: false; message: string };
 
-export class AuthService {
-  private readonly sessions = new Map<string, Session>();
+// What a NIP-98 event is checked against
+type HttpAuthRequest = { url: string; method: string; payloadHash: string | null };
 
+export class AuthService {
   constructor(
     private readonly sessionCookieName: string,
     private readonly appTag: string,
@@ -29,14 +40,25 @@ export class AuthService {
     private readonly sessionMaxAgeSeconds: number
   ) {}
 
-  getSession(token: string | null) {
+  // NIP-98 event ids seen within the allowed clock skew, so a captured
+  // header can't be replayed
+  private readonly seenHttpAuthEvents = new Map<string, number>();
+
+  getSession(token: string | null): Session | null {
     if (!token) return null;
-    return this.sessions.get(token) ?? null;
+    const record = getSessionRecordByTokenHash(hashSessionToken(token));
+    if (!record) return null;
+    touchSessionRecord(record.id);
+    return toSession(record, token);
   }
 
   destroySession(token: string | null) {
     if (!token) return;
-    this.sessions.delete(token);
+    deleteSessionRecordByTokenHash(hashSessionToken(token));
+  }
+
+  purgeExpiredSessions() {
+    return purgeExpiredSessions();
   }
 
   validateLoginEvent(method: LoginMethod, event: LoginEvent): ValidateResult {
@@ -54,38 +76,160 @@ export class AuthService {
     return { ok: true };
   }
 
-  createSession(method: LoginMethod, event: LoginEvent) {
-    const token = crypto.randomUUID();
-    const session: Session = {
-      token,
+  /**
+   * Checks a NIP-98 event against the request it came with: the `u` tag must
+   * name the request URL and the `method` tag its method. Requests with a
+   * body must carry its SHA-256 in a `payload` tag. The URL scheme is not
+   * compared, because TLS usually ends at a proxy in front of the server.
+   */
+  validateHttpAuthEvent(event: LoginEvent, request: HttpAuthRequest): ValidateResult {
+    if (!event || !Array.isArray(event.tags)) return { ok: false, message: "Missing event." };
+    if (event.kind !== this.loginKind) return { ok: false, message: "Unexpected event kind." };
+    if (!verifyEvent(event as any)) return { ok: false, message: "Invalid event signature." };
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - event.created_at) > this.loginMaxAgeSeconds) {
+      return { ok: false, message: "Auth event expired." };
+    }
+    const tagValue = (name: string) => event.tags.find((tag) => tag[0] === name)?.[1];
+    if (!sameRequestUrl(tagValue("u"), request.url)) return { ok: false, message: "URL mismatch." };
+    if (tagValue("method")?.toUpperCase() !== request.method) return { ok: false, message: "Method mismatch." };
+    const payload = tagValue("payload");
+    if (request.payloadHash && !payload) return { ok: false, message: "Missing payload tag." };
+    if (payload && payload.toLowerCase() !== (request.payloadHash ?? hashBody(new Uint8Array()))) {
+      return { ok: false, message: "Payload mismatch." };
+    }
+    if (this.seenHttpAuthEvents.has(event.id)) return { ok: false, message: "Auth event already used." };
+    return { ok: true };
+  }
+
+  /**
+   * Turns `Authorization: Nostr <base64 event>` into a session for the
+   * signer, or the 401 to send instead. Nothing is stored; every request
+   * signs its own event.
+   */
+  async sessionFromHttpAuth(req: Request): Promise<Session | Response> {
+    const event = parseNostrAuthorization(req);
+    if (!event) return unauthorizedNostr("Malformed Nostr authorization.");
+
+    const body = req.body ? new Uint8Array(await req.clone().arrayBuffer()) : null;
+    const validation = this.validateHttpAuthEvent(event, {
+      url: req.url,
+      method: req.method,
+      payloadHash: body && body.length > 0 ? hashBody(body) : null,
+    });
+    if (!validation.ok) return unauthorizedNostr(validation.message);
+
+    this.rememberHttpAuthEvent(event);
+    return {
+      id: 0, // No sessions row, like API tokens
+      token: "",
       pubkey: event.pubkey,
       npub: nip19.npubEncode(event.pubkey),
-      method,
-      createdAt: Date.now(),
+      method: "nip98",
+      createdAt: event.created_at * 1000,
     };
-    this.sessions.set(token, session);
+  }
+
+  private rememberHttpAuthEvent(event: LoginEvent) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [id, expiresAt] of this.seenHttpAuthEvents) {
+      if (expiresAt < now) this.seenHttpAuthEvents.delete(id);
+    }
+    this.seenHttpAuthEvents.set(event.id, event.created_at + this.loginMaxAgeSeconds);
+  }
+
+  createSession(method: LoginMethod, event: LoginEvent, userAgent: string | null = null) {
+    const token = crypto.randomUUID();
+    const record = createSessionRecord(
+      hashSessionToken(token),
+      event.pubkey,
+      nip19.npubEncode(event.pubkey),
+      method,
+      userAgent,
+      this.sessionMaxAgeSeconds
+    );
+    if (!record) throw new Error("Failed to persist session");
+    const session = toSession(record, token);
     return {
       session,
       cookie: serializeSessionCookie(token, this.sessionCookieName, this.sessionMaxAgeSeconds, this.cookieSecure),
     };
   }
 
-  login(method: LoginMethod, event: LoginEvent) {
+  login(method: LoginMethod, event: LoginEvent, userAgent: string | null = null) {
     const validation = this.validateLoginEvent(method, event);
     if (!validation.ok) return jsonResponse({ message: validation.message }, 422);
-    const { session, cookie } = this.createSession(method, event);
+    const { session, cookie } = this.createSession(method, event, userAgent);
     return jsonResponse(session, 200, cookie);
   }
 
   logout(token: string | null) {
-    if (token) {
-      this.sessions.delete(token);
-    }
-    const cleared = serializeSessionCookie(null, this.sessionCookieName, this.sessionMaxAgeSeconds, this.cookieSecure);
-    return jsonResponse({ ok: true }, 200, cleared);
+    this.destroySession(token);
+    return jsonResponse({ ok: true }, 200, this.clearedCookie());
+  }
+
+  clearedCookie() {
+    return serializeSessionCookie(null, this.sessionCookieName, this.sessionMaxAgeSeconds, this.cookieSecure);
+  }
+}
+
+function hashSessionToken(token: string) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function hashBody(body: Uint8Array) {
+  return createHash("sha256").update(body).digest("hex");
+}
+
+function sameRequestUrl(signed: string | undefined, actual: string) {
+  if (!signed) return false;
+  try {
+    const a = new URL(signed);
+    const b = new URL(actual);
+    return a.host === b.host && a.pathname === b.pathname && a.search === b.search;
+  } catch (_err) {
+    return false;
+  }
+}
+
+function unauthorizedNostr(message: string) {
+  return new Response(JSON.stringify({ message }), {
+    status: 401,
+    headers: { "Content-Type": "application/json", "WWW-Authenticate": "Nostr" },
+  });
+}
+
+export function hasNostrAuthorization(req: Request) {
+  return /^Nostr\s/i.test(req.headers.get("authorization") ?? "");
+}
+
+function parseNostrAuthorization(req: Request): LoginEvent | null {
+  const match = req.headers.get("authorization")?.match(/^Nostr\s+(\S+)$/i);
+  if (!match) return null;
+  try {
+    const event = JSON.parse(Buffer.from(match[1], "base64").toString("utf8"));
+    return event && typeof event === "object" ? (event as LoginEvent) : null;
+  } catch (_err) {
+    return null;
   }
 }
 
+// SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+function parseSqliteTimestamp(value: string) {
+  return Date.parse(`${value.replace(" ", "T")}Z`);
+}
+
+function toSession(record: SessionRecord, token: string): Session {
+  return {
+    id: record.id,
+    token,
+    pubkey: record.pubkey,
+    npub: record.npub,
+    method: record.method,
+    createdAt: parseSqliteTimestamp(record.created_at),
+  };
+}
+
 export function parseSessionCookie(req: Request, cookieName: string) {
   const cookieHeader = req.headers.get("cookie");
   if (!cookieHeader) return null;
@@ -0,0 +1,73 @@
+import {
+  iterateCreditTransactionsForExport,
+  iterateEntriesForExport,
+  iterateMeasuresForExport,
+  iterateTimerSessionsForExport,
+  iterateTrackingDataForExport,
+} from "../db";
+
+// Bump ARCHIVE_VERSION whenever a section or row shape changes incompatibly,
+// so importers can tell which layout they are reading (see docs/export.md)
+export const ARCHIVE_FORMAT = "ambulando-archive";
+export const ARCHIVE_VERSION = 1;
+
+// Rows are exported as stored, so measure names and configs, values of
+// encrypted measures and journal entries stay NIP-44 ciphertext. Timer
+// sessions are the tracking rows of "time" measures, listed again on their
+// own for readers that only want those.
+const SECTIONS: Array<{ name: string; rows: (owner: string) => Iterable<unknown> }> = [
+  { name: "measures", rows: iterateMeasuresForExport },
+  { name: "trackingData", rows: iterateTrackingDataForExport },
+  { name: "timerSessions", rows: iterateTimerSessionsForExport },
+  { name: "entries", rows: iterateEntriesForExport },
+  { name: "creditTransactions", rows: iterateCreditTransactionsForExport },
+];
+
+// Flush to the client in chunks of roughly this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+function* archiveParts(owner: string, exportedAt: string): Generator<string> {
+  const header = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt, owner, encrypted: true };
+  yield JSON.stringify(header).slice(0, -1);
+
+  for (const section of SECTIONS) {
+    yield `,${JSON.stringify(section.name)}:[`;
+    let first = true;
+    for (const row of section.rows(owner)) {
+      yield first ? JSON.stringify(row) : `,${JSON.stringify(row)}`;
+      first = false;
+    }
+    yield "]";
+  }
+
+  yield "}\n";
+}
+
+/**
+ * Streams the owner's whole account as one JSON document. Rows are read
+ * lazily as the client consumes the stream, so a large history is never held
+ * in memory at once.
+ */
+export function streamArchive(owner: string, exportedAt = new Date().toISOString()): ReadableStream<Uint8Array> {
+  const parts = archiveParts(owner, exportedAt);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream<Uint8Array>({
+    pull(controller) {
+      let chunk = "";
+      while (chunk.length < CHUNK_SIZE) {
+        const next = parts.next();
+        if (next.done) {
+          if (chunk) controller.enqueue(encoder.encode(chunk));
+          controller.close();
+          return;
+        }
+        chunk += next.value;
+      }
+      controller.enqueue(encoder.encode(chunk));
+    },
+    cancel() {
+      parts.return(undefined);
+    },
+  });
+}
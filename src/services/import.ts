@@ -0,0 +1,176 @@
+import {
+  clearOwnerData,
+  createMeasure,
+  forceResync,
+  getEntry,
+  getMeasureByClientId,
+  getMeasureById,
+  getTrackingDataByClientId,
+  getTrackingDataById,
+  isMeasureType,
+  saveTrackingData,
+  upsertEntry,
+  withImportTransaction,
+} from "../db";
+import { isValidDateString } from "../validation";
+
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION } from "./export";
+
+import type { Entry, Measure, TrackingData } from "../db";
+
+export type ImportMode = "merge" | "replace";
+
+type ArchiveRow<T> = Partial<T> & { id: number };
+
+// The parts of an export archive (docs/export.md) an import reads. Timer
+// sessions repeat tracking rows and credit history belongs to the instance
+// the credits were bought on, so both are ignored.
+export type ImportArchive = {
+  format: string;
+  version: number;
+  owner?: string;
+  encrypted: boolean;
+  measures: ArchiveRow<Measure>[];
+  trackingData: ArchiveRow<TrackingData>[];
+  entries: ArchiveRow<Entry>[];
+};
+
+type SectionSummary = { imported: number; skipped: number };
+
+export type ImportSummary = {
+  measures: SectionSummary;
+  trackingData: SectionSummary;
+  entries: SectionSummary;
+};
+
+/**
+ * Returns why an uploaded archive can't be imported, or null if it can.
+ * The server only ever stores ciphertext, so decrypted archives must be
+ * re-encrypted by the client first.
+ */
+export function validateArchive(archive: Partial<ImportArchive> | null): string | null {
+  if (!archive || typeof archive !== "object" || archive.format !== ARCHIVE_FORMAT) {
+    return "Not an Ambulando archive";
+  }
+  if (!Number.isInteger(archive.version) || archive.version! < 1 || archive.version! > ARCHIVE_VERSION) {
+    return `Unsupported archive version ${archive.version}`;
+  }
+  if (archive.encrypted !== true) {
+    return "Archive must be encrypted to this account before upload";
+  }
+  for (const section of ["measures", "trackingData", "entries"] as const) {
+    if (!Array.isArray(archive[section])) return `Archive is missing ${section}`;
+  }
+  return null;
+}
+
+// Rows keep their client id, or get one derived from where they came from,
+// so importing the same archive twice finds the rows of the first import
+function importClientId(archive: ImportArchive, row: { id: number; client_id?: string | null }) {
+  return row.client_id || `import:${archive.owner ?? "unknown"}:${row.id}`;
+}
+
+// An archive taken from this same account on this instance names rows that
+// still exist; id and creation time together identify them
+function isSameRow(existing: { created_at: string } | null, row: { created_at?: string }) {
+  return !!existing && existing.created_at === row.created_at;
+}
+
+function importMeasures(owner: string, archive: ImportArchive, measureIds: Map<number, number>): SectionSummary {
+  const summary = { imported: 0, skipped: 0 };
+
+  for (const m of archive.measures) {
+    const clientId = importClientId(archive, m);
+    const sameRow = getMeasureById(m.id, owner);
+    const existing = isSameRow(sameRow, m) ? sameRow : getMeasureByClientId(owner, clientId);
+    if (existing) {
+      measureIds.set(m.id, existing.id);
+      summary.skipped++;
+      continue;
+    }
+
+    if (typeof m.name !== "string" || !isMeasureType(m.type)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const created = createMeasure(
+      owner,
+      m.name,
+      m.type,
+      !!m.encrypted,
+      Number(m.sort_order) || 0,
+      m.config ?? null,
+      clientId
+    );
+    if (created) {
+      measureIds.set(m.id, created.id);
+      summary.imported++;
+    } else {
+      summary.skipped++;
+    }
+  }
+
+  return summary;
+}
+
+function importTrackingData(owner: string, archive: ImportArchive, measureIds: Map<number, number>): SectionSummary {
+  const summary = { imported: 0, skipped: 0 };
+
+  for (const td of archive.trackingData) {
+    const measureId = measureIds.get(Number(td.measure_id));
+    const clientId = importClientId(archive, td);
+    const exists = isSameRow(getTrackingDataById(td.id, owner), td) || !!getTrackingDataByClientId(owner, clientId);
+    if (!measureId || exists || typeof td.recorded_at !== "string" || typeof td.value !== "string") {
+      summary.skipped++;
+      continue;
+    }
+
+    if (saveTrackingData(owner, measureId, td.recorded_at, td.value, clientId)) summary.imported++;
+    else summary.skipped++;
+  }
+
+  return summary;
+}
+
+function importEntries(owner: string, archive: ImportArchive): SectionSummary {
+  const summary = { imported: 0, skipped: 0 };
+
+  for (const e of archive.entries) {
+    const valid = typeof e.entry_date === "string" && isValidDateString(e.entry_date)
+      && typeof e.encrypted_content === "string";
+    // Merging never overwrites a journal entry that is already there
+    if (!valid || getEntry(owner, e.entry_date!, Number(e.slot))) {
+      summary.skipped++;
+      continue;
+    }
+
+    if (upsertEntry(owner, e.entry_date!, Number(e.slot), e.encrypted_content!, e.client_id ?? null)) summary.imported++;
+    else summary.skipped++;
+  }
+
+  return summary;
+}
+
+/**
+ * Writes a validated archive into the owner's account in one transaction.
+ *
+ * Measures get new ids; tracking rows are pointed at them through the old id.
+ * "merge" keeps everything already there and skips rows it already has.
+ * "replace" wipes the account first and makes every device resync.
+ */
+export function importArchive(owner: string, archive: ImportArchive, mode: ImportMode): ImportSummary {
+  return withImportTransaction(() => {
+    if (mode === "replace") clearOwnerData(owner);
+
+    const measureIds = new Map<number, number>();
+    const summary = {
+      measures: importMeasures(owner, archive, measureIds),
+      trackingData: importTrackingData(owner, archive, measureIds),
+      entries: importEntries(owner, archive),
+    };
+
+    if (mode === "replace") forceResync(owner);
+    return summary;
+  });
+}
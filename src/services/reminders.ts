@@ -0,0 +1,131 @@
+import { APP_NAME } from "../config";
+import {
+  getEntriesForDate,
+  getMeasureById,
+  getTrackingDataNearDate,
+  listAllReminders,
+  markReminderSent,
+} from "../db";
+
+import { sendPushToOwner } from "./webPush";
+
+import type { Reminder } from "../db";
+import type { PushMessage } from "./webPush";
+
+// A reminder fires on the first scheduler run after its time, as long as
+// that is within this window; a server that was down all evening doesn't
+// send the 18:00 reminder at midnight
+export const REMINDER_WINDOW_MINUTES = 60;
+
+export type LocalMoment = {
+  date: string; // YYYY-MM-DD
+  time: string; // HH:MM
+  weekday: number; // 0 (Sunday) to 6
+};
+
+export type PlannedReminder = { reminder: Reminder; date: string; action: "send" | "skip" };
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function isReminderTime(value: unknown): value is string {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+export function isWeekdayList(value: unknown): value is number[] {
+  return Array.isArray(value) && value.length > 0
+    && value.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+export function isTimeZone(value: unknown): value is string {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+// The wall clock in `timeZone` at `now`
+export function localMoment(now: Date, timeZone: string): LocalMoment {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function minutesOf(time: string) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// Whether the thing the reminder is about was already done that local day
+function alreadyLogged(reminder: Reminder, date: string) {
+  if (reminder.measure_id === null) {
+    return getEntriesForDate(reminder.owner, date).some((entry) => entry.encrypted_content);
+  }
+  return getTrackingDataNearDate(reminder.owner, reminder.measure_id, date).some(
+    (row) => localMoment(new Date(row.recorded_at), reminder.timezone).date === date
+  );
+}
+
+/**
+ * Reminders whose time has come at `now` and that haven't fired today, each
+ * with what to do: "skip" when the measure (or journal) already has a value
+ * for that local day, or the measure is gone.
+ */
+export function planReminders(now: Date, reminders: Reminder[] = listAllReminders()): PlannedReminder[] {
+  const planned: PlannedReminder[] = [];
+  for (const reminder of reminders) {
+    if (!isTimeZone(reminder.timezone)) continue;
+    const local = localMoment(now, reminder.timezone);
+    if (reminder.last_sent_date === local.date) continue;
+    if (!reminder.weekdays.split(",").map(Number).includes(local.weekday)) continue;
+
+    const late = minutesOf(local.time) - minutesOf(reminder.time);
+    if (late < 0 || late >= REMINDER_WINDOW_MINUTES) continue;
+
+    const measureGone = reminder.measure_id !== null && !getMeasureById(reminder.measure_id, reminder.owner);
+    const action = measureGone || alreadyLogged(reminder, local.date) ? "skip" : "send";
+    planned.push({ reminder, date: local.date, action });
+  }
+  return planned;
+}
+
+// Measure names are encrypted, so the text can't say which measure
+function reminderMessage(reminder: Reminder, date: string): PushMessage {
+  return {
+    title: APP_NAME,
+    body: reminder.measure_id === null
+      ? "Write down today's three things."
+      : "You haven't logged one of your measures today.",
+    url: `/daily/${date}`,
+    tag: `reminder-${reminder.id}`,
+  };
+}
+
+// Runs every minute from src/server.ts; returns how many reminders were sent
+export async function runDueReminders(now: Date = new Date()) {
+  let sent = 0;
+  for (const { reminder, date, action } of planReminders(now)) {
+    // Marked first, so a slow push service can't make the next run send again
+    markReminderSent(reminder.id, date);
+    if (action === "send" && (await sendPushToOwner(reminder.owner, reminderMessage(reminder, date))) > 0) sent++;
+  }
+  return sent;
+}
@@ -0,0 +1,292 @@
+import {
+  createMeasure,
+  getEntriesChangedSince,
+  getEntry,
+  getMeasureByClientId,
+  getMeasureById,
+  getMeasuresChangedSince,
+  getSyncHorizon,
+  getTombstonesChangedSince,
+  getTrackingDataByClientId,
+  getTrackingDataById,
+  getTrackingDataChangedSince,
+  isMeasureType,
+  saveTrackingData,
+  updateMeasure,
+  updateTrackingData,
+  upsertEntry,
+} from "../db";
+
+import { queueWebhookEvent } from "./webhooks";
+
+import type { WebhookEvent } from "./webhooks";
+import type { Entry, Measure, Tombstone, TrackingData } from "../db";
+
+export const SYNC_PAGE_SIZE = 500;
+export const SYNC_MAX_PAGE_SIZE = 2000;
+
+export type SyncDeletion = {
+  table: "measures" | "trackingData";
+  id: number;
+  deleted_at: string;
+};
+
+export type SyncPage = {
+  measures: Measure[];
+  trackingData: TrackingData[];
+  entries: Entry[];
+  deleted: SyncDeletion[];
+  cursor: number;
+  hasMore: boolean;
+  // Set when tombstones the client still needed were garbage-collected. The
+  // client must drop its synced rows and pull again from cursor 0.
+  reset?: boolean;
+};
+
+type Change =
+  | { table: "measures"; row: Measure }
+  | { table: "trackingData"; row: TrackingData }
+  | { table: "entries"; row: Entry }
+  | { table: "tombstones"; row: Tombstone };
+
+const TOMBSTONE_TABLES: Record<Tombstone["table_name"], SyncDeletion["table"]> = {
+  measures: "measures",
+  tracking_data: "trackingData",
+};
+
+/**
+ * Returns at most `limit` changes with sync_version > cursor, oldest first.
+ *
+ * Each table is asked for limit + 1 rows; the smallest `limit` versions of the
+ * merged set are exactly the next page, and anything left over means there is
+ * more to fetch. The returned cursor is the version of the last change
+ * included, so the next call picks up precisely where this one stopped.
+ */
+export function pullChanges(owner: string, cursor: number, limit = SYNC_PAGE_SIZE): SyncPage {
+  if (cursor > 0 && cursor < getSyncHorizon(owner)) {
+    return { measures: [], trackingData: [], entries: [], deleted: [], cursor: 0, hasMore: true, reset: true };
+  }
+
+  const changes: Change[] = [
+    ...getMeasuresChangedSince(owner, cursor, limit + 1).map((row) => ({ table: "measures" as const, row })),
+    ...getTrackingDataChangedSince(owner, cursor, limit + 1).map((row) => ({ table: "trackingData" as const, row })),
+    ...getEntriesChangedSince(owner, cursor, limit + 1).map((row) => ({ table: "entries" as const, row })),
+    ...getTombstonesChangedSince(owner, cursor, limit + 1).map((row) => ({ table: "tombstones" as const, row })),
+  ];
+  changes.sort((a, b) => a.row.sync_version - b.row.sync_version);
+
+  const page = changes.slice(0, limit);
+  const result: SyncPage = {
+    measures: [],
+    trackingData: [],
+    entries: [],
+    deleted: [],
+    cursor: page.length > 0 ? page[page.length - 1].row.sync_version : cursor,
+    hasMore: changes.length > limit,
+  };
+
+  for (const change of page) {
+    if (change.table === "measures") result.measures.push(change.row);
+    else if (change.table === "trackingData") result.trackingData.push(change.row);
+    else if (change.table === "entries") result.entries.push(change.row);
+    else {
+      result.deleted.push({
+        table: TOMBSTONE_TABLES[change.row.table_name],
+        id: change.row.record_id,
+        deleted_at: change.row.deleted_at,
+      });
+    }
+  }
+
+  return result;
+}
+
+// ============================================================
+// Push
+// ============================================================
+
+// `base_version` is the sync_version the client's edit started from. Leaving
+// it out is a blind write (older clients); for entries, null means "I expect
+// no entry in this slot yet".
+//
+// Records created offline carry a `local_` id (or an explicit `client_id`).
+// It is stored with the row, so pushing the same record again returns the row
+// made the first time instead of a duplicate.
+export type PushedMeasure = {
+  id?: number | string;
+  client_id?: string | null;
+  name: string;
+  type: string;
+  encrypted: boolean;
+  sort_order: number;
+  config?: string | null;
+  base_version?: number;
+};
+
+export type PushedTrackingData = {
+  id?: number | string;
+  client_id?: string | null;
+  // A measure created in the same push may be referenced by its local id
+  measure_id: number | string;
+  recorded_at: string;
+  value: string;
+  base_version?: number;
+};
+
+export type PushedEntry = {
+  id?: number | string;
+  client_id?: string | null;
+  entry_date: string;
+  slot: number;
+  encrypted_content: string;
+  base_version?: number | null;
+};
+
+export type SyncPush = {
+  measures?: PushedMeasure[];
+  trackingData?: PushedTrackingData[];
+  entries?: PushedEntry[];
+};
+
+// One result per pushed item, in the order the items were sent. On conflict
+// nothing is written and `record` is the server's current copy, which the
+// client merges with its edit before pushing again.
+export type PushResult<T> =
+  | { status: "ok"; record: T }
+  | { status: "conflict"; record: T }
+  | { status: "not_found" }
+  | { status: "error"; error: string };
+
+export type PushResults = {
+  measures: PushResult<Measure>[];
+  trackingData: PushResult<TrackingData>[];
+  entries: PushResult<Entry>[];
+  // Local id -> server id for every record created (or found) by client id
+  idMap: Record<string, number>;
+};
+
+function isLocalId(id: unknown): id is string {
+  return typeof id === "string" && id.startsWith("local_");
+}
+
+function isNewRecord(id: number | string | undefined) {
+  return !id || isLocalId(id) || Number(id) <= 0;
+}
+
+function clientIdOf(item: { id?: number | string; client_id?: string | null }) {
+  return item.client_id || (isLocalId(item.id) ? item.id : null);
+}
+
+function isStale(current: { sync_version: number } | null, baseVersion: number | null | undefined) {
+  if (baseVersion === undefined || !current) return false;
+  return current.sync_version !== baseVersion;
+}
+
+function written<T>(record: T | null, what: string): PushResult<T> {
+  return record ? { status: "ok", record } : { status: "error", error: `Invalid ${what}` };
+}
+
+// Webhooks see pushed writes like the matching REST calls. Records found
+// again by client id on a retried push were already announced.
+function announced<T>(result: PushResult<T>, owner: string, event: WebhookEvent): PushResult<T> {
+  if (result.status === "ok") queueWebhookEvent(owner, event, result.record);
+  return result;
+}
+
+function pushMeasure(owner: string, m: PushedMeasure): PushResult<Measure> {
+  const type = m.type;
+  if (!isMeasureType(type)) return { status: "error", error: "Invalid measure type" };
+  if (isNewRecord(m.id)) {
+    const clientId = clientIdOf(m);
+    const existing = clientId ? getMeasureByClientId(owner, clientId) : null;
+    if (existing) return { status: "ok", record: existing };
+    return announced(
+      written(createMeasure(owner, m.name, type, m.encrypted, m.sort_order, m.config || null, clientId), "measure"),
+      owner,
+      "measures.created"
+    );
+  }
+
+  const current = getMeasureById(Number(m.id), owner);
+  if (!current) return { status: "not_found" };
+  if (isStale(current, m.base_version)) return { status: "conflict", record: current };
+
+  return announced(
+    written(updateMeasure(current.id, owner, m.name, type, m.encrypted, m.sort_order, m.config || null), "measure"),
+    owner,
+    "measures.updated"
+  );
+}
+
+function pushTrackingData(owner: string, td: PushedTrackingData): PushResult<TrackingData> {
+  if (isNewRecord(td.id)) {
+    const clientId = clientIdOf(td);
+    const existing = clientId ? getTrackingDataByClientId(owner, clientId) : null;
+    if (existing) return { status: "ok", record: existing };
+
+    const measureId = isLocalId(td.measure_id)
+      ? getMeasureByClientId(owner, td.measure_id)?.id
+      : Number(td.measure_id);
+    if (!measureId) return { status: "error", error: "Unknown measure" };
+
+    return announced(
+      written(saveTrackingData(owner, measureId, td.recorded_at, td.value, clientId), "tracking data"),
+      owner,
+      "tracking.created"
+    );
+  }
+
+  const current = getTrackingDataById(Number(td.id), owner);
+  if (!current) return { status: "not_found" };
+  if (isStale(current, td.base_version)) return { status: "conflict", record: current };
+
+  return announced(written(updateTrackingData(current.id, owner, td.value), "tracking data"), owner, "tracking.updated");
+}
+
+function pushEntry(owner: string, e: PushedEntry): PushResult<Entry> {
+  // Entries are keyed by (date, slot), so the slot's current row is the base
+  const current = getEntry(owner, e.entry_date, e.slot);
+  const clientId = clientIdOf(e);
+
+  // The row this same offline entry created on an earlier, retried push
+  if (clientId && current?.client_id === clientId && e.base_version === null) {
+    return { status: "ok", record: current };
+  }
+  if (isStale(current, e.base_version)) return { status: "conflict", record: current! };
+
+  return written(upsertEntry(owner, e.entry_date, e.slot, e.encrypted_content, clientId), "entry");
+}
+
+function pushEach<I, T>(items: I[] | undefined, label: string, push: (item: I) => PushResult<T>): PushResult<T>[] {
+  return (items ?? []).map((item) => {
+    try {
+      return push(item);
+    } catch (err) {
+      console.error(`[sync] Failed to process ${label}:`, err);
+      return { status: "error", error: `Failed to process ${label}` };
+    }
+  });
+}
+
+/**
+ * Applies pushed records one by one. A record whose base_version no longer
+ * matches the server copy is reported as a conflict instead of overwriting a
+ * newer edit from another device.
+ *
+ * Measures go first so tracking rows in the same push can point at a measure
+ * that only had a local id until now.
+ */
+export function pushChanges(owner: string, push: SyncPush): PushResults {
+  const measures = pushEach(push.measures, "measure", (m) => pushMeasure(owner, m));
+  const trackingData = pushEach(push.trackingData, "tracking data", (td) => pushTrackingData(owner, td));
+  const entries = pushEach(push.entries, "entry", (e) => pushEntry(owner, e));
+
+  const idMap: Record<string, number> = {};
+  for (const result of [...measures, ...trackingData, ...entries]) {
+    if (result.status === "ok" && result.record.client_id) {
+      idMap[result.record.client_id] = result.record.id;
+    }
+  }
+
+  return { measures, trackingData, entries, idMap };
+}
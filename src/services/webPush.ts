@@ -0,0 +1,154 @@
+// Web Push delivery: VAPID authentication (RFC 8292) and aes128gcm payload
+// encryption (RFC 8291), on top of node's crypto so no push library is needed
+
+import { createCipheriv, createECDH, createPrivateKey, createSign, hkdfSync, randomBytes } from "crypto";
+
+import { getVapidKeys } from "../config";
+import { deletePushSubscriptionById, listPushSubscriptions } from "../db";
+import { assertPublicUrl } from "../utils/publicUrl";
+
+import type { VapidKeys } from "../config";
+
+export type PushTarget = { endpoint: string; p256dh: string; auth: string };
+
+export type PushMessage = {
+  title: string;
+  body: string;
+  url: string; // Opened when the notification is clicked
+  tag?: string; // A newer notification with the same tag replaces the older one
+};
+
+// Keep undelivered reminders for a few hours, not days
+const PUSH_TTL_SECONDS = 4 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10_000;
+const VAPID_TOKEN_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+
+// A subscription's keys: an uncompressed P-256 point and a 16-byte auth secret
+const P256DH_BYTES = 65;
+const AUTH_SECRET_BYTES = 16;
+const BASE64URL = /^[A-Za-z0-9_-]+={0,2}$/;
+
+function decodeKey(value: unknown) {
+  return typeof value === "string" && BASE64URL.test(value) ? Buffer.from(value, "base64url") : null;
+}
+
+// Whether a subscription's keys are ones encryptPushPayload can encrypt for
+export function isValidPushKeys(keys: { p256dh?: unknown; auth?: unknown } | null | undefined): keys is { p256dh: string; auth: string } {
+  const p256dh = decodeKey(keys?.p256dh);
+  const auth = decodeKey(keys?.auth);
+  return p256dh?.length === P256DH_BYTES && p256dh[0] === 0x04 && auth?.length === AUTH_SECRET_BYTES;
+}
+
+function hkdf(salt: Buffer, ikm: Buffer, info: Buffer, length: number) {
+  return Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+}
+
+/**
+ * Encrypts `payload` for one subscription as a single aes128gcm record. The
+ * header carries the salt and our ephemeral public key; the browser derives
+ * the same key from its private key and the subscription's auth secret.
+ */
+export function encryptPushPayload(target: PushTarget, payload: string) {
+  const uaPublic = Buffer.from(target.p256dh, "base64url");
+  const authSecret = Buffer.from(target.auth, "base64url");
+
+  const ecdh = createECDH("prime256v1");
+  const asPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(uaPublic);
+
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+  const salt = randomBytes(16);
+  const cek = hkdf(salt, ikm, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  // 0x02 marks the last (and only) record
+  const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.update(Buffer.from([2])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext, cipher.getAuthTag()]);
+}
+
+// Generated private keys may have lost leading zero bytes
+function padScalar(scalar: Buffer) {
+  return scalar.length >= 32 ? scalar : Buffer.concat([Buffer.alloc(32 - scalar.length), scalar]);
+}
+
+// ES256 JWT for the push service at `endpoint`'s origin
+function vapidAuthorization(endpoint: string, keys: VapidKeys) {
+  const publicKey = Buffer.from(keys.publicKey, "base64url");
+  const privateKey = createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      x: publicKey.subarray(1, 33).toString("base64url"),
+      y: publicKey.subarray(33, 65).toString("base64url"),
+      d: padScalar(Buffer.from(keys.privateKey, "base64url")).toString("base64url"),
+    },
+    format: "jwk",
+  });
+
+  const encode = (value: object) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ typ: "JWT", alg: "ES256" })}.${encode({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_SECONDS,
+    sub: keys.subject,
+  })}`;
+  const signature = createSign("SHA256").update(unsigned).sign({ key: privateKey, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${unsigned}.${signature.toString("base64url")}, k=${keys.publicKey}`;
+}
+
+/**
+ * Sends `message` to one subscription. Returns "gone" when the push service
+ * says the subscription no longer exists, or its keys can't be encrypted
+ * for, so the caller can drop it. A redirect is not followed and counts as
+ * "failed".
+ */
+export async function sendPush(target: PushTarget, message: PushMessage, keys: VapidKeys): Promise<"sent" | "gone" | "failed"> {
+  if (!isValidPushKeys(target)) return "gone";
+  try {
+    await assertPublicUrl(target.endpoint);
+    const response = await fetch(target.endpoint, {
+      method: "POST",
+      headers: {
+        "Authorization": vapidAuthorization(target.endpoint, keys),
+        "Content-Encoding": "aes128gcm",
+        "Content-Type": "application/octet-stream",
+        "TTL": String(PUSH_TTL_SECONDS),
+        "Urgency": "normal",
+      },
+      body: encryptPushPayload(target, JSON.stringify(message)),
+      // Only the endpoint was checked; a redirect could lead anywhere
+      redirect: "manual",
+      signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+    });
+    if (response.status === 404 || response.status === 410) return "gone";
+    if (!response.ok) {
+      console.error(`[push] ${new URL(target.endpoint).host} answered ${response.status}`);
+      return "failed";
+    }
+    return "sent";
+  } catch (err) {
+    console.error("[push] Send failed:", err);
+    return "failed";
+  }
+}
+
+// Sends to every device the owner subscribed; returns how many got it
+export async function sendPushToOwner(owner: string, message: PushMessage) {
+  const keys = getVapidKeys();
+  if (!keys) return 0;
+
+  let sent = 0;
+  for (const subscription of listPushSubscriptions(owner)) {
+    const result = await sendPush(subscription, message, keys);
+    if (result === "sent") sent++;
+    if (result === "gone") deletePushSubscriptionById(subscription.id);
+  }
+  return sent;
+}
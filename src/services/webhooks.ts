@@ -0,0 +1,182 @@
+import { createHmac, randomBytes, randomUUID } from "crypto";
+
+import {
+  createWebhookDelivery,
+  createWebhookRecord,
+  deleteWebhookRecord,
+  getDueWebhookDeliveries,
+  getWebhookRecord,
+  listWebhookDeliveryRecords,
+  listWebhookRecords,
+  markWebhookAttemptFailed,
+  markWebhookDelivered,
+} from "../db";
+import { assertPublicUrl, isPublicHttpsUrl } from "../utils/publicUrl";
+
+import type { DueWebhookDelivery, WebhookDeliveryRecord, WebhookRecord } from "../db";
+
+// `<type>.<action>`, matching the SSE events the same changes broadcast
+export const WEBHOOK_EVENTS = [
+  "measures.created",
+  "measures.updated",
+  "measures.deleted",
+  "tracking.created",
+  "tracking.updated",
+  "tracking.deleted",
+  "timers.created",
+  "timers.updated",
+] as const;
+
+export type WebhookEvent = (typeof WEBHOOK_EVENTS)[number];
+
+export const MAX_WEBHOOKS = 10;
+export const MAX_DELIVERY_ATTEMPTS = 8;
+export const DELIVERY_LOG_LIMIT = 50;
+
+// Retries wait 30s, 1m, 2m, ... up to 6h between attempts
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const DELIVERY_TIMEOUT_MS = 10_000;
+const DELIVERY_BATCH_SIZE = 20;
+const SECRET_PREFIX = "whsec_";
+
+// The secret is only returned when the webhook is created
+export type WebhookSummary = {
+  id: number;
+  url: string;
+  events: WebhookEvent[];
+  created_at: string;
+};
+
+export type WebhookDeliverySummary = Omit<WebhookDeliveryRecord, "webhook_id" | "owner" | "payload"> & {
+  payload: unknown;
+};
+
+function toSummary(record: WebhookRecord): WebhookSummary {
+  return {
+    id: record.id,
+    url: record.url,
+    events: record.events.split(" ").filter(isWebhookEvent),
+    created_at: record.created_at,
+  };
+}
+
+export function isWebhookEvent(value: unknown): value is WebhookEvent {
+  return typeof value === "string" && WEBHOOK_EVENTS.includes(value as WebhookEvent);
+}
+
+// https on a public host; the host is checked again on every delivery
+export function isWebhookUrl(value: unknown): value is string {
+  return isPublicHttpsUrl(value);
+}
+
+/**
+ * Subscribes `url` to `events` for `owner`. The signing secret is only in
+ * the return value; unlike API tokens it is stored as is, because every
+ * delivery is signed with it.
+ */
+export function createWebhook(owner: string, url: string, events: WebhookEvent[]) {
+  const secret = `${SECRET_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const record = createWebhookRecord(owner, url, secret, [...new Set(events)].join(" "));
+  if (!record) throw new Error("Failed to persist webhook");
+  return { secret, summary: toSummary(record) };
+}
+
+export function listWebhooks(owner: string): WebhookSummary[] {
+  return listWebhookRecords(owner).map(toSummary);
+}
+
+export function deleteWebhook(owner: string, id: number): boolean {
+  return !!deleteWebhookRecord(id, owner);
+}
+
+// Newest first; null when the webhook isn't the owner's
+export function listWebhookDeliveries(owner: string, id: number): WebhookDeliverySummary[] | null {
+  if (!getWebhookRecord(id, owner)) return null;
+  return listWebhookDeliveryRecords(id, owner, DELIVERY_LOG_LIMIT).map(
+    ({ webhook_id: _webhookId, owner: _owner, payload, ...delivery }) => ({ ...delivery, payload: JSON.parse(payload) })
+  );
+}
+
+/**
+ * Queues `event` for every webhook of `owner` that subscribes to it. `data`
+ * is the row as stored, so values of encrypted measures stay ciphertext;
+ * deletions carry just `{ id }`. Delivery happens in the background.
+ */
+export function queueWebhookEvent(owner: string, event: WebhookEvent, data: unknown) {
+  const subscribed = listWebhookRecords(owner).filter((hook) => hook.events.split(" ").includes(event));
+  if (subscribed.length === 0) return 0;
+
+  // One id per event, so receivers can drop retries they already handled
+  const payload = JSON.stringify({ id: randomUUID(), event, created_at: new Date().toISOString(), data });
+  for (const hook of subscribed) createWebhookDelivery(hook.id, owner, event, payload);
+
+  setTimeout(() => void deliverDueWebhooks(), 0);
+  return subscribed.length;
+}
+
+/**
+ * `X-Ambulando-Signature: t=<unix seconds>,v1=<hex>`, where v1 is the
+ * HMAC-SHA256 of `<t>.<body>` under the webhook's secret.
+ */
+export function signWebhookPayload(secret: string, body: string, timestamp: number) {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelaySeconds(attempt: number) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+}
+
+async function attemptDelivery(delivery: DueWebhookDelivery) {
+  const attempt = delivery.attempts + 1;
+  const giveUp = attempt >= MAX_DELIVERY_ATTEMPTS;
+  try {
+    await assertPublicUrl(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Ambulando-Webhooks",
+        "X-Ambulando-Event": delivery.event,
+        "X-Ambulando-Delivery": String(delivery.id),
+        "X-Ambulando-Signature": signWebhookPayload(delivery.secret, delivery.payload, Math.floor(Date.now() / 1000)),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    if (response.ok) {
+      markWebhookDelivered(delivery.id, response.status);
+    } else {
+      markWebhookAttemptFailed(delivery.id, giveUp, response.status, `HTTP ${response.status}`, retryDelaySeconds(attempt));
+    }
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    markWebhookAttemptFailed(delivery.id, giveUp, null, message, retryDelaySeconds(attempt));
+  }
+}
+
+let running: Promise<number> | null = null;
+
+/**
+ * Sends every delivery that is due, one at a time, and returns how many were
+ * attempted. Concurrent calls share the run in progress.
+ */
+export function deliverDueWebhooks(): Promise<number> {
+  running ??= (async () => {
+    let attempted = 0;
+    try {
+      for (;;) {
+        const due = getDueWebhookDeliveries(DELIVERY_BATCH_SIZE);
+        if (due.length === 0) break;
+        for (const delivery of due) await attemptDelivery(delivery);
+        attempted += due.length;
+      }
+    } finally {
+      running = null;
+    }
+    return attempted;
+  })();
+  return running;
+}
@@ -3,6 +3,7 @@
 type SSEConnection = {
   controller: ReadableStreamDefaultController<Uint8Array>;
   npub: string;
+  sessionId: number;
 };
 
 // Store connections by npub (user can have multiple tabs open)
@@ -20,8 +21,12 @@ export type SSEEvent = {
 /**
  * Register a new SSE connection for a user
  */
-export function addConnection(npub: string, controller: ReadableStreamDefaultController<Uint8Array>): SSEConnection {
-  const conn: SSEConnection = { controller, npub };
+export function addConnection(
+  npub: string,
+  sessionId: number,
+  controller: ReadableStreamDefaultController<Uint8Array>
+): SSEConnection {
+  const conn: SSEConnection = { controller, npub, sessionId };
 
   if (!connections.has(npub)) {
     connections.set(npub, new Set());
@@ -44,6 +49,24 @@ export function removeConnection(conn: SSEConnection): void {
   }
 }
 
+/**
+ * Close every stream opened by the given sessions (used when a login is revoked)
+ */
+export function closeSessionConnections(npub: string, sessionIds: number[]): void {
+  const userConns = connections.get(npub);
+  if (!userConns) return;
+
+  for (const conn of [...userConns]) {
+    if (!sessionIds.includes(conn.sessionId)) continue;
+    try {
+      conn.controller.close();
+    } catch (_err) {
+      // Already closed
+    }
+    removeConnection(conn);
+  }
+}
+
 /**
  * Broadcast an event to all connections for a specific user
  */
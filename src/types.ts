@@ -2,11 +2,20 @@ export type TodoState = "new" | "ready" | "in_progress" | "done";
 export type TodoPriority = "rock" | "pebble" | "sand";
 
 export type Session = {
+  id: number;
   token: string;
   pubkey: string;
   npub: string;
-  method: LoginMethod;
+  method: LoginMethod | "api_token" | "nip98";
   createdAt: number;
+  // Only on requests made with an API token (src/services/apiTokens.ts)
+  apiToken?: ApiTokenGrant;
+};
+
+// measureIds limits a token to those measures; null means all of them
+export type ApiTokenGrant = {
+  id: number;
+  measureIds: number[] | null;
 };
 
 export type LoginMethod = "ephemeral" | "extension" | "bunker" | "secret" | "keyteleport";
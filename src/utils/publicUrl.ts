@@ -0,0 +1,83 @@
+import { lookup } from "dns/promises";
+import { isIP } from "net";
+
+import { allowPrivateOutbound } from "../config";
+
+// Names that only mean something inside a network
+const INTERNAL_NAME = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+function isPublicIPv4(address: string) {
+  const [a, b] = address.split(".").map(Number);
+  if (a === 0 || a === 10 || a === 127) return false; // "this" network, private, loopback
+  if (a === 100 && b >= 64 && b <= 127) return false; // carrier-grade NAT
+  if (a === 169 && b === 254) return false; // link-local, including cloud metadata
+  if (a === 172 && b >= 16 && b <= 31) return false;
+  if (a === 192 && b === 168) return false;
+  if (a === 198 && (b === 18 || b === 19)) return false; // benchmarking
+  return a < 224; // multicast and reserved
+}
+
+function isPublicIPv6(address: string) {
+  const lower = address.toLowerCase();
+  // IPv4-mapped, written either way (::ffff:127.0.0.1 or ::ffff:7f00:1)
+  const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPublicIPv4(dotted[1]);
+  const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPublicIPv4(`${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`);
+  }
+  // Only global unicast (2000::/3); loopback, unique-local fc00::/7,
+  // link-local fe80::/10 and multicast all fall outside it
+  const first = parseInt(lower.split(":")[0] || "0", 16);
+  return (first & 0xe000) === 0x2000;
+}
+
+// Whether an IP address is on the public internet
+export function isPublicAddress(address: string) {
+  const version = isIP(address);
+  if (version === 4) return isPublicIPv4(address);
+  if (version === 6) return isPublicIPv6(address);
+  return false;
+}
+
+function hostOf(url: URL) {
+  return url.hostname.replace(/^\[|\]$/g, "");
+}
+
+/**
+ * Whether the server may send to `value`: an https URL whose host is a
+ * public address or a name that isn't obviously internal. Names are only
+ * resolved when sending (see assertPublicUrl).
+ */
+export function isPublicHttpsUrl(value: unknown): value is string {
+  if (typeof value !== "string") return false;
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch (_err) {
+    return false;
+  }
+  if (allowPrivateOutbound()) return url.protocol === "https:" || url.protocol === "http:";
+  if (url.protocol !== "https:") return false;
+
+  const host = hostOf(url);
+  if (isIP(host)) return isPublicAddress(host);
+  return host.includes(".") && !INTERNAL_NAME.test(host.replace(/\.$/, ""));
+}
+
+/**
+ * Throws unless `value` passes isPublicHttpsUrl and its host resolves only
+ * to public addresses. Run right before each request, so a name that was
+ * public when it was saved can't be pointed at an internal host later.
+ */
+export async function assertPublicUrl(value: string) {
+  if (!isPublicHttpsUrl(value)) throw new Error("Refused: not a public https URL");
+  if (allowPrivateOutbound()) return;
+
+  const host = hostOf(new URL(value));
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map((entry) => entry.address);
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new Error("Refused: host resolves to a private address");
+  }
+}
@@ -1,7 +1,10 @@
+import { createDecipheriv, createECDH, hkdfSync, randomBytes } from "crypto";
 import { rm } from "fs/promises";
 import { join } from "path";
 
-import { afterAll, beforeEach, describe, expect, test } from "bun:test";
+import { Database, Statement } from "bun:sqlite";
+import { afterAll, beforeEach, describe, expect, spyOn, test } from "bun:test";
+import { nip19 } from "nostr-tools";
 import * as pure from "nostr-tools/pure";
 
 const TEST_DB_PATH = join(import.meta.dir, "tmp-test.sqlite");
@@ -11,6 +14,24 @@ process.env.DB_PATH = TEST_DB_PATH;
 const db = await import("../src/db");
 const todos = await import("../src/services/todos");
 const { AuthService } = await import("../src/services/auth");
+const access = await import("../src/services/access");
+const sessionRoutes = await import("../src/routes/sessions");
+const homeRoutes = await import("../src/routes/home");
+const sync = await import("../src/services/sync");
+const exporter = await import("../src/services/export");
+const importer = await import("../src/services/import");
+const migrations = await import("../src/migrations");
+const apiTokens = await import("../src/services/apiTokens");
+const aiRoutes = await import("../src/routes/ai");
+const trackingRoutes = await import("../src/routes/tracking");
+const webhooks = await import("../src/services/webhooks");
+const publicUrl = await import("../src/utils/publicUrl");
+const reminders = await import("../src/services/reminders");
+const webPush = await import("../src/services/webPush");
+const reminderRoutes = await import("../src/routes/reminders");
+const importParsers = await import("../public/importParsers.js");
+const measureConfig = await import("../public/measureConfig.js");
+const csvExport = await import("../public/csvExport.js");
 
 const OWNER = "npub1testowner";
 const APP_TAG = "other-stuff-to-do";
@@ -63,6 +84,68 @@ describe("auth service", () => {
     expect(body.npub).toBeDefined();
   });
 
+  test("persists sessions so a new service instance can read them", async () => {
+    const authService = new AuthService("test_session", APP_TAG, LOGIN_EVENT_KIND, 120, false, 3600);
+    const event = pure.finalizeEvent(
+      {
+        kind: LOGIN_EVENT_KIND,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ["app", APP_TAG],
+          ["method", "ephemeral"],
+        ],
+        content: "Authenticate with Other Stuff To Do",
+      },
+      pure.generateSecretKey()
+    );
+
+    const body = await authService.login("ephemeral", event as any).json();
+    const restarted = new AuthService("test_session", APP_TAG, LOGIN_EVENT_KIND, 120, false, 3600);
+    expect(restarted.getSession(body.token)?.npub).toBe(body.npub);
+
+    restarted.destroySession(body.token);
+    expect(authService.getSession(body.token)).toBeNull();
+  });
+
+  test("lists and revokes sessions for the owner only", async () => {
+    const authService = new AuthService("test_session", APP_TAG, LOGIN_EVENT_KIND, 120, false, 3600);
+    const secret = pure.generateSecretKey();
+    const login = async (userAgent: string) => {
+      const event = pure.finalizeEvent(
+        {
+          kind: LOGIN_EVENT_KIND,
+          created_at: Math.floor(Date.now() / 1000),
+          tags: [
+            ["app", APP_TAG],
+            ["method", "extension"],
+          ],
+          content: "Authenticate with Other Stuff To Do",
+        },
+        secret
+      );
+      const body = await authService.login("extension", event as any, userAgent).json();
+      return authService.getSession(body.token)!;
+    };
+
+    const laptop = await login("Laptop");
+    const phone = await login("Phone");
+    const { listSessions, revokeSession, revokeAllSessions } = sessionRoutes.createSessionHandlers(authService);
+
+    const listed = await listSessions(laptop).json();
+    expect(listed.sessions.length).toBe(2);
+    expect(listed.sessions.find((s: any) => s.current).user_agent).toBe("Laptop");
+
+    const revoked = revokeSession(laptop, phone.id);
+    expect(revoked.status).toBe(200);
+    expect(revoked.headers.get("Set-Cookie")).toBeNull();
+    expect(authService.getSession(phone.token)).toBeNull();
+    expect(authService.getSession(laptop.token)).not.toBeNull();
+
+    const loggedOut = revokeAllSessions(laptop);
+    expect(loggedOut.headers.get("Set-Cookie")).toBe(authService.clearedCookie());
+    expect(authService.getSession(laptop.token)).toBeNull();
+  });
+
   test("rejects login events without method tag", () => {
     const authService = new AuthService("test_session", APP_TAG, LOGIN_EVENT_KIND, 120, false, 3600);
     const event = pure.finalizeEvent(
@@ -78,6 +161,856 @@ describe("auth service", () => {
     const response = authService.login("ephemeral", event as any);
     expect(response.status).toBe(422);
   });
+
+  test("accepts NIP-98 auth headers bound to the request once", async () => {
+    const authService = new AuthService("test_session", APP_TAG, LOGIN_EVENT_KIND, 120, false, 3600);
+    const secret = pure.generateSecretKey();
+    const sha256 = (text: string) => new Bun.CryptoHasher("sha256").update(text).digest("hex");
+    const signedRequest = (url: string, method: string, signed: { u?: string; method?: string; body?: string } = {}, body?: string) => {
+      const tags = [
+        ["u", signed.u ?? url],
+        ["method", signed.method ?? method],
+      ];
+      if (signed.body !== undefined) tags.push(["payload", sha256(signed.body)]);
+      const event = pure.finalizeEvent(
+        { kind: LOGIN_EVENT_KIND, created_at: Math.floor(Date.now() / 1000), tags, content: "" },
+        secret
+      );
+      const header = `Nostr ${Buffer.from(JSON.stringify(event)).toString("base64")}`;
+      return new Request(url, { method, body, headers: { Authorization: header } });
+    };
+
+    const get = signedRequest("http://localhost/tracking?from=2024-01-01", "GET");
+    const session = await authService.sessionFromHttpAuth(get);
+    if (session instanceof Response) throw new Error("expected a session");
+    expect(session.pubkey).toBe(pure.getPublicKey(secret));
+    expect(session.method).toBe("nip98");
+    expect((await authService.sessionFromHttpAuth(get) as Response).status).toBe(401);
+
+    const url = "http://localhost/tracking";
+    const wrongUrl = signedRequest(url, "GET", { u: "http://localhost/tracking?from=2024-01-01" });
+    expect(await authService.sessionFromHttpAuth(wrongUrl)).toBeInstanceOf(Response);
+    expect(await authService.sessionFromHttpAuth(signedRequest(url, "DELETE", { method: "GET" }))).toBeInstanceOf(Response);
+
+    const body = JSON.stringify({ measure_id: 1, value: "5" });
+    expect(await authService.sessionFromHttpAuth(signedRequest(url, "POST", {}, body))).toBeInstanceOf(Response);
+    expect(await authService.sessionFromHttpAuth(signedRequest(url, "POST", { body: "{}" }, body))).toBeInstanceOf(Response);
+    const post = signedRequest(url, "POST", { body }, body);
+    expect(await authService.sessionFromHttpAuth(post)).not.toBeInstanceOf(Response);
+    expect(await post.json()).toEqual(JSON.parse(body));
+  });
+});
+
+describe("access layer", () => {
+  const session = { id: 1, token: "t", pubkey: "p", npub: OWNER, method: "ephemeral" as const, createdAt: Date.now() };
+
+  test("refuses metered writes without credits", async () => {
+    expect(access.isMeteredRoute("POST", "/tracking")).toBe(true);
+    expect(access.isMeteredRoute("DELETE", "/api/measures/4")).toBe(true);
+    expect(access.isMeteredRoute("GET", "/tracking")).toBe(false);
+    expect(access.isMeteredRoute("POST", "/api/credits/purchase")).toBe(false);
+
+    const denied = access.requireWriteAccess(session);
+    expect(denied?.status).toBe(402);
+    const body = await denied!.json();
+    expect(body.code).toBe("payment_required");
+
+    db.createUserCredits(OWNER, 2);
+    expect(access.requireWriteAccess(session)).toBeNull();
+  });
+});
+
+describe("app shell", () => {
+  test("serves one session-free shell and hands the session out separately", async () => {
+    expect(homeRoutes.isAppShellRoute("/daily/2024-01-10")).toBe(true);
+    expect(homeRoutes.isAppShellRoute("/daily/today")).toBe(false);
+
+    const html = await homeRoutes.handleHome().text();
+    expect(html).not.toContain("__NOSTR_SESSION__");
+
+    const session = { id: 1, token: "secret-token", pubkey: "pk", npub: OWNER, method: "ephemeral" as const, createdAt: 0 };
+    const body = await homeRoutes.handleBootstrap(session).json();
+    expect(body.session).toEqual({ id: 1, pubkey: "pk", npub: OWNER, method: "ephemeral", createdAt: 0 });
+    expect(await homeRoutes.handleBootstrap(null).json()).toEqual({ session: null });
+  });
+});
+
+describe("sync", () => {
+  test("pages through changes by sync version", () => {
+    const measure = db.createMeasure(OWNER, "enc-name", "number", true, 0, null)!;
+    const first = db.saveTrackingData(OWNER, measure.id, "2024-01-01T12:00:00Z", "1")!;
+    db.saveTrackingData(OWNER, measure.id, "2024-01-02T12:00:00Z", "2");
+    db.upsertEntry(OWNER, "2024-01-02", 1, "enc-entry");
+    db.createMeasure("npub1someoneelse", "other", "text", true, 0, null);
+
+    const page1 = sync.pullChanges(OWNER, 0, 2);
+    expect(page1.measures.length).toBe(1);
+    expect(page1.trackingData.length).toBe(1);
+    expect(page1.hasMore).toBe(true);
+
+    const page2 = sync.pullChanges(OWNER, page1.cursor, 2);
+    expect(page2.trackingData.length).toBe(1);
+    expect(page2.entries.length).toBe(1);
+    expect(page2.hasMore).toBe(false);
+
+    // An edit moves the row past the cursor again
+    db.updateTrackingData(first.id, OWNER, "10");
+    const page3 = sync.pullChanges(OWNER, page2.cursor, 2);
+    expect(page3.trackingData.map((td) => td.value)).toEqual(["10"]);
+    expect(sync.pullChanges(OWNER, page3.cursor, 2).trackingData.length).toBe(0);
+  });
+
+  test("propagates deletes as tombstones and resets devices behind the GC horizon", () => {
+    const measure = db.createMeasure(OWNER, "enc-name", "number", true, 0, null)!;
+    const point = db.saveTrackingData(OWNER, measure.id, "2024-01-01T12:00:00Z", "1")!;
+    const caughtUp = sync.pullChanges(OWNER, 0, 100);
+
+    db.deleteTrackingData(point.id, OWNER);
+    const delta = sync.pullChanges(OWNER, caughtUp.cursor, 100);
+    expect(delta.deleted).toEqual([{ table: "trackingData", id: point.id, deleted_at: expect.any(String) }]);
+
+    // No device has reported a cursor, so GC may drop the tombstone...
+    expect(db.purgeSyncedTombstones()).toBe(1);
+    // ...and a device still at the old cursor must start over
+    expect(sync.pullChanges(OWNER, caughtUp.cursor, 100).reset).toBe(true);
+    expect(sync.pullChanges(OWNER, delta.cursor, 100).reset).toBeUndefined();
+  });
+
+  test("reports stale pushes as conflicts instead of overwriting", () => {
+    const measure = db.createMeasure(OWNER, "enc-name", "number", true, 0, null)!;
+    const point = db.saveTrackingData(OWNER, measure.id, "2024-01-01T12:00:00Z", "1")!;
+    db.upsertEntry(OWNER, "2024-01-01", 1, "enc-laptop");
+
+    // Another device edits after this one last synced
+    const newer = db.updateTrackingData(point.id, OWNER, "2")!;
+
+    const { trackingData, entries } = sync.pushChanges(OWNER, {
+      trackingData: [{ ...point, value: "3", base_version: point.sync_version }],
+      entries: [{ entry_date: "2024-01-01", slot: 1, encrypted_content: "enc-phone", base_version: null }],
+    });
+    expect(trackingData[0]).toEqual({ status: "conflict", record: newer });
+    expect(entries[0].status).toBe("conflict");
+    expect(db.getTrackingDataById(point.id, OWNER)?.value).toBe("2");
+    expect(db.getEntry(OWNER, "2024-01-01", 1)?.encrypted_content).toBe("enc-laptop");
+
+    // Rebased on the current version the write goes through
+    const retry = sync.pushChanges(OWNER, {
+      trackingData: [{ ...point, value: "3", base_version: newer.sync_version }],
+    });
+    expect(retry.trackingData[0].status).toBe("ok");
+    expect(db.getTrackingDataById(point.id, OWNER)?.value).toBe("3");
+  });
+
+  test("creates offline records once no matter how often the push is retried", () => {
+    const push = {
+      measures: [{ id: "local_m1", name: "enc-name", type: "number", encrypted: true, sort_order: 0 }],
+      trackingData: [{ id: "local_t1", measure_id: "local_m1", recorded_at: "2024-01-01T12:00:00Z", value: "5" }],
+    };
+
+    const first = sync.pushChanges(OWNER, push);
+    const retried = sync.pushChanges(OWNER, push);
+
+    const measures = db.getMeasures(OWNER);
+    expect(measures.length).toBe(1);
+    expect(db.getTrackingData(OWNER).map((td) => td.measure_id)).toEqual([measures[0].id]);
+    expect(retried.idMap).toEqual(first.idMap);
+    expect(first.idMap.local_m1).toBe(measures[0].id);
+  });
+
+  test("accepts checklist measures and refuses unknown types", async () => {
+    const pushed = sync.pushChanges(OWNER, {
+      measures: [
+        { id: "local_c1", name: "enc-chores", type: "checklist", encrypted: true, sort_order: 0, config: "enc-items" },
+        { id: "local_x1", name: "enc-other", type: "spreadsheet", encrypted: true, sort_order: 1 },
+      ],
+    });
+    expect(pushed.measures.map((r) => r.status)).toEqual(["ok", "error"]);
+    expect(db.getMeasures(OWNER).map((m) => m.type)).toEqual(["checklist"]);
+
+    const session = { id: 1, token: "t", pubkey: "p", npub: OWNER, method: "extension" as const, createdAt: 0 };
+    const save = (type: string) =>
+      trackingRoutes.handleSaveMeasure(
+        new Request("http://localhost/api/measures", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ name: "enc-name", type, config: "enc-items" }),
+        }),
+        session
+      );
+    expect((await save("checklist")).status).toBe(200);
+    expect((await save("spreadsheet")).status).toBe(400);
+  });
+});
+
+describe("export", () => {
+  test("streams every owned record with ciphertext intact", async () => {
+    const timer = db.createMeasure(OWNER, "enc-timer", "time", true, 0, null)!;
+    const mood = db.createMeasure(OWNER, "enc-mood", "rating", true, 1, null)!;
+    const session = db.saveTrackingData(OWNER, timer.id, "2024-01-01T09:00:00Z", "enc-span")!;
+    db.saveTrackingData(OWNER, mood.id, "2024-01-01T10:00:00Z", "enc-4");
+    db.upsertEntry(OWNER, "2024-01-01", 1, "enc-entry");
+    db.addCreditTransaction(OWNER, "initial_grant", 3, 0, 3);
+    db.createMeasure("npub1someoneelse", "theirs", "number", false, 0, null);
+
+    const archive = await new Response(exporter.streamArchive(OWNER)).json();
+
+    expect(archive.format).toBe(exporter.ARCHIVE_FORMAT);
+    expect(archive.version).toBe(exporter.ARCHIVE_VERSION);
+    expect(archive.measures.map((m: { name: string }) => m.name)).toEqual(["enc-timer", "enc-mood"]);
+    expect(archive.trackingData.length).toBe(2);
+    expect(archive.timerSessions).toEqual([session]);
+    expect(archive.entries[0].encrypted_content).toBe("enc-entry");
+    expect(archive.creditTransactions.length).toBe(1);
+  });
+
+  test("finalizes its statements when read to the end or cancelled", async () => {
+    const steps = db.createMeasure(OWNER, "enc-steps", "number", true, 0, null)!;
+    for (let i = 0; i < 1000; i++) {
+      db.saveTrackingData(OWNER, steps.id, new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(), "x".repeat(100));
+    }
+    const finalize = spyOn(Statement.prototype, "finalize");
+    try {
+      await new Response(exporter.streamArchive(OWNER)).text();
+      expect(finalize).toHaveBeenCalledTimes(5);
+
+      // The first chunk ends partway through the tracking rows
+      finalize.mockClear();
+      const reader = exporter.streamArchive(OWNER).getReader();
+      await reader.read();
+      await reader.cancel();
+      expect(finalize).toHaveBeenCalledTimes(2);
+    } finally {
+      finalize.mockRestore();
+    }
+  });
+});
+
+describe("csv export", () => {
+  // A decrypted record logged at a local time in January 2025, as results.js hands it over
+  const record = (measure: { id: number; name: string; type: string }, day: number, time: string, value: unknown) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return {
+      measure_id: measure.id,
+      recorded_at: new Date(2025, 0, day, hours, minutes).toISOString(),
+      decryptedValue: value,
+      measureName: measure.name,
+      measureType: measure.type,
+    };
+  };
+
+  test("long rows are one per record, oldest first, with formulas defused", () => {
+    const note = { id: 1, name: "Note", type: "text" };
+    const walk = { id: 2, name: "Walk", type: "time" };
+    const mood = { id: 3, name: "Mood", type: "goodbad" };
+    const chores = { id: 4, name: "Chores", type: "checklist" };
+
+    const csv = csvExport.buildLongCsv([
+      record(note, 6, "21:05", '=HYPERLINK("http://x")'),
+      record(walk, 6, "08:00", { start: "2025-01-06T08:00:00.000Z", end: "2025-01-06T08:30:00.000Z" }),
+      record(note, 6, "09:15", "-5"),
+      record(note, 6, "09:30", "@SUM(A1), then lunch"),
+      record(mood, 7, "10:00", 1),
+      record(chores, 7, "20:00", ["Dishes", "Bins"]),
+    ]);
+
+    expect(csv.split("\r\n")).toEqual([
+      "date,time,measure,type,value,duration_seconds",
+      "2025-01-06,08:00:00,Walk,time,2025-01-06T08:00:00.000Z/2025-01-06T08:30:00.000Z,1800",
+      "2025-01-06,09:15:00,Note,text,-5,",
+      `2025-01-06,09:30:00,Note,text,"'@SUM(A1), then lunch",`,
+      `2025-01-06,21:05:00,Note,text,"'=HYPERLINK(""http://x"")",`,
+      "2025-01-07,10:00:00,Mood,goodbad,good,",
+      "2025-01-07,20:00:00,Chores,checklist,Dishes; Bins,",
+      "",
+    ]);
+  });
+
+  test("wide rows are one per day with unique headers and each measure's values combined", () => {
+    const steps = { id: 1, name: "Steps", type: "number" };
+    const mood = { id: 2, name: "Mood", type: "rating" };
+    const walk = { id: 3, name: "Walk", type: "time" };
+    const note = { id: 4, name: "Steps", type: "text" };
+    const weight = { id: 5, name: "Weight", type: "number", config: JSON.stringify({ aggregation: "last" }) };
+
+    const csv = csvExport.buildWideCsv(
+      [
+        record(steps, 6, "09:00", "3000"),
+        record(steps, 6, "18:00", 4500),
+        record(mood, 6, "09:00", 7),
+        record(mood, 6, "20:00", 8),
+        record(walk, 6, "08:00", { duration: 600 }),
+        record(walk, 6, "17:00", { duration: 900 }),
+        record(note, 6, "12:00", "=1+1"),
+        record(note, 6, "13:00", ""),
+        record(note, 6, "14:00", "Sunny"),
+        record(weight, 6, "21:00", "79.5"),
+        record(weight, 6, "07:00", "80"),
+        record(steps, 8, "09:00", "n/a"),
+      ],
+      [steps, mood, walk, note, weight]
+    );
+
+    expect(csv.split("\r\n")).toEqual([
+      "date,Steps,Mood,Walk,Steps (2),Weight",
+      "2025-01-06,7500,7.5,1500,'=1+1; Sunny,79.5",
+      "2025-01-08,,,,,",
+      "",
+    ]);
+  });
+});
+
+describe("import", () => {
+  test("remaps measure ids, skips rows it already has and resets devices on replace", async () => {
+    const measure = db.createMeasure("npub1oldaccount", "enc-mood", "rating", true, 0, null)!;
+    db.saveTrackingData("npub1oldaccount", measure.id, "2024-01-01T10:00:00Z", "enc-4");
+    db.upsertEntry("npub1oldaccount", "2024-01-01", 1, "enc-entry");
+    const archive = await new Response(exporter.streamArchive("npub1oldaccount")).json();
+
+    expect(importer.validateArchive({ ...archive, version: exporter.ARCHIVE_VERSION + 1 })).toContain("version");
+    expect(importer.validateArchive({ ...archive, encrypted: false })).toContain("encrypted");
+    expect(importer.validateArchive(archive)).toBeNull();
+
+    // Shift the id sequence so the imported measure can't keep its old id
+    db.createMeasure(OWNER, "enc-existing", "number", true, 0, null);
+    db.upsertEntry(OWNER, "2024-01-01", 1, "enc-mine");
+
+    const first = importer.importArchive(OWNER, archive, "merge");
+    expect(first.measures).toEqual({ imported: 1, skipped: 0 });
+    expect(first.entries).toEqual({ imported: 0, skipped: 1 });
+    const imported = db.getMeasures(OWNER).find((m) => m.name === "enc-mood")!;
+    expect(db.getTrackingData(OWNER).map((td) => td.measure_id)).toEqual([imported.id]);
+
+    const again = importer.importArchive(OWNER, archive, "merge");
+    expect(again.measures).toEqual({ imported: 0, skipped: 1 });
+    expect(again.trackingData).toEqual({ imported: 0, skipped: 1 });
+
+    const { cursor } = sync.pullChanges(OWNER, 0, 100);
+    importer.importArchive(OWNER, archive, "replace");
+    expect(db.getMeasures(OWNER).map((m) => m.name)).toEqual(["enc-mood"]);
+    expect(db.getEntry(OWNER, "2024-01-01", 1)?.encrypted_content).toBe("enc-entry");
+    expect(sync.pullChanges(OWNER, cursor, 100).reset).toBe(true);
+  });
+
+  test("history imports keep an existing measure's encryption setting", () => {
+    const source = {
+      columns: [
+        { key: "weight", name: "Weight", type: "number", include: true },
+        { key: "steps", name: "Steps", type: "number", include: true },
+        { key: "sleep", name: "Sleep", type: "number", include: true },
+      ],
+      rows: [{ date: "2025-01-01", time: null, values: { weight: "80", steps: "9000", sleep: "7.5" } }],
+    };
+    const existing = [
+      { id: 1, name: "weight", type: "number", encrypted: 0, config: null },
+      { id: 2, name: "Steps", type: "number", encrypted: 1, config: null },
+    ];
+
+    const plan = importParsers.buildPlan(source, existing);
+    expect(plan.measures.map((m: { key: string; encrypted: boolean }) => [m.key, m.encrypted])).toEqual([
+      ["weight", false],
+      ["steps", true],
+      ["sleep", true],
+    ]);
+    expect(plan.records.map((r) => r.value)).toEqual(["80", "9000", "7.5"]);
+  });
+});
+
+describe("api tokens", () => {
+  test("guard the ai routes by scope and owner until revoked", async () => {
+    const { token, summary } = apiTokens.issueApiToken(OWNER, "planner", ["todos:read"]);
+    const get = (owner: string, auth: string | null = `Bearer ${token}`) => {
+      const url = new URL(`http://localhost/ai/tasks/7?owner=${owner}`);
+      const req = new Request(url, { headers: auth ? { Authorization: auth } : {} });
+      return aiRoutes.handleAiTasks(req, url, url.pathname.match(/^\/ai\/tasks\/(\d+)$/)!);
+    };
+
+    expect(get(OWNER, null).status).toBe(401);
+    expect(get(OWNER, "Bearer amb_wrong").status).toBe(401);
+    expect(get("npub1someoneelse").status).toBe(403);
+    expect(await get("npub1someoneelse").json()).toEqual({ message: "Token does not belong to this owner." });
+    expect(get(OWNER).status).toBe(200);
+
+    const summaryUrl = new URL(`http://localhost/ai/summary/latest?owner=${OWNER}`);
+    const summaryReq = new Request(summaryUrl, { headers: { Authorization: `Bearer ${token}` } });
+    expect(aiRoutes.handleLatestSummary(summaryReq, summaryUrl).status).toBe(403);
+
+    const [listed] = apiTokens.listApiTokens(OWNER);
+    expect(listed).toEqual({ ...summary, last_used_at: expect.any(String) });
+    expect(JSON.stringify(listed)).not.toContain(token);
+
+    expect(apiTokens.revokeApiToken(OWNER, summary.id)).toBe(true);
+    expect(get(OWNER).status).toBe(401);
+  });
+
+  test("stand in for the session on data routes within scope and measures", async () => {
+    const owner = nip19.npubEncode(pure.getPublicKey(pure.generateSecretKey()));
+    const weight = db.createMeasure(owner, "Weight", "number", true)!;
+    const mood = db.createMeasure(owner, "Mood", "rating", true)!;
+    db.saveTrackingData(owner, weight.id, "2025-01-01T08:00:00Z", "80");
+    db.saveTrackingData(owner, mood.id, "2025-01-01T08:00:00Z", "4");
+
+    const { token } = apiTokens.issueApiToken(owner, "scale", ["data:read", "data:write"], [weight.id]);
+    const request = (path: string, method = "GET", body?: unknown) =>
+      new Request(`http://localhost${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+    const session = apiTokens.sessionFromApiToken(request("/tracking"), "/tracking");
+    if (session instanceof Response) throw new Error("expected a session");
+    expect(session.npub).toBe(owner);
+    expect(session.id).toBe(0);
+
+    const measures = await trackingRoutes.handleGetMeasures(session).json();
+    expect(measures.measures.map((m: { id: number }) => m.id)).toEqual([weight.id]);
+    const tracking = await trackingRoutes.handleGetTracking(new URL("http://localhost/tracking"), session).json();
+    expect(tracking.data.map((td: { measure_id: number }) => td.measure_id)).toEqual([weight.id]);
+
+    // A newer row of another measure doesn't use up the limit
+    db.saveTrackingData(owner, mood.id, "2025-01-01T09:00:00Z", "5");
+    const latest = await trackingRoutes.handleGetTracking(new URL("http://localhost/tracking?limit=1"), session).json();
+    expect(latest.data.map((td: { measure_id: number }) => td.measure_id)).toEqual([weight.id]);
+
+    const record = (measureId: number) =>
+      trackingRoutes.handleSaveTracking(
+        request("/tracking", "POST", { measure_id: measureId, recorded_at: "2025-01-02T08:00:00Z", value: "79" }),
+        session
+      );
+    expect((await record(weight.id)).status).toBe(200);
+    expect((await record(mood.id)).status).toBe(403);
+    expect(trackingRoutes.handleDeleteMeasure(session, weight.id).status).toBe(403);
+
+    const sync = apiTokens.sessionFromApiToken(request("/sync", "POST"), "/sync");
+    expect(sync instanceof Response && sync.status).toBe(403);
+
+    const { token: readOnly } = apiTokens.issueApiToken(owner, "dashboard", ["data:read"]);
+    const write = new Request("http://localhost/tracking", { method: "POST", headers: { Authorization: `Bearer ${readOnly}` } });
+    const denied = apiTokens.sessionFromApiToken(write, "/tracking");
+    expect(denied instanceof Response && denied.status).toBe(403);
+    expect(await (denied as Response).json()).toEqual({ error: "Token is missing the data:write scope" });
+  });
+});
+
+describe("webhooks", () => {
+  test("refuse urls and deliveries that point inside the network", async () => {
+    for (const url of [
+      "http://example.com/hook",
+      "https://localhost/hook",
+      "https://printer.local/hook",
+      "https://metadata.google.internal/hook",
+      "https://127.0.0.1/hook",
+      "https://10.1.2.3/hook",
+      "https://172.20.0.1/hook",
+      "https://192.168.1.10/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/hook",
+      "https://[fd00::1]/hook",
+      "https://[fe80::1]/hook",
+      "https://[::ffff:127.0.0.1]/hook",
+      "ftp://example.com/hook",
+    ]) {
+      expect([url, webhooks.isWebhookUrl(url)]).toEqual([url, false]);
+    }
+    expect(webhooks.isWebhookUrl("https://hooks.example.com/ambulando")).toBe(true);
+    expect(webhooks.isWebhookUrl("https://93.184.216.34/hook")).toBe(true);
+    expect(webhooks.isWebhookUrl("https://[2606:2800:220:1::1]/hook")).toBe(true);
+
+    for (const address of ["0.0.0.0", "100.64.0.1", "::", "::ffff:a00:1", "fc00::1", "ff02::1"]) {
+      expect([address, publicUrl.isPublicAddress(address)]).toEqual([address, false]);
+    }
+
+    // Saved before it was refused, or by another route: checked again when sending
+    const { summary } = webhooks.createWebhook(OWNER, "https://127.0.0.1:9/hook", ["tracking.created"]);
+    webhooks.queueWebhookEvent(OWNER, "tracking.created", { id: 1 });
+    await webhooks.deliverDueWebhooks();
+    const [refused] = webhooks.listWebhookDeliveries(OWNER, summary.id)!;
+    expect(refused).toMatchObject({ status: "pending", attempts: 1, response_status: null });
+    expect(refused.last_error).toContain("Refused");
+  });
+
+  test("signs deliveries and logs failed attempts for retry", async () => {
+    const received: { body: string; signature: string | null; event: string | null }[] = [];
+    const receiver = Bun.serve({
+      port: 0,
+      async fetch(req) {
+        received.push({
+          body: await req.text(),
+          signature: req.headers.get("x-ambulando-signature"),
+          event: req.headers.get("x-ambulando-event"),
+        });
+        return new Response("ok");
+      },
+    });
+    const gone = Bun.serve({ port: 0, fetch: () => new Response("ok") });
+    const goneUrl = `http://localhost:${gone.port}/hook`;
+    await gone.stop(true);
+
+    // The receivers are local, which only an operator opt-in allows
+    process.env.ALLOW_PRIVATE_OUTBOUND = "true";
+    try {
+      const { secret, summary } = webhooks.createWebhook(OWNER, `http://localhost:${receiver.port}/hook`, ["tracking.created"]);
+      const { summary: broken } = webhooks.createWebhook(OWNER, goneUrl, ["tracking.created"]);
+      webhooks.createWebhook(OWNER, `http://localhost:${receiver.port}/timers`, ["timers.updated"]);
+
+      const measure = db.createMeasure(OWNER, "enc-name", "number", true)!;
+      const session = { id: 1, token: "t", pubkey: "p", npub: OWNER, method: "ephemeral" as const, createdAt: 0 };
+      const request = new Request("http://localhost/tracking", {
+        method: "POST",
+        body: JSON.stringify({ measure_id: measure.id, recorded_at: "2025-01-01T08:00:00Z", value: "nip44-ciphertext" }),
+      });
+      expect((await trackingRoutes.handleSaveTracking(request, session)).status).toBe(200);
+
+      await webhooks.deliverDueWebhooks();
+
+      expect(received.length).toBe(1);
+      const [delivery] = received;
+      expect(delivery.event).toBe("tracking.created");
+      const timestamp = Number(delivery.signature!.match(/^t=(\d+),/)![1]);
+      expect(delivery.signature).toBe(webhooks.signWebhookPayload(secret, delivery.body, timestamp));
+      const payload = JSON.parse(delivery.body);
+      expect(payload.event).toBe("tracking.created");
+      expect(payload.data.value).toBe("nip44-ciphertext");
+
+      expect(webhooks.listWebhookDeliveries(OWNER, summary.id)![0]).toMatchObject({ status: "delivered", attempts: 1 });
+      const [failed] = webhooks.listWebhookDeliveries(OWNER, broken.id)!;
+      expect(failed).toMatchObject({ status: "pending", attempts: 1, response_status: null });
+      expect(failed.last_error).toBeTruthy();
+      expect(failed.payload).toEqual(payload);
+
+      expect(webhooks.listWebhookDeliveries("npub1someoneelse", summary.id)).toBeNull();
+      expect(webhooks.deleteWebhook(OWNER, broken.id)).toBe(true);
+      expect(webhooks.listWebhookDeliveries(OWNER, broken.id)).toBeNull();
+    } finally {
+      delete process.env.ALLOW_PRIVATE_OUTBOUND;
+      await receiver.stop(true);
+    }
+  });
+});
+
+describe("reminders", () => {
+  test("fire once in the reminder's time zone unless the day is already logged", () => {
+    const measure = db.createMeasure(OWNER, "enc-name", "number", true)!;
+    const everyDay = "0,1,2,3,4,5,6";
+    db.replaceReminders(OWNER, [
+      { measure_id: measure.id, time: "20:00", weekdays: everyDay },
+      { measure_id: null, time: "20:00", weekdays: "1" },
+    ], "Europe/Berlin");
+    const plan = (iso: string) =>
+      reminders.planReminders(new Date(iso)).map((p) => [p.reminder.measure_id, p.date, p.action]);
+
+    // Monday 6 January 2025, 20:10 in Berlin
+    expect(plan("2025-01-06T19:10:00Z")).toEqual([[measure.id, "2025-01-06", "send"], [null, "2025-01-06", "send"]]);
+    expect(plan("2025-01-06T18:50:00Z")).toEqual([]);
+    expect(plan("2025-01-06T20:30:00Z")).toEqual([]);
+    // Tuesday: the journal reminder is Mondays only
+    expect(plan("2025-01-07T19:10:00Z")).toEqual([[measure.id, "2025-01-07", "send"]]);
+
+    // Logged at 00:30 on the 7th in Berlin, which is still the 6th in UTC
+    db.saveTrackingData(OWNER, measure.id, "2025-01-06T23:30:00.000Z", "80");
+    db.upsertEntry(OWNER, "2025-01-06", 1, "enc-entry");
+    expect(plan("2025-01-06T19:10:00Z")).toEqual([[measure.id, "2025-01-06", "send"], [null, "2025-01-06", "skip"]]);
+    expect(plan("2025-01-07T19:10:00Z")).toEqual([[measure.id, "2025-01-07", "skip"]]);
+
+    const journal = db.listReminders(OWNER).find((r) => r.measure_id === null)!;
+    db.markReminderSent(journal.id, "2025-01-06");
+    expect(plan("2025-01-06T19:10:00Z")).toEqual([[measure.id, "2025-01-06", "send"]]);
+
+    // Saving the same schedule again keeps today's mark
+    db.replaceReminders(OWNER, [{ measure_id: null, time: "20:00", weekdays: "1" }], "Europe/Berlin");
+    expect(plan("2025-01-06T19:10:00Z")).toEqual([]);
+  });
+
+  test("only take and send to push endpoints on public hosts", async () => {
+    process.env.VAPID_PUBLIC_KEY = "test-public";
+    process.env.VAPID_PRIVATE_KEY = "test-private";
+    try {
+      const session = { id: 1, token: "t", pubkey: "p", npub: OWNER, method: "ephemeral" as const, createdAt: 0 };
+      const browserKeys = {
+        p256dh: createECDH("prime256v1").generateKeys().toString("base64url"),
+        auth: randomBytes(16).toString("base64url"),
+      };
+      const subscribe = (endpoint: string, keys: object = browserKeys) =>
+        reminderRoutes.handleSavePushSubscription(
+          new Request("http://localhost/api/push/subscriptions", {
+            method: "POST",
+            body: JSON.stringify({ endpoint, keys }),
+          }),
+          session
+        );
+
+      expect((await subscribe("https://127.0.0.1:8080/admin")).status).toBe(400);
+      expect((await subscribe("https://169.254.169.254/latest")).status).toBe(400);
+      expect((await subscribe("https://localhost/push")).status).toBe(400);
+      expect((await subscribe("https://fcm.googleapis.com/fcm/send/abc")).status).toBe(201);
+
+      // Keys the payload can't be encrypted for would fail on every reminder
+      const fcm = "https://fcm.googleapis.com/fcm/send/def";
+      expect((await subscribe(fcm, { p256dh: "key", auth: "auth" })).status).toBe(400);
+      expect((await subscribe(fcm, { ...browserKeys, auth: randomBytes(8).toString("base64url") })).status).toBe(400);
+      expect((await subscribe(fcm, { ...browserKeys, p256dh: Buffer.alloc(65, 1).toString("base64url") })).status).toBe(400);
+      expect((await subscribe(fcm, { ...browserKeys, p256dh: `${browserKeys.p256dh}!` })).status).toBe(400);
+      expect((await subscribe(fcm, { p256dh: browserKeys.p256dh })).status).toBe(400);
+
+      const keys = { publicKey: "test-public", privateKey: "test-private", subject: "mailto:admin@localhost" };
+      const target = { endpoint: "https://10.0.0.7/push", ...browserKeys };
+      const message = { title: "Ambulando", body: "Time to log", url: "/" };
+      expect(await webPush.sendPush(target, message, keys)).toBe("failed");
+      // Subscriptions saved before keys were checked are dropped
+      expect(await webPush.sendPush({ ...target, p256dh: "key", auth: "auth" }, message, keys)).toBe("gone");
+    } finally {
+      delete process.env.VAPID_PUBLIC_KEY;
+      delete process.env.VAPID_PRIVATE_KEY;
+    }
+  });
+
+  test("don't follow push services that redirect elsewhere", async () => {
+    const internalHits: string[] = [];
+    const internal = Bun.serve({
+      port: 0,
+      fetch: (req) => {
+        internalHits.push(req.method);
+        return new Response(null, { status: 201 });
+      },
+    });
+    const redirecting = Bun.serve({
+      port: 0,
+      fetch: () => Response.redirect(`http://127.0.0.1:${internal.port}/latest/meta-data`, 307),
+    });
+    process.env.ALLOW_PRIVATE_OUTBOUND = "true";
+    try {
+      const vapid = createECDH("prime256v1");
+      const keys = {
+        publicKey: vapid.generateKeys().toString("base64url"),
+        privateKey: vapid.getPrivateKey().toString("base64url"),
+        subject: "mailto:admin@localhost",
+      };
+      const browser = createECDH("prime256v1");
+      const target = {
+        endpoint: `http://127.0.0.1:${redirecting.port}/push`,
+        p256dh: browser.generateKeys().toString("base64url"),
+        auth: randomBytes(16).toString("base64url"),
+      };
+
+      const message = { title: "Ambulando", body: "Time to log", url: "/" };
+
+      expect(await webPush.sendPush(target, message, keys)).toBe("failed");
+      expect(internalHits).toEqual([]);
+      const direct = { ...target, endpoint: `http://127.0.0.1:${internal.port}/push` };
+      expect(await webPush.sendPush(direct, message, keys)).toBe("sent");
+      expect(internalHits).toEqual(["POST"]);
+    } finally {
+      delete process.env.ALLOW_PRIVATE_OUTBOUND;
+      await redirecting.stop(true);
+      await internal.stop(true);
+    }
+  });
+
+  test("encrypt push payloads so the subscribed browser can decrypt them", () => {
+    const browser = createECDH("prime256v1");
+    const uaPublic = browser.generateKeys();
+    const auth = randomBytes(16);
+    const body = webPush.encryptPushPayload(
+      { endpoint: "https://push.example.com/x", p256dh: uaPublic.toString("base64url"), auth: auth.toString("base64url") },
+      JSON.stringify({ title: "Ambulando", url: "/daily/2025-01-06" })
+    );
+
+    const hkdf = (salt: Buffer, ikm: Buffer, info: string | Buffer, length: number) =>
+      Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+    const salt = body.subarray(0, 16);
+    const asPublic = body.subarray(21, 21 + body[20]);
+    const shared = browser.computeSecret(asPublic);
+    const ikm = hkdf(auth, shared, Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]), 32);
+    const decipher = createDecipheriv(
+      "aes-128-gcm",
+      hkdf(salt, ikm, "Content-Encoding: aes128gcm\0", 16),
+      hkdf(salt, ikm, "Content-Encoding: nonce\0", 12)
+    );
+    decipher.setAuthTag(body.subarray(body.length - 16));
+    const plain = Buffer.concat([decipher.update(body.subarray(21 + body[20], body.length - 16)), decipher.final()]);
+
+    expect(body.readUInt32BE(16)).toBe(4096);
+    expect(plain[plain.length - 1]).toBe(2);
+    expect(JSON.parse(plain.subarray(0, -1).toString())).toEqual({ title: "Ambulando", url: "/daily/2025-01-06" });
+  });
+});
+
+describe("measure config", () => {
+  // A decrypted measure as the client keeps it
+  const measure = (type: string, config: unknown = null) => ({ type, config: JSON.stringify(config) });
+
+  test("goals measure progress toward the target for each type", () => {
+    const progress = (m: { type: string; config: string }, value: unknown) =>
+      measureConfig.goalProgress(m, measureConfig.getMeasureGoal(m), value);
+
+    const steps = measure("number", { goal: { direction: "at_least", target: 8 } });
+    expect(progress(steps, "6")).toEqual({ met: false, ratio: 0.75 });
+    expect(progress(steps, 9)).toEqual({ met: true, ratio: 1 });
+    expect(progress(steps, "")).toEqual({ met: false, ratio: 0 });
+
+    const coffee = measure("number", { goal: { direction: "at_most", target: 3 } });
+    expect(progress(coffee, 2)).toEqual({ met: true, ratio: 1 });
+    expect(progress(coffee, 4)).toEqual({ met: false, ratio: 0 });
+
+    expect(progress(measure("goodbad", { goal: { direction: "equals", target: "good" } }), "good").met).toBe(true);
+
+    const chores = measure("checklist", { options: ["Dishes", "Laundry", "Bins"], goal: { direction: "all", target: null } });
+    expect(progress(chores, ["Dishes", "Bins", "Removed item"])).toEqual({ met: false, ratio: 2 / 3 });
+    expect(progress(chores, ["Dishes", "Laundry", "Bins"]).met).toBe(true);
+
+    // Options that aren't kept with the type, and goals without a direction, are ignored
+    expect(measureConfig.getMeasureGoal(measure("text", { goal: { direction: "at_least", target: 1 } }))).toBeNull();
+    expect(measureConfig.getMeasureGoal(measure("number", { goal: { direction: "sideways", target: 1 } }))).toBeNull();
+    expect(measureConfig.parseMeasureConfig(JSON.stringify(["Calm", "Tired"])).options).toEqual(["Calm", "Tired"]);
+  });
+
+  test("multi-entry days sum up by the measure's aggregation", () => {
+    const entries = ["3", 5, "not a number", "2.5"];
+    const summarise = (aggregation: string) => measureConfig.aggregateValues(aggregation, entries);
+
+    expect(summarise("sum")).toBe(10.5);
+    expect(summarise("average")).toBe(3.5);
+    expect(summarise("min")).toBe(2.5);
+    expect(summarise("max")).toBe(5);
+    // Latest and count take entries as logged, numbers or not
+    expect(summarise("last")).toBe("2.5");
+    expect(summarise("count")).toBe(4);
+    expect(measureConfig.aggregateValues("average", [1, 2, 2])).toBe(1.67);
+    expect(measureConfig.aggregateValues("average", ["n/a"])).toBeNull();
+    expect(measureConfig.aggregateValues("sum", [])).toBeNull();
+
+    expect(measureConfig.getAggregation(measure("number", { aggregation: "sum" }))).toBe("sum");
+    expect(measureConfig.getAggregation(measure("rating", { aggregation: "sum" }))).toBeNull();
+    expect(measureConfig.getAggregation(measure("text", { aggregation: "count" }))).toBeNull();
+  });
+
+  test("rating scales offer their values and reject scales that don't fit", () => {
+    const scale = { min: -3, max: 3, step: 1, labels: ["Awful", "Great"], emoji: ["😞", "😐", "😄"] };
+    const mood = measure("rating", { scale });
+
+    expect(measureConfig.getRatingScale(mood)).toEqual(scale);
+    expect(measureConfig.ratingValues(scale)).toEqual([-3, -2, -1, 0, 1, 2, 3]);
+    expect(measureConfig.isRatingValue(scale, "0")).toBe(true);
+    expect(measureConfig.isRatingValue(scale, 0.5)).toBe(false);
+    expect(measureConfig.isRatingValue(scale, 4)).toBe(false);
+    expect([-3, 0, 2].map((v) => measureConfig.formatRating(scale, v))).toEqual(["-3", "0", "+2"]);
+    expect([-3, -1, 0, 3].map((v) => measureConfig.ratingEmoji(scale, v))).toEqual(["😞", "😐", "😐", "😄"]);
+    expect(importParsers.toStoredValue("rating", "1.4", JSON.parse(mood.config))).toBe("1");
+    expect(importParsers.toStoredValue("rating", "5", JSON.parse(mood.config))).toBeNull();
+
+    // Steps like 0.5 add up without rounding errors
+    expect(measureConfig.ratingValues({ min: 1, max: 3, step: 0.5 })).toEqual([1, 1.5, 2, 2.5, 3]);
+    expect(measureConfig.formatRating(measureConfig.DEFAULT_RATING_SCALE, 7)).toBe("7/10");
+
+    expect(measureConfig.ratingScaleError({ min: 0, max: 100, step: 5 })).toBeNull();
+    expect(measureConfig.ratingScaleError({ min: 5, max: 5, step: 1 })).toContain("lower to a higher");
+    expect(measureConfig.ratingScaleError({ min: 1, max: 5, step: 0 })).toContain("more than 0");
+    expect(measureConfig.ratingScaleError({ min: 0, max: 10, step: 3 })).toContain("evenly");
+    expect(measureConfig.ratingScaleError({ min: 0, max: 100, step: 1 })).toContain("at most 21");
+    expect(measureConfig.getRatingScale(measure("rating", { scale: { min: 0, max: 10, step: 3 } }))).toBe(
+      measureConfig.DEFAULT_RATING_SCALE
+    );
+  });
+
+  test("number formats convert, round and bound values in the user's units", () => {
+    const weight = measureConfig.getNumberFormat(
+      measure("number", { number: { unit: "kg", min: 30, max: 200, step: 0.5, precision: 1 } })
+    );
+
+    // Typed pounds are stored as kilograms and show back as typed
+    const stored = measureConfig.toStoredNumber(weight, "165", "imperial");
+    expect(stored).toBe(74.842741);
+    expect(measureConfig.formatNumber(weight, stored, "imperial")).toBe("165.0 lb");
+    expect(measureConfig.formatNumber(weight, stored, "metric")).toBe("74.8 kg");
+
+    // Saving what's shown again doesn't drift further with each edit
+    let kg: number | null = 80;
+    const cycles = [1, 2, 3].map(() => {
+      kg = measureConfig.toStoredNumber(weight, measureConfig.toDisplayNumber(weight, kg, "imperial"), "imperial");
+      return kg;
+    });
+    expect(new Set(cycles).size).toBe(1);
+    expect(measureConfig.toDisplayNumber(weight, kg, "imperial")).toBe(176.4);
+
+    const temperature = measureConfig.getNumberFormat(
+      measure("number", { number: { unit: "°C", min: 35, max: 42, step: 0.1, precision: 1 } })
+    );
+    expect(measureConfig.toStoredNumber(temperature, "98.6", "imperial")).toBe(37);
+    expect(measureConfig.formatNumber(temperature, 37, "imperial")).toBe("98.6 °F");
+    expect(measureConfig.numberBoundsError(temperature, 34, "imperial")).toBe("Must be at least 95.0 °F");
+    expect(measureConfig.numberBoundsError(temperature, 43, "imperial")).toBe("Must be at most 107.6 °F");
+    expect(measureConfig.numberBoundsError(temperature, 34, "metric")).toBe("Must be at least 35.0 °C");
+    expect(measureConfig.numberBoundsError(temperature, 37, "imperial")).toBeNull();
+
+    const plain = { ...measureConfig.DEFAULT_NUMBER_FORMAT, unit: "kg", step: 0.1, precision: 1 };
+    expect(measureConfig.toStoredNumber(plain, "72.46", "metric")).toBe(72.5);
+    expect(measureConfig.formatNumber(plain, 72, "metric")).toBe("72.0 kg");
+    expect(measureConfig.stepNumber(plain, 0.2, 1)).toBe(0.3);
+    expect(measureConfig.stepNumber({ ...plain, precision: null }, 0.2, 1)).toBe(0.3);
+    expect(measureConfig.toStoredNumber(plain, "abc", "metric")).toBeNull();
+
+    expect(measureConfig.numberFormatError({ min: 10, max: 5, step: 1, precision: null })).toContain("below the maximum");
+    expect(measureConfig.numberFormatError({ min: null, max: null, step: 0, precision: null })).toContain("more than 0");
+    expect(measureConfig.numberFormatError({ min: null, max: null, step: 1, precision: 7 })).toContain("from 0 to 6");
+    expect(measureConfig.getNumberFormat(measure("number", { number: { min: 10, max: 5 } }))).toBe(
+      measureConfig.DEFAULT_NUMBER_FORMAT
+    );
+  });
+});
+
+describe("migrations", () => {
+  const tableSql = (database: Database, name: string) =>
+    (database.query("SELECT sql FROM sqlite_master WHERE name = ?").get(name) as { sql: string } | null)?.sql;
+
+  test("builds an empty database once and records every version", () => {
+    const database = new Database(":memory:");
+
+    expect(migrations.runMigrations(database).length).toBe(migrations.MIGRATIONS.length);
+    expect(migrations.runMigrations(database)).toEqual([]);
+    expect(migrations.getAppliedMigrations(database).map((m) => m.version)).toEqual(
+      migrations.MIGRATIONS.map((m) => m.version)
+    );
+    expect(tableSql(database, "sessions")).toBeTruthy();
+  });
+
+  test("upgrades a database from before migrations were tracked", () => {
+    const database = new Database(":memory:");
+    database.run(`CREATE TABLE measures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      encrypted INTEGER NOT NULL DEFAULT 1,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(owner, name)
+    )`);
+    database.run("INSERT INTO measures (owner, name, type) VALUES (?, 'Mood', 'rating'), (?, 'Sleep', 'number')", [OWNER, OWNER]);
+
+    migrations.runMigrations(database);
+
+    expect(tableSql(database, "measures")).not.toContain("UNIQUE(owner, name)");
+    const rows = database.query("SELECT name, config, sync_version FROM measures ORDER BY id").all() as
+      { name: string; config: string | null; sync_version: number }[];
+    expect(rows.map((r) => r.name)).toEqual(["Mood", "Sleep"]);
+    expect(rows.map((r) => r.sync_version)).toEqual([1, 2]);
+  });
+
+  test("rolls back a failing migration and leaves it pending", () => {
+    const database = new Database(":memory:");
+    const broken = [{
+      version: 1,
+      name: "broken",
+      up(d: Database) {
+        d.run("CREATE TABLE half_done (id INTEGER)");
+        throw new Error("boom");
+      },
+    }];
+
+    expect(() => migrations.runMigrations(database, broken)).toThrow("Migration 1 (broken) failed: boom");
+    expect(tableSql(database, "half_done")).toBeUndefined();
+    expect(migrations.getAppliedMigrations(database)).toEqual([]);
+  });
 });
 
 afterAll(async () => {